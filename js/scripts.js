@@ -15,10 +15,12 @@ let baseCharWidth = 8;   // Base character width in pixels (monospace font)
 let baseCharHeight = 14; // Base character height in pixels (monospace font)
 let gridScale = 1.0;     // Scale factor for the entire grid (for responsive sizing)
 
-// Character sets for primary and secondary patterns
+// Font the grid is drawn in, on the canvas and in every export (ramps are calibrated in it too):
+// the interface font FeatureMono, or the first available fallback
+const GRID_FONT_FAMILY = "'FeatureMono', 'SF Mono', Monaco, 'Inconsolata', 'Roboto Mono', 'Source Code Pro', Consolas, 'Courier New', monospace";
+
+// Legacy character set (each layer has its own, see createLayer())
 let currentRamp = ASCII_RAMPS.blocks;  // Legacy variable (deprecated)
-let currentRamp1 = ASCII_RAMPS.blocks; // Character set for primary pattern
-let currentRamp2 = ASCII_RAMPS.blocks; // Character set for secondary pattern
 
 // Predefined color palettes
 const COLOR_PALETTES = {
@@ -32,6 +34,11 @@ const COLOR_PALETTES = {
     fire: ['#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500']
 };
 
+// User-defined palettes, kept in local storage (see loadUserPalettes()): [{ id, name, colors }]
+const USER_PALETTES_STORAGE_KEY = 'userPalettes';
+const USER_PALETTE_MAX_COLORS = 256;
+let userPalettes = [];
+
 // Canvas and animation state
 let canvas;              // p5.js canvas reference
 let time = 0;            // Animation time counter (increments each frame)
@@ -40,7 +47,30 @@ let gridCols, gridRows;  // Grid dimensions (columns and rows)
 // Interactive effects state
 let mousePos = { x: 0.5, y: 0.5 }; // Normalized mouse position (0-1 range)
 let clickEffects = [];              // Array of active click ripple effects
-let voronoiPoints = [];             // Array of points for Voronoi pattern generation
+const patternStates = new WeakMap();  // Simulation state of stateful patterns, keyed by pattern config
+
+// Largest global seed (seeds are integers from 0 up to this value, see setGlobalSeed())
+const SEED_MAX = 999999;
+const randomStream = { state: 0 };      // Stream of the randomizer and pattern defaults (see seededRandom())
+const paletteRandomStream = { state: 0 }; // Stream of the palette 'random' color mode
+
+// Largest Voronoi point set seed (seeds are integers from 0 up to this value)
+const VORONOI_MAX_SEED = 9999;
+
+// Fractal explorer (Mandelbrot/Julia view navigation)
+const FRACTAL_TYPES = ['mandelbrot', 'julia']; // Pattern types that can be zoomed and panned
+const FRACTAL_VIEW_SIZE = 4;   // Width of the complex plane visible at zoom 1
+const FRACTAL_BAILOUT = 256;   // Escape radius (large values keep smooth coloring accurate)
+let fractalDrag = null;        // Active drag-to-pan gesture (last normalized grid position)
+
+// Painted layer masks
+const MASK_BLUR_CELLS = 20;    // Blur radius (in mask cells) of painted masks at feather 1
+let maskPaintLayer = null;     // Layer whose mask is painted by dragging on the canvas (null = not painting)
+let maskStroke = null;         // Active paint stroke (last normalized grid position)
+const maskBrush = { size: 3, erase: false }; // Brush radius in cells, and whether the brush erases
+
+// Gradient map editor
+let gradientDrag = null;       // Stop being dragged along a gradient bar: { layer, index, bar }
 
 // Performance optimization variables
 let frameCount = 0;      // Frame counter for performance monitoring
@@ -56,9 +86,50 @@ let resizeStartWidth = 0;  // Controls panel width when resize started
 // Animation control
 let isPaused = false;      // Whether animation is paused
 let speedMultiplier = 1.0; // Animation speed multiplier (0.5x, 1x, 2x, etc.)
+let isRecordingGif = false; // Whether a GIF is being recorded (frames must not follow the audio clock)
+
+// Pattern registry - pattern definitions keyed by pattern type (see registerPattern()).
+// No prototype, so types from codes such as 'toString' or 'constructor' are not found as patterns
+const PATTERN_REGISTRY = Object.create(null);
+
+// All registered pattern types in registration order, used for dropdowns, morphing and randomization
+const PATTERN_TYPES = [];
+
+// Layer stack - blend modes a layer can use to combine with the layers below it
+const BLEND_MODES = [
+    { value: 'add', label: 'Add' },
+    { value: 'multiply', label: 'Multiply' },
+    { value: 'overlay', label: 'Overlay' },
+    { value: 'difference', label: 'Difference' },
+    { value: 'screen', label: 'Screen' }
+];
+
+// Settings of a newly added layer (see createLayer())
+const LAYER_DEFAULTS = {
+    type: 'ripples',       // Pattern type (see PATTERN_TYPES)
+    speed: 0.02,           // Animation speed multiplier
+    scale: 0.08,           // Pattern scale/density
+    color: '#00ff00',      // Pattern color (hex)
+    glow: false,           // Whether to apply glow effect
+    noiseVariant: 'simplex', // Noise variant: 'simplex', 'turbulence', 'ridged'
+    charSet: ASCII_RAMPS.blocks, // Characters from light to dark
+    dither: 'none',        // How values are quantized to the characters (see DITHER_MODES)
+    blendMode: 'multiply', // How the layer combines with the layers below it (see BLEND_MODES)
+    opacity: 0.5,          // Blend intensity (0-1); 0 blends a neutral mid value instead of the pattern
+    visible: true,         // Whether the layer is drawn
+    solo: false            // Soloed layers are drawn on their own
+};
 
-// All available pattern types for morphing and randomization (removed cellular)
-const PATTERN_TYPES = ['waves', 'ripples', 'noise', 'spiral', 'checkerboard', 'stripes', 'plasma', 'mandelbrot', 'julia', 'voronoi', 'tunnel', 'mosaic'];
+// Layer settings the randomizer can be locked out of, with their names for lock messages
+const LAYER_LOCK_NAMES = {
+    type: 'Pattern Type',
+    speed: 'Speed',
+    scale: 'Scale',
+    color: 'Color'
+};
+
+let nextLayerId = 1;        // Id of the next created layer (names its sidebar controls, see getLayerPrefix())
+let draggedLayer = null;    // Layer being dragged to a new position in the sidebar
 
 // Main application settings object - contains all user-configurable parameters
 let settings = {
@@ -67,27 +138,13 @@ let settings = {
     gridRows: 50,        // Number of rows in the ASCII grid
     charSize: 12,        // Font size for ASCII characters
     charSpacing: 1.0,    // Spacing multiplier between characters
+    seed: Math.floor(Math.random() * (SEED_MAX + 1)), // Global seed for noise, Voronoi, simulations, randomizer and palettes
     
-    // Primary pattern configuration
-    pattern1: {
-        type: 'waves',     // Pattern type (see PATTERN_TYPES)
-        speed: 0.01,       // Animation speed multiplier
-        scale: 0.05,       // Pattern scale/density
-        color: '#ffffff',  // Pattern color (hex)
-        glow: false,       // Whether to apply glow effect
-        noiseVariant: 'simplex'  // Noise variant: 'simplex', 'turbulence', 'ridged'
-    },
-    
-    // Secondary pattern configuration (for blending)
-    pattern2: {
-        enabled: false,    // Whether secondary pattern is active
-        type: 'ripples',   // Pattern type
-        speed: 0.02,       // Animation speed multiplier
-        scale: 0.08,       // Pattern scale/density
-        color: '#00ff00',  // Pattern color (hex)
-        glow: false,       // Whether to apply glow effect
-        noiseVariant: 'simplex'  // Noise variant: 'simplex', 'turbulence', 'ridged'
-    },
+    // Pattern layers from bottom to top; each layer blends onto the ones below it.
+    // Entries hold layer settings (see LAYER_DEFAULTS) and become full layers in setup()
+    layers: [
+        { type: 'waves', speed: 0.01, scale: 0.05, color: '#ffffff' }
+    ],
     
     // Interactive effects configuration
     interactive: {
@@ -105,38 +162,30 @@ let settings = {
         contrast: 1.0      // Webcam contrast multiplier
     },
     
-    // Pattern blending configuration
-    blendSettings: {
-        mode: 'multiply',  // Blend mode: 'add', 'multiply', 'overlay', 'difference', 'screen'
-        amount: 0.5        // Blend intensity (0-1)
+    // Audio-reactive modulation (the audio file itself is not part of settings)
+    audio: {
+        routes: {}         // Modulation routes (see AUDIO_ROUTE_PARAMS); layers have their own
     },
+
+    // Tone mapping of the blended cell values before the character lookup (see TONE_PARAMS)
+    tone: {},
+
+    // Per-cell background fills drawn under the glyphs (see BACKGROUND_PARAMS)
+    background: {},
     
     // Color configuration
     colors: {
         // Background color
         backgroundColor: '#000000', // Background color for the canvas container
         
-        // Pattern colors
-        pattern1Color: '#ffffff',  // Primary pattern color
-        pattern2Color: '#00ff00',  // Secondary pattern color (only used when pattern2 is enabled)
-        
-        // Lock settings - controls what gets randomized
+        // Lock settings - controls what gets randomized (layers have their own, see LAYER_LOCK_NAMES)
         locks: {
             backgroundColor: false,    // Lock background color
-            pattern1Color: false,      // Lock primary pattern color
-            pattern2Color: false,      // Lock secondary pattern color
-            pattern1Type: false,       // Lock primary pattern type
-            pattern2Type: false,       // Lock secondary pattern type
-            pattern1Speed: false,      // Lock primary pattern speed
-            pattern2Speed: false,      // Lock secondary pattern speed
-            pattern1Scale: false,      // Lock primary pattern scale
-            pattern2Scale: false,      // Lock secondary pattern scale
             charSize: false,           // Lock character size
             gridCols: false,           // Lock grid columns
             gridRows: false,           // Lock grid rows
             colorAnimation: false,     // Lock color animation settings
-            colorPalette: false,       // Lock color palette settings
-            secondaryPattern: false    // Lock secondary pattern enable/disable
+            colorPalette: false        // Lock color palette settings
         },
         
         // Color animation settings
@@ -151,11 +200,7 @@ let settings = {
         paletteColors: [],         // Array of colors from current palette
         paletteIndex: 0,           // Current color index in palette
         paletteColorMode: 'single', // 'single', 'cycle', 'random'
-        randomColorTimer: 0,       // Timer for random color changes
-        
-        // Blend mode settings
-        blendMode: 'multiply',     // Blend mode for pattern2
-        blendAmount: 0.5           // Blend intensity (0-1)
+        randomColorTimer: 0        // Timer for random color changes
     }
 };
 
@@ -170,6 +215,7 @@ function setup() {
     canvas.parent('canvas-container');
 
     // Configure text rendering
+    textFont(GRID_FONT_FAMILY);
     textAlign(CENTER, CENTER);
     noSmooth(); // Disable anti-aliasing for crisp ASCII characters
 
@@ -177,8 +223,18 @@ function setup() {
     gridCols = settings.gridCols;
     gridRows = settings.gridRows;
 
-    // Initialize special pattern systems (removed cellular)
-    initVoronoi();   // Set up Voronoi pattern points
+    // Seed noise and the seeded random generator before any pattern is initialized
+    setGlobalSeed(settings.seed);
+
+    // Build the layers (pattern parameters, transforms, warps and special pattern systems
+    // such as simulations) and fill in the audio route defaults. User palettes load first, as the
+    // cell background color options include them
+    userPalettes = loadUserPalettes();
+    settings.layers = settings.layers.map(values => createLayer(values));
+    checkMaskLayerReferences();
+    settings.audio.routes = resolveParams(AUDIO_ROUTE_PARAMS, settings.audio.routes);
+    settings.tone = resolveParams(TONE_PARAMS, settings.tone);
+    settings.background = resolveParams(BACKGROUND_PARAMS, settings.background);
 
     // Set up all UI components and event listeners
     setupControls();           // Main control panel event listeners
@@ -193,11 +249,7 @@ function setup() {
     setupCodeFunctionality();  // Code generation and loading functionality
     
     // Initialize color settings
-    settings.colors.paletteColors = COLOR_PALETTES[settings.colors.currentPalette];
-    settings.pattern1.color = settings.colors.pattern1Color;
-    settings.pattern2.color = settings.colors.pattern2Color;
-    settings.blendSettings.mode = settings.colors.blendMode;
-    settings.blendSettings.amount = settings.colors.blendAmount;
+    settings.colors.paletteColors = getPaletteColors(settings.colors.currentPalette);
     
     // Initialize background color
     updateBackgroundColor();
@@ -550,6 +602,9 @@ function draw() {
     // Update animation time (adjusted by speed multiplier)
     time += 0.016 * speedMultiplier; // ~60fps with speed multiplier
 
+    // A playing audio track is the clock, so envelopes line up with what is heard
+    syncAudioPlayback();
+
     // Update colors from animation and palettes
     updateColorsFromAnimation();
     updateColorsFromPalette();
@@ -585,7 +640,9 @@ function draw() {
     textSize(actualCharSize);
 
     // Render grid (rotation feature removed for performance)
+    applyAudioModulation();
     renderGrid(startX, startY, actualCharWidth, actualCharHeight, actualCharSize);
+    restoreAudioModulation();
 }
 
 /**
@@ -594,76 +651,50 @@ function draw() {
  */
 function renderGrid(startX, startY, actualCharWidth, actualCharHeight, actualCharSize) {
     // Pre-calculate common values
-    let needsGlow = settings.pattern1.glow || (settings.pattern2.enabled && settings.pattern2.glow);
-    
+    const layers = getActiveLayers();
+    let needsGlow = layers.some(layer => layer.glow);
+
+    // Blend the visible layers bottom to top for every cell (value, color, character set and glow)
+    compositeGrid(layers, time);
+    beginDitherPass();
+
+    // Cell backgrounds first, so every glyph is drawn over them. Edges are snapped to whole pixels
+    // so neighbouring cells meet without seams
+    if (beginCellBackgroundPass()) {
+        push();
+        noStroke();
+        for (let x = 0; x < gridCols; x++) {
+            const left = Math.floor(startX + x * actualCharWidth);
+            const right = Math.floor(startX + (x + 1) * actualCharWidth);
+            for (let y = 0; y < gridRows; y++) {
+                const top = Math.floor(startY + y * actualCharHeight);
+                const bottom = Math.floor(startY + (y + 1) * actualCharHeight);
+                fill(getCellBackground(x, y, time));
+                rect(left, top, right - left, bottom - top);
+            }
+        }
+        pop();
+    }
+
     for (let x = 0; x < gridCols; x++) {
         for (let y = 0; y < gridRows; y++) {
             // Calculate pixel position for this grid cell
             let xPos = startX + (x + 0.5) * actualCharWidth;
             let yPos = startY + (y + 0.5) * actualCharHeight;
-
-            // Calculate primary pattern value (0-1 range)
-            let value1 = getPatternValue(x, y, settings.pattern1, time);
-
-            // Initialize final values with primary pattern
-            let finalValue = value1;
-            let finalColor = settings.pattern1.color;
-            let glowIntensity1 = settings.pattern1.glow ? value1 : 0;
-            let glowIntensity2 = 0;
-            let useRamp1 = true;
-            
-            // Debug logging for first few cells
-            if (x === 0 && y === 0) {
-                console.log('Rendering colors:', {
-                    pattern1Color: settings.pattern1.color,
-                    pattern2Color: settings.pattern2.enabled ? settings.pattern2.color : 'disabled',
-                    finalColor: finalColor
-                });
-            }
-
-            // Add secondary pattern if enabled (pattern blending)
-            if (settings.pattern2.enabled) {
-                let value2 = getPatternValue(x, y, settings.pattern2, time);
-                finalValue = blendValues(value1, value2, settings.blendSettings.mode, settings.blendSettings.amount);
-                glowIntensity2 = settings.pattern2.glow ? value2 : 0;
-
-                // Blend colors from both patterns
-                finalColor = blendColors(
-                    settings.pattern1.color,
-                    settings.pattern2.color,
-                    settings.blendSettings.mode,
-                    value1,
-                    value2,
-                    settings.blendSettings.amount
-                );
-
-                // Decide which character set to use based on blend strength
-                let blendStrength = value1 * value2 * settings.blendSettings.amount;
-                useRamp1 = blendStrength < 0.5;
-            }
-
-            // Apply interactive effects (mouse hover, clicks, etc.)
-            if (settings.interactive.enabled) {
-                finalValue = applyInteractiveEffect(x, y, finalValue);
-            }
+            const index = x * gridRows + y;
+            let finalColor = gridCells.colors[index];
 
             // Apply glow effect if needed
-            if (needsGlow) {
-                let maxGlowIntensity = Math.max(glowIntensity1, glowIntensity2);
-                if (maxGlowIntensity > 0) {
-                    let enhancedGlowIntensity = Math.pow(maxGlowIntensity, 0.7);
-                    applyGlow(finalColor, enhancedGlowIntensity, actualCharSize);
-                }
+            if (needsGlow && gridCells.glows[index] > 0) {
+                let enhancedGlowIntensity = Math.pow(gridCells.glows[index], 0.7);
+                applyGlow(finalColor, enhancedGlowIntensity, actualCharSize);
             }
 
             // Set fill color
             fill(finalColor);
 
-            // Convert pattern value to ASCII character using appropriate character set
-            let selectedRamp = useRamp1 ? currentRamp1 : currentRamp2;
-            let charIndex = Math.floor(map(finalValue, 0, 1, 0, selectedRamp.length - 1));
-            charIndex = constrain(charIndex, 0, selectedRamp.length - 1);
-            let char = selectedRamp[charIndex];
+            // Convert the cell value to ASCII character using the character set (and dithering) picked while blending
+            let char = getGridCellChar(x, y);
 
             // Draw character without rotation (fast)
             text(char, xPos, yPos);
@@ -765,2031 +796,7707 @@ function applyInteractiveEffect(x, y, baseValue) {
 }
 
 /**
- * Calculates the pattern value for a specific grid cell
- * @param {number} x - Grid column index
- * @param {number} y - Grid row index
- * @param {object} pattern - Pattern configuration object
- * @param {number} time - Current animation time
- * @returns {number} Pattern value in 0-1 range
+ * Registers a pattern type. The registry drives pattern evaluation, the Pattern Type
+ * dropdowns, randomization and pattern codes, so new patterns only need to be registered here
+ * (or from another script loaded after this one) instead of edited into several places.
+ * @param {string} id - Unique pattern identifier (stored in pattern.type and pattern codes)
+ * @param {object} definition - Pattern definition
+ * @param {string} definition.label - Display name used in the Pattern Type dropdowns
+ * @param {function} definition.evaluate - (x, y, pattern, time, col, row) => value in -1 to 1 range,
+ *     where x/y are normalized coordinates (0-1) and col/row are grid indices
+ * @param {object} [definition.params] - Parameter schema, e.g. { arms: { label: 'Arms', default: 3, min: 1, max: 12, step: 1 } };
+ *     a function default is called for a fresh value whenever the pattern is selected
+ *     Numeric, boolean and select (type: 'select', options: [{ value, label }] or a function returning them)
+ *     params get generated sidebar controls unless marked control: false
+ *     (for params edited another way, e.g. on the canvas); type: 'text' params never do.
+ *     visible: (params) => boolean shows a param's control only when it applies
+ * @param {function} [definition.init] - Called with the pattern config whenever the pattern is selected
+ * @param {function} [definition.click] - (pattern, x, y, radius) => void, called for canvas click effects
+ * @param {number} [definition.loopPeriod] - Preferred GIF loop duration in seconds
+ * @param {boolean} [definition.randomize] - False to keep the randomizer from picking this pattern
+ *     (e.g. patterns that need user input to show anything)
+ * @param {boolean|function} [definition.usesScale] - True if evaluate() reads pattern.scale, or
+ *     (pattern) => boolean when that depends on the params; the Scale slider is hidden otherwise
+ * @returns {object} The registered pattern definition
  */
-function getPatternValue(x, y, pattern, time) {
-    // Convert grid coordinates to normalized coordinates (0-1 range)
-    let normalizedX = x / gridCols;
-    let normalizedY = y / gridRows;
-    let value = 0;
-
-    // Generate different pattern types based on pattern.type
-    switch (pattern.type) {
-        case 'waves':
-            // Create animated wave pattern using sine waves
-            value = (sin(normalizedX * TWO_PI * 5 + time * pattern.speed * 100) +
-                sin(normalizedY * TWO_PI * 3 + time * pattern.speed * 80)) / 2;
-            break;
+function registerPattern(id, definition) {
+    if (!id || typeof id !== 'string') {
+        throw new Error('registerPattern: pattern id must be a non-empty string');
+    }
+    if (!definition || typeof definition.evaluate !== 'function') {
+        throw new Error(`registerPattern: pattern '${id}' needs an evaluate() function`);
+    }
 
-        case 'ripples':
-            // Create expanding ripple waves from center
-            let centerX = 0.5;
-            let centerY = 0.5;
-            let distance = dist(normalizedX, normalizedY, centerX, centerY);
-            value = sin(distance * TWO_PI * 10 - time * pattern.speed * 200);
-            break;
+    // Keep registration order for dropdowns; re-registering replaces the definition in place
+    if (!PATTERN_REGISTRY[id]) {
+        PATTERN_TYPES.push(id);
+    }
 
-        case 'noise':
-            // Use different noise variants for organic, natural-looking patterns
-            const noiseVariant = pattern.noiseVariant || 'simplex';
-            switch (noiseVariant) {
-                case 'simplex':
-                    // Standard Perlin noise (simplex-like)
-                    value = noise(normalizedX * pattern.scale * 100, normalizedY * pattern.scale * 100, time * pattern.speed * 10) * 2 - 1;
-                    break;
-                case 'turbulence':
-                    // Turbulence noise - multiple octaves of noise
-                    value = 0;
-                    let amplitude = 1.0;
-                    let frequency = 1.0;
-                    for (let i = 0; i < 4; i++) {
-                        value += amplitude * noise(
-                            normalizedX * pattern.scale * 100 * frequency, 
-                            normalizedY * pattern.scale * 100 * frequency, 
-                            time * pattern.speed * 10 * frequency
-                        );
-                        amplitude *= 0.5;
-                        frequency *= 2.0;
-                    }
-                    value = (value / 1.875) * 2 - 1; // Normalize to -1 to 1
-                    break;
-                case 'ridged':
-                    // Ridged noise - creates sharp ridges and valleys
-                    let baseNoise = noise(normalizedX * pattern.scale * 100, normalizedY * pattern.scale * 100, time * pattern.speed * 10);
-                    value = 1.0 - Math.abs(baseNoise * 2 - 1) * 2 - 1; // Convert to ridged
-                    break;
-                default:
-                    // Fallback to simplex
-                    value = noise(normalizedX * pattern.scale * 100, normalizedY * pattern.scale * 100, time * pattern.speed * 10) * 2 - 1;
-            }
-            break;
+    PATTERN_REGISTRY[id] = {
+        id: id,
+        label: definition.label || id,
+        evaluate: definition.evaluate,
+        params: definition.params || {},
+        init: definition.init || null,
+        click: definition.click || null,
+        loopPeriod: definition.loopPeriod || 1.0,
+        randomize: definition.randomize !== false,
+        usesScale: definition.usesScale || false
+    };
 
-        case 'spiral':
-            // Create spiral pattern using polar coordinates
-            let angle = atan2(normalizedY - 0.5, normalizedX - 0.5);
-            let radius = dist(normalizedX, normalizedY, 0.5, 0.5);
-            value = sin(angle * 3 + radius * 20 + time * pattern.speed * 100);
-            break;
+    // Keep the Pattern Type dropdowns in sync with the registry
+    updatePatternTypeSelects();
 
-        case 'checkerboard':
-            // Create animated checkerboard pattern
-            let checkX = floor(normalizedX * pattern.scale * 100);
-            let checkY = floor(normalizedY * pattern.scale * 100);
-            value = ((checkX + checkY + floor(time * pattern.speed * 100)) % 2) * 2 - 1;
-            break;
+    return PATTERN_REGISTRY[id];
+}
 
-        case 'stripes':
-            // Create diagonal stripe pattern
-            value = sin((normalizedX + normalizedY) * pattern.scale * 200 + time * pattern.speed * 100);
-            break;
+/**
+ * Looks up a registered pattern definition
+ * @param {string} type - Pattern identifier
+ * @returns {object|null} Pattern definition or null if the type is not registered
+ */
+function getPatternDefinition(type) {
+    return PATTERN_REGISTRY[type] || null;
+}
 
-        case 'plasma':
-            // Create complex plasma effect using multiple sine waves
-            value = (sin(normalizedX * 16 + time * pattern.speed * 80) +
-                sin(normalizedY * 8 + time * pattern.speed * 60) +
-                sin((normalizedX + normalizedY) * 16 + time * pattern.speed * 40) +
-                sin(sqrt(normalizedX * normalizedX + normalizedY * normalizedY) * 8 + time * pattern.speed * 120)) / 4;
-            break;
+/**
+ * Checks whether a pattern's layer Scale setting changes how it looks: the pattern reads it, or its
+ * domain warp samples a pattern that does (source patterns take their owner's scale)
+ * @param {object} pattern - Pattern configuration object
+ * @returns {boolean} True if the Scale slider should be shown for the pattern
+ */
+function patternUsesScale(pattern) {
+    const definition = getPatternDefinition(pattern.type);
+    if (!definition) return false;
 
-        case 'mandelbrot':
-            // Create animated Mandelbrot set pattern (optimized)
-            let zx = (normalizedX - 0.5) * 4;
-            let zy = (normalizedY - 0.5) * 4;
-            let cx = zx + sin(time * pattern.speed * 50) * 0.3;
-            let cy = zy + cos(time * pattern.speed * 30) * 0.3;
-            // Performance optimization: reduce iterations based on target FPS
-            let mandelbrotIterations = targetFPS <= 30 ? 10 : 15;
-            value = mandelbrotIteration(cx, cy, mandelbrotIterations) / mandelbrotIterations;
-            break;
+    const usesScale = typeof definition.usesScale === 'function' ? definition.usesScale(pattern) : definition.usesScale;
+    if (usesScale) return true;
 
-        case 'julia':
-            // Create animated Julia set pattern (optimized)
-            let jx = (normalizedX - 0.5) * 4;
-            let jy = (normalizedY - 0.5) * 4;
-            let juliaC = { x: sin(time * pattern.speed * 100) * 0.8, y: cos(time * pattern.speed * 70) * 0.8 };
-            // Performance optimization: reduce iterations based on target FPS
-            let juliaIterations = targetFPS <= 30 ? 10 : 15;
-            value = juliaIteration(jx, jy, juliaC, juliaIterations) / juliaIterations;
-            break;
+    const warp = pattern.warp;
+    return Boolean(warp && warp.amplitude > 0 && getPatternDefinition(warp.source) &&
+        patternUsesScale(getSourcePattern(warpSourcePatterns, pattern, warp.source)));
+}
 
-        case 'voronoi':
-            // Create Voronoi diagram pattern
-            value = getVoronoiValue(normalizedX, normalizedY, time * pattern.speed);
-            break;
+/**
+ * Builds a pattern's parameter values from stored values, falling back to the schema defaults
+ * @param {string} type - Pattern identifier
+ * @param {object} [values] - Stored parameter values (e.g. from a pattern code)
+ * @returns {object} Parameter values for every parameter declared by the pattern
+ */
+function resolvePatternParams(type, values) {
+    const definition = getPatternDefinition(type);
+    return definition ? resolveParams(definition.params, values) : {};
+}
 
-        case 'tunnel':
-            // Create tunnel/wormhole effect
-            let tunnelAngle = atan2(normalizedY - 0.5, normalizedX - 0.5);
-            let tunnelRadius = dist(normalizedX, normalizedY, 0.5, 0.5);
-            value = sin(tunnelAngle * 8 + time * pattern.speed * 100) *
-                sin(1 / (tunnelRadius + 0.1) + time * pattern.speed * 50);
-            break;
+/**
+ * Builds parameter values for a schema from stored values, falling back to the schema defaults
+ * Select values that are not among the param's options (e.g. from a hand-edited code) fall back
+ * too, unless the param opts out with checkOptions: false
+ * @param {object} schema - Parameter schema (see registerPattern())
+ * @param {object} [values] - Stored parameter values (e.g. from a pattern code)
+ * @returns {object} Parameter values for every parameter in the schema
+ */
+function resolveParams(schema, values) {
+    const params = {};
+    for (const [name, param] of Object.entries(schema)) {
+        const isOption = param.type !== 'select' || param.checkOptions === false ||
+            Boolean(values) && getParamOptions(param).some(option => option.value === values[name]);
+        if (values && values[name] !== undefined && isOption) {
+            // Keep numeric values from codes inside the declared range
+            const isNumeric = param.min !== undefined && param.max !== undefined && typeof values[name] === 'number';
+            params[name] = isNumeric ? constrain(values[name], param.min, param.max) : values[name];
+        } else {
+            // Function defaults produce a fresh value each time (e.g. random seeds)
+            params[name] = typeof param.default === 'function' ? param.default() : param.default;
+        }
+    }
+    return params;
+}
 
-        case 'mosaic':
-            // Create mosaic/tiled pattern using hash function
-            let mosaicX = floor(normalizedX * pattern.scale * 200);
-            let mosaicY = floor(normalizedY * pattern.scale * 200);
-            let mosaicHash = ((mosaicX * 73856093) ^ (mosaicY * 19349663)) % 1000000;
-            value = (mosaicHash / 500000 - 1) + sin(time * pattern.speed * 100) * 0.3;
-            break;
-            
+/**
+ * Lists the options of a select param
+ * @param {object} param - Select param (see registerPattern())
+ * @returns {Array} Options [{ value, label }]
+ */
+function getParamOptions(param) {
+    return typeof param.options === 'function' ? param.options() : param.options;
+}
 
+/**
+ * Switches a pattern configuration to another registered type
+ * Resets its parameters (or applies the given ones) and runs the pattern's init hook
+ * @param {object} pattern - Pattern configuration object (a layer, see createLayer())
+ * @param {string} type - Pattern identifier
+ * @param {object} [params] - Parameter values to apply instead of the defaults
+ * @returns {boolean} False if the type is not registered (the pattern is left unchanged)
+ */
+function setPatternType(pattern, type, params = null) {
+    if (!getPatternDefinition(type)) {
+        console.warn(`Unknown pattern type '${type}'`);
+        return false;
     }
 
+    pattern.type = type;
+    pattern.params = resolvePatternParams(type, params);
+    initPattern(pattern);
+    return true;
+}
 
+/**
+ * Runs the init hook of a pattern's registered type, if it has one
+ * @param {object} pattern - Pattern configuration object
+ */
+function initPattern(pattern) {
+    const definition = getPatternDefinition(pattern.type);
+    if (definition && definition.init) {
+        definition.init(pattern);
+    }
+}
 
-    // Normalize to 0-1 range (convert from -1 to 1 range)
-    return (value + 1) / 2;
+/**
+ * Picks a random pattern type for the randomizer, skipping patterns registered with randomize: false
+ * @returns {string} Pattern identifier
+ */
+function getRandomPatternType() {
+    const types = PATTERN_TYPES.filter(type => PATTERN_REGISTRY[type].randomize);
+    return types[Math.floor(seededRandom() * types.length)];
 }
 
 /**
- * Calculates Mandelbrot set iteration count for a given complex number
- * @param {number} cx - Real part of complex number
- * @param {number} cy - Imaginary part of complex number
- * @param {number} maxIter - Maximum number of iterations
- * @returns {number} Number of iterations before escape (0 to maxIter)
+ * Forwards a canvas click to a pattern's click hook, if its type has one
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} x - Normalized click X (0-1)
+ * @param {number} y - Normalized click Y (0-1)
  */
-function mandelbrotIteration(cx, cy, maxIter) {
-    let zx = 0, zy = 0;
-    for (let i = 0; i < maxIter; i++) {
-        if (zx * zx + zy * zy > 4) return i; // Escape condition
-        let temp = zx * zx - zy * zy + cx;   // z^2 + c (real part)
-        zy = 2 * zx * zy + cy;               // z^2 + c (imaginary part)
-        zx = temp;
+function applyPatternClick(pattern, x, y) {
+    const definition = getPatternDefinition(pattern.type);
+    if (definition && definition.click) {
+        definition.click(pattern, x, y, settings.interactive.radius);
     }
-    return maxIter; // Point is in the set
 }
 
 /**
- * Calculates Julia set iteration count for a given complex number and constant
- * @param {number} zx - Real part of starting complex number
- * @param {number} zy - Imaginary part of starting complex number
- * @param {object} c - Complex constant {x: real, y: imaginary}
- * @param {number} maxIter - Maximum number of iterations
- * @returns {number} Number of iterations before escape (0 to maxIter)
+ * Rebuilds the Pattern Type dropdowns from the registry, keeping the current selections
  */
-function juliaIteration(zx, zy, c, maxIter) {
-    for (let i = 0; i < maxIter; i++) {
-        if (zx * zx + zy * zy > 4) return i; // Escape condition
-        let temp = zx * zx - zy * zy + c.x;  // z^2 + c (real part)
-        zy = 2 * zx * zy + c.y;              // z^2 + c (imaginary part)
-        zx = temp;
+function updatePatternTypeSelects() {
+    settings.layers.forEach(pattern => {
+        const select = document.getElementById(`${getLayerPrefix(pattern)}Type`);
+        if (!select) return;
+
+        select.innerHTML = '';
+        PATTERN_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = PATTERN_REGISTRY[type].label;
+            select.appendChild(option);
+        });
+        select.value = pattern.type;
+    });
+}
+
+// Layer stack - an ordered list of pattern layers blended bottom to top
+
+/**
+ * Creates a layer: a pattern configuration plus its color, character set and blending
+ * @param {object} [values] - Layer settings in pattern code format (see getLayerCode());
+ *     missing settings fall back to LAYER_DEFAULTS
+ * @returns {object} Layer (a pattern configuration object usable with getPatternValue())
+ */
+function createLayer(values = {}) {
+    const layerValues = { ...LAYER_DEFAULTS };
+    Object.entries(values).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) layerValues[key] = value;
+    });
+    const layer = {
+        id: nextLayerId++,
+        type: LAYER_DEFAULTS.type,
+        params: {},
+        speed: layerValues.speed,
+        scale: layerValues.scale,
+        baseColor: layerValues.color,  // Color picked by the user (or palette)
+        color: layerValues.color,      // Color drawn this frame (after color animation)
+        glow: layerValues.glow,
+        noiseVariant: layerValues.noiseVariant,
+        transform: resolveParams(TRANSFORM_PARAMS, layerValues.transform),
+        warp: resolveParams(WARP_PARAMS, layerValues.warp),
+        mask: resolveParams(MASK_PARAMS, layerValues.mask),
+        ramp: layerValues.charSet || LAYER_DEFAULTS.charSet,
+        // Unknown dither modes (e.g. from a hand-edited code) draw undithered
+        dither: DITHER_MODES.some(mode => mode.value === layerValues.dither) ? layerValues.dither : 'none',
+        edges: resolveParams(EDGE_PARAMS, layerValues.edges),
+        gradient: createGradientMap(layerValues.gradient),
+        blendMode: layerValues.blendMode,
+        opacity: constrain(layerValues.opacity, 0, 1),
+        visible: layerValues.visible,
+        solo: layerValues.solo,
+        audio: resolveParams(LAYER_AUDIO_PARAMS, layerValues.audio),
+        locks: { type: false, speed: false, scale: false, color: false }
+    };
+
+    // Unknown types (e.g. from a code made with a custom pattern) keep the default type
+    if (!setPatternType(layer, layerValues.type, layerValues.params)) {
+        setPatternType(layer, LAYER_DEFAULTS.type);
     }
-    return maxIter; // Point is in the set
+    return layer;
+}
+
+/**
+ * Returns a layer's settings in pattern code format
+ * @param {object} layer - Layer
+ * @returns {object} Layer settings accepted by createLayer()
+ */
+function getLayerCode(layer) {
+    return {
+        type: layer.type,
+        speed: layer.speed,
+        scale: layer.scale,
+        color: layer.baseColor,
+        glow: layer.glow,
+        noiseVariant: layer.noiseVariant,
+        params: layer.params,
+        transform: layer.transform,
+        warp: layer.warp,
+        mask: layer.mask,
+        charSet: layer.ramp,
+        dither: layer.dither,
+        edges: layer.edges,
+        gradient: layer.gradient,
+        blendMode: layer.blendMode,
+        opacity: layer.opacity,
+        visible: layer.visible,
+        solo: layer.solo,
+        audio: layer.audio
+    };
 }
 
 /**
- * Initializes Voronoi pattern points with random positions and velocities
- * Creates 8 moving points that will define the Voronoi diagram regions
+ * Converts a pattern code from before the layer stack (pattern1 plus an optional pattern2)
+ * into layer settings
+ * @param {object} codeSettings - Decoded pattern code
+ * @returns {Array} Layer settings for createLayer() (empty if the code has no patterns)
  */
-function initVoronoi() {
-    voronoiPoints = [];
-    for (let i = 0; i < 8; i++) {
-        voronoiPoints.push({
-            x: Math.random(),                    // Random initial X position
-            y: Math.random(),                    // Random initial Y position
-            vx: (Math.random() - 0.5) * 0.02,   // Random X velocity
-            vy: (Math.random() - 0.5) * 0.02    // Random Y velocity
+function getLegacyLayerCodes(codeSettings) {
+    const colors = codeSettings.colors || {};
+    const routes = (codeSettings.audio && codeSettings.audio.routes) || {};
+    const layers = [];
+
+    ['pattern1', 'pattern2'].forEach((key, index) => {
+        const values = codeSettings[key];
+        if (!values || (index > 0 && !values.enabled)) return;
+
+        layers.push({
+            ...values,
+            blendMode: colors.blendMode,
+            opacity: colors.blendAmount,
+            audio: {
+                speedSource: routes[`${key}SpeedSource`],
+                speedAmount: routes[`${key}SpeedAmount`],
+                scaleSource: routes[`${key}ScaleSource`],
+                scaleAmount: routes[`${key}ScaleAmount`],
+                opacitySource: index > 0 ? routes.blendAmountSource : undefined,
+                opacityAmount: index > 0 ? routes.blendAmountAmount : undefined
+            }
         });
-    }
+    });
+    return layers;
 }
 
 /**
- * Calculates Voronoi diagram value for a given position
- * @param {number} x - Normalized X coordinate (0-1)
- * @param {number} y - Normalized Y coordinate (0-1)
- * @param {number} timeOffset - Time offset for animation
- * @returns {number} Voronoi value in -1 to 1 range
+ * Returns the id prefix of a layer's sidebar controls (e.g. 'layer3' for 'layer3Speed')
+ * @param {object} layer - Layer
+ * @returns {string} Control id prefix
  */
-function getVoronoiValue(x, y, timeOffset) {
-    // Update point positions (move points around)
-    for (let point of voronoiPoints) {
-        point.x += point.vx;
-        point.y += point.vy;
+function getLayerPrefix(layer) {
+    return `layer${layer.id}`;
+}
 
-        // Bounce points off edges to keep them within bounds
-        if (point.x <= 0 || point.x >= 1) point.vx *= -1;
-        if (point.y <= 0 || point.y >= 1) point.vy *= -1;
-        point.x = constrain(point.x, 0, 1);
-        point.y = constrain(point.y, 0, 1);
-    }
+/**
+ * Lists the layers that are drawn: the soloed layers if any layer is soloed, otherwise the visible ones
+ * @returns {Array} Layers from bottom to top
+ */
+function getActiveLayers() {
+    const soloed = settings.layers.filter(layer => layer.solo);
+    return soloed.length > 0 ? soloed : settings.layers.filter(layer => layer.visible);
+}
 
-    // Find the two closest points to create Voronoi regions
-    let minDist = Infinity;
-    let secondMinDist = Infinity;
+// Result of compositeLayers(), reused for every cell to avoid allocating in the render loop
+const compositeCell = { value: 0, color: '#ffffff', ramp: LAYER_DEFAULTS.charSet, dither: 'none', edges: null, glow: 0 };
 
-    for (let point of voronoiPoints) {
-        let d = dist(x, y, point.x, point.y);
-        if (d < minDist) {
-            secondMinDist = minDist;
-            minDist = d;
-        } else if (d < secondMinDist) {
-            secondMinDist = d;
+/**
+ * Blends layers bottom to top for one grid cell
+ * Each layer mixes its value and color (flat, or from its gradient map) onto the result so far with
+ * its blend mode, scaled by its opacity and mask, and takes over the character set where it blends in strongly
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @param {Array} layers - Layers from bottom to top (see getActiveLayers())
+ * @param {number} time - Current animation time
+ * @returns {object} { value (0-1), color, ramp, dither, edges, glow (0-1) } - shared object, overwritten by the next call
+ */
+function compositeLayers(x, y, layers, time) {
+    const cell = compositeCell;
+    cell.value = 0;
+    cell.color = '#ffffff';
+    cell.ramp = LAYER_DEFAULTS.charSet;
+    cell.dither = 'none';
+    cell.edges = null;
+    cell.glow = 0;
+
+    layers.forEach((layer, index) => {
+        const value = getPatternValue(x, y, layer, time);
+        const alpha = getLayerMaskAlpha(layer, x, y, time);
+        const color = layer.gradient.enabled ? getGradientColor(layer.gradient, value) : layer.color;
+
+        if (index === 0) {
+            // Masked-out parts of the bottom layer are empty
+            cell.value = value * alpha;
+            cell.color = color;
+            cell.ramp = layer.ramp;
+            cell.dither = layer.dither;
+            cell.edges = layer.edges;
+        } else {
+            const opacity = layer.opacity * alpha;
+            cell.color = blendColors(cell.color, color, layer.blendMode, cell.value, value, opacity);
+
+            // Switch to this layer's character set (and its dithering and edges) where it dominates the blend
+            if (cell.value * value * opacity >= 0.5) {
+                cell.ramp = layer.ramp;
+                cell.dither = layer.dither;
+                cell.edges = layer.edges;
+            }
+            // Opacity is the blend amount of blendValues() (as in codes from before the layer stack), and the
+            // mask fades between that result and the layers below
+            cell.value = lerp(cell.value, blendValues(cell.value, value, layer.blendMode, layer.opacity), alpha);
         }
-    }
 
-    // Create pattern based on distance difference between closest and second-closest points
-    return ((secondMinDist - minDist) * 10 + sin(timeOffset * 100)) * 2 - 1;
+        if (layer.glow) {
+            cell.glow = Math.max(cell.glow, value * alpha);
+        }
+    });
+    return cell;
 }
 
 /**
- * Converts a hex color string to RGB object
- * @param {string} hex - Hex color string (e.g., "#ff0000" or "ff0000")
- * @returns {object} RGB object with r, g, b properties (0-255)
+ * Adds a layer on top of the stack
+ * @param {object} [values] - Layer settings (see createLayer())
+ * @returns {object} The new layer
  */
-function hexToRgb(hex) {
-    let result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : { r: 255, g: 255, b: 255 }; // Default to white if parsing fails
+function addLayer(values = {}) {
+    const layer = createLayer(values);
+    settings.layers.push(layer);
+    return layer;
 }
 
 /**
- * Converts HSL color values to hex string
- * @param {number} h - Hue (0-360)
- * @param {number} s - Saturation (0-100)
- * @param {number} l - Lightness (0-100)
- * @returns {string} Hex color string
+ * Removes a layer from the stack; the last remaining layer is kept
+ * @param {object} layer - Layer
+ * @returns {boolean} False if the layer was not removed
  */
-function hslToHex(h, s, l) {
-    l /= 100;
-    const a = s * Math.min(l, 1 - l) / 100;
-    const f = n => {
-        const k = (n + h / 30) % 12;
-        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-        return Math.round(255 * color).toString(16).padStart(2, '0');
-    };
-    return `#${f(0)}${f(8)}${f(4)}`;
+function removeLayer(layer) {
+    const index = settings.layers.indexOf(layer);
+    if (index < 0 || settings.layers.length <= 1) return false;
+    const previousLayers = settings.layers.slice();
+    settings.layers.splice(index, 1);
+    updateMaskLayerReferences(previousLayers);
+    return true;
 }
 
 /**
- * Blends two colors using various blend modes
- * @param {string} color1Hex - First color in hex format
- * @param {string} color2Hex - Second color in hex format
- * @param {string} mode - Blend mode: 'add', 'multiply', 'overlay', 'difference', 'screen'
- * @param {number} value1 - Pattern value from first pattern (0-1)
- * @param {number} value2 - Pattern value from second pattern (0-1)
- * @param {number} amount - Blend intensity (0-1)
- * @returns {string} Blended color in RGB format
+ * Moves a layer to another position in the stack
+ * @param {object} layer - Layer
+ * @param {number} index - New position (0 is the bottom layer)
  */
-function blendColors(color1Hex, color2Hex, mode, value1, value2, amount) {
-    let color1 = hexToRgb(color1Hex);
-    let color2 = hexToRgb(color2Hex);
-
-    // Calculate local blend factor based on pattern values and blend amount
-    let localBlend = value1 * value2 * amount;
+function moveLayer(layer, index) {
+    const from = settings.layers.indexOf(layer);
+    if (from < 0) return;
+    const previousLayers = settings.layers.slice();
+    settings.layers.splice(from, 1);
+    settings.layers.splice(constrain(index, 0, settings.layers.length), 0, layer);
+    updateMaskLayerReferences(previousLayers);
+}
 
-    let r, g, b;
+/**
+ * Calculates the pattern value for a specific grid cell
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} time - Current animation time
+ * @returns {number} Pattern value in 0-1 range
+ */
+function getPatternValue(x, y, pattern, time) {
+    // Convert grid coordinates to normalized coordinates (0-1 range)
+    let normalizedX = x / gridCols;
+    let normalizedY = y / gridRows;
+    let col = x;
+    let row = y;
 
-    // Apply different blend modes
-    switch (mode) {
-        case 'add':
-            // Additive blending (brightens the result)
-            r = constrain(color1.r + (color2.r * localBlend), 0, 255);
-            g = constrain(color1.g + (color2.g * localBlend), 0, 255);
-            b = constrain(color1.b + (color2.b * localBlend), 0, 255);
-            break;
+    // Unknown pattern types render as a flat mid value
+    const definition = getPatternDefinition(pattern.type);
+    if (!definition) return 0.5;
 
-        case 'multiply':
-            // Multiplicative blending (darkens the result)
-            r = lerp(color1.r, (color1.r * color2.r) / 255, localBlend);
-            g = lerp(color1.g, (color1.g * color2.g) / 255, localBlend);
-            b = lerp(color1.b, (color1.b * color2.b) / 255, localBlend);
-            break;
+    // Audio speed routes run the layer's clock faster on loud passages
+    if (audioTrack) {
+        time = getAudioLayerTime(pattern, time);
+    }
 
-        case 'overlay':
-            // Overlay blending (combines multiply and screen)
-            r = lerp(color1.r, color1.r < 128 ? (2 * color1.r * color2.r) / 255 : 255 - (2 * (255 - color1.r) * (255 - color2.r)) / 255, localBlend);
-            g = lerp(color1.g, color1.g < 128 ? (2 * color1.g * color2.g) / 255 : 255 - (2 * (255 - color1.g) * (255 - color2.g)) / 255, localBlend);
-            b = lerp(color1.b, color1.b < 128 ? (2 * color1.b * color2.b) / 255 : 255 - (2 * (255 - color1.b) * (255 - color2.b)) / 255, localBlend);
-            break;
+    let moved = false;
 
-        case 'difference':
-            // Difference blending (shows the difference between colors)
-            r = lerp(color1.r, Math.abs(color1.r - color2.r), localBlend);
-            g = lerp(color1.g, Math.abs(color1.g - color2.g), localBlend);
-            b = lerp(color1.b, Math.abs(color1.b - color2.b), localBlend);
-            break;
+    // Apply the layer's domain transform (rotation, mirroring, kaleidoscope, ...)
+    if (pattern.transform && !isIdentityTransform(pattern.transform)) {
+        const point = transformCoordinates(normalizedX, normalizedY, pattern.transform, time);
+        normalizedX = point.x;
+        normalizedY = point.y;
+        moved = true;
+    }
 
-        case 'screen':
-            // Screen blending (lightens the result)
-            r = lerp(color1.r, 255 - (((255 - color1.r) * (255 - color2.r)) / 255), localBlend);
-            g = lerp(color1.g, 255 - (((255 - color1.g) * (255 - color2.g)) / 255), localBlend);
-            b = lerp(color1.b, 255 - (((255 - color1.b) * (255 - color2.b)) / 255), localBlend);
-            break;
+    // Offset the sample position by the layer's warp field (noise or another pattern)
+    if (pattern.warp && pattern.warp.amplitude > 0) {
+        const point = warpCoordinates(normalizedX, normalizedY, pattern, time);
+        normalizedX = point.x;
+        normalizedY = point.y;
+        moved = true;
+    }
 
-        default:
-            // Linear interpolation (default)
-            r = lerp(color1.r, color2.r, localBlend);
-            g = lerp(color1.g, color2.g, localBlend);
-            b = lerp(color1.b, color2.b, localBlend);
+    // Grid-based patterns (e.g. cellular automata) sample the cell under the moved point
+    if (moved) {
+        col = getWrappedGridIndex(normalizedX, gridCols);
+        row = getWrappedGridIndex(normalizedY, gridRows);
     }
 
-    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+    let value = definition.evaluate(normalizedX, normalizedY, pattern, time, col, row);
+
+    // Normalize to 0-1 range (convert from -1 to 1 range)
+    return (value + 1) / 2;
 }
 
 /**
- * Applies a glow effect to the current drawing context
- * @param {string} color - Color string (RGB or hex format)
- * @param {number} intensity - Glow intensity (0-1)
- * @param {number} charSize - Character size for scaling the glow
+ * Converts a normalized coordinate into a grid index, wrapping values outside 0-1 around the grid
+ * @param {number} value - Normalized coordinate
+ * @param {number} size - Number of columns or rows
+ * @returns {number} Grid index (0 to size - 1)
  */
-function applyGlow(color, intensity, charSize) {
-    if (intensity <= 0) return;
-
-    // Performance optimization: check glow quality setting
-    const glowQuality = 'medium'; // Default to medium quality
-    if (glowQuality === 'low') return; // Skip glow entirely for low quality
+function getWrappedGridIndex(value, size) {
+    return ((Math.floor(value * size) % size) + size) % size;
+}
 
-    // Performance optimization: cache color parsing
-    let r, g, b;
-    
-    // Parse color to extract RGB values
-    let colorMatch = color.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-    if (!colorMatch) {
-        // Handle hex colors if rgb parsing fails
-        let hexMatch = color.match(/#([a-fA-F0-9]{2})([a-fA-F0-9]{2})([a-fA-F0-9]{2})/);
-        if (hexMatch) {
-            r = parseInt(hexMatch[1], 16);
-            g = parseInt(hexMatch[2], 16);
-            b = parseInt(hexMatch[3], 16);
-        } else {
-            return; // Skip glow if color parsing fails
-        }
-    } else {
-        r = parseInt(colorMatch[1]);
-        g = parseInt(colorMatch[2]);
-        b = parseInt(colorMatch[3]);
-    }
+// Domain transforms - per-layer coordinate transforms applied before a pattern is evaluated
+
+// Transform parameter schema (same format as pattern params); speeds are per second of animation time
+const TRANSFORM_PARAMS = {
+    rotation: { label: 'Rotation (°)', default: 0, min: -180, max: 180, step: 1 },
+    rotationSpeed: { label: 'Rotation Speed (°/s)', default: 0, min: -90, max: 90, step: 1 },
+    zoom: { label: 'Zoom', default: 1, min: 0.25, max: 4, step: 0.05 },
+    zoomPulse: { label: 'Zoom Pulse', default: 0, min: 0, max: 0.5, step: 0.01 },
+    offsetX: { label: 'Offset X', default: 0, min: -1, max: 1, step: 0.01 },
+    offsetY: { label: 'Offset Y', default: 0, min: -1, max: 1, step: 0.01 },
+    scrollX: { label: 'Scroll X (/s)', default: 0, min: -0.5, max: 0.5, step: 0.01 },
+    scrollY: { label: 'Scroll Y (/s)', default: 0, min: -0.5, max: 0.5, step: 0.01 },
+    mirrorX: { label: 'Mirror X', default: false, type: 'boolean' },
+    mirrorY: { label: 'Mirror Y', default: false, type: 'boolean' },
+    polar: { label: 'Polar Wrap', default: false, type: 'boolean' },
+    kaleidoscope: { label: 'Kaleidoscope Segments (0 = off)', default: 0, min: 0, max: 16, step: 1 },
+    kaleidoscopeSpin: { label: 'Kaleidoscope Spin (°/s)', default: 0, min: -90, max: 90, step: 1 }
+};
 
-    // Performance optimization: adjust glow based on quality setting
-    let glowSize, glowAlpha;
-    switch (glowQuality) {
-        case 'low':
-            return; // Already handled above
-        case 'medium':
-            glowSize = intensity * charSize * 1.5;  // Reduced for medium quality
-            glowAlpha = Math.min(intensity * 1.0, 0.6);  // Reduced for medium quality
-            break;
-        case 'high':
-            glowSize = intensity * charSize * 2.5;  // Full quality
-            glowAlpha = Math.min(intensity * 1.3, 0.9);  // Full quality
-            break;
-        default:
-            glowSize = intensity * charSize * 2.0;  // Default medium
-            glowAlpha = Math.min(intensity * 1.2, 0.8);
-    }
+// Reused result of transformCoordinates() to avoid allocating per cell
+const transformedPoint = { x: 0, y: 0 };
 
-    // Performance optimization: only apply glow if intensity is significant
-    if (intensity > 0.1) {
-        push();
-        // Apply shadow-based glow effect
-        drawingContext.shadowColor = `rgba(${r}, ${g}, ${b}, ${glowAlpha})`;
-        drawingContext.shadowBlur = glowSize;
-        drawingContext.shadowOffsetX = 0;
-        drawingContext.shadowOffsetY = 0;
-        pop();
-    }
+/**
+ * Checks whether a domain transform leaves coordinates unchanged
+ * @param {object} transform - Transform values (see TRANSFORM_PARAMS)
+ * @returns {boolean} True if the transform can be skipped
+ */
+function isIdentityTransform(transform) {
+    return transform.rotation === 0 && transform.rotationSpeed === 0 &&
+        transform.zoom === 1 && transform.zoomPulse === 0 &&
+        transform.offsetX === 0 && transform.offsetY === 0 &&
+        transform.scrollX === 0 && transform.scrollY === 0 &&
+        !transform.mirrorX && !transform.mirrorY && !transform.polar &&
+        transform.kaleidoscope < 2;
 }
 
 /**
- * Blends two pattern values using various mathematical blend modes
- * @param {number} value1 - First pattern value (0-1)
- * @param {number} value2 - Second pattern value (0-1)
- * @param {string} mode - Blend mode: 'add', 'multiply', 'overlay', 'difference', 'screen'
- * @param {number} amount - Blend intensity (0-1)
- * @returns {number} Blended value (0-1)
+ * Applies a domain transform to normalized coordinates
+ * Order: mirror, kaleidoscope, rotation, zoom, polar wrap, offset. Angles are computed
+ * in screen space (corrected for the grid's aspect ratio) so symmetry isn't stretched.
+ * @param {number} x - Normalized X coordinate (0-1)
+ * @param {number} y - Normalized Y coordinate (0-1)
+ * @param {object} transform - Transform values (see TRANSFORM_PARAMS)
+ * @param {number} time - Current animation time in seconds
+ * @returns {object} Transformed coordinates {x, y} (shared object, copy before the next call)
  */
-function blendValues(value1, value2, mode, amount) {
-    // Adjust second value based on blend amount
-    value2 = lerp(0.5, value2, amount);
+function transformCoordinates(x, y, transform, time) {
+    const aspect = (gridCols * baseCharWidth) / (gridRows * baseCharHeight);
+
+    // Work around the grid center in aspect-corrected units
+    let u = (x - 0.5) * aspect;
+    let v = y - 0.5;
+
+    if (transform.mirrorX) u = Math.abs(u);
+    if (transform.mirrorY) v = Math.abs(v);
+
+    // Fold every angle into one wedge, mirrored so neighbouring wedges meet seamlessly
+    if (transform.kaleidoscope >= 2) {
+        const wedge = TWO_PI / transform.kaleidoscope;
+        const spin = transform.kaleidoscopeSpin * time * Math.PI / 180;
+        const radius = Math.sqrt(u * u + v * v);
+        let angle = ((Math.atan2(v, u) + spin) % wedge + wedge) % wedge;
+        if (angle > wedge / 2) angle = wedge - angle;
+        u = radius * Math.cos(angle);
+        v = radius * Math.sin(angle);
+    }
 
-    // Apply different mathematical blend modes
-    switch (mode) {
-        case 'add':
-            // Additive blending (brightens)
-            return constrain(value1 + value2 - 0.5, 0, 1);
-        case 'multiply':
-            // Multiplicative blending (darkens)
-            return value1 * value2;
-        case 'overlay':
-            // Overlay blending (combines multiply and screen)
-            return value1 < 0.5 ? 2 * value1 * value2 : 1 - 2 * (1 - value1) * (1 - value2);
-        case 'difference':
-            // Difference blending (shows contrast)
-            return Math.abs(value1 - value2);
-        case 'screen':
-            // Screen blending (lightens)
-            return 1 - (1 - value1) * (1 - value2);
-        default:
-            // Return original value if mode not recognized
-            return value1;
+    const rotation = (transform.rotation + transform.rotationSpeed * time) * Math.PI / 180;
+    if (rotation !== 0) {
+        const cosR = Math.cos(rotation);
+        const sinR = Math.sin(rotation);
+        const rotatedU = u * cosR - v * sinR;
+        v = u * sinR + v * cosR;
+        u = rotatedU;
+    }
+
+    // Zoom pulse breathes in and out every two seconds
+    const zoom = transform.zoom * (1 + transform.zoomPulse * Math.sin(time * Math.PI));
+    u /= zoom;
+    v /= zoom;
+
+    if (transform.polar) {
+        // Angle around the center becomes X, distance from it becomes Y
+        transformedPoint.x = Math.atan2(v, u) / TWO_PI + 0.5;
+        transformedPoint.y = Math.sqrt(u * u + v * v) * 2;
+    } else {
+        transformedPoint.x = u / aspect + 0.5;
+        transformedPoint.y = v + 0.5;
     }
+
+    transformedPoint.x += transform.offsetX + transform.scrollX * time;
+    transformedPoint.y += transform.offsetY + transform.scrollY * time;
+    return transformedPoint;
 }
 
-/**
- * p5.js mouse moved event handler
- * Updates mouse position for interactive effects when interactive mode is enabled
- */
-function mouseMoved() {
-    if (settings.interactive.enabled) {
-        // Calculate grid dimensions and position
-        let gridPixelWidth = gridCols * baseCharWidth * gridScale;
-        let gridPixelHeight = gridRows * baseCharHeight * gridScale;
-        let startX = (width - gridPixelWidth) / 2;
-        let startY = (height - gridPixelHeight) / 2;
+// Domain warping - offsets sample coordinates by a noise field or another pattern before evaluation
 
-        // Convert mouse position to grid-relative coordinates
-        let relativeX = mouseX - startX;
-        let relativeY = mouseY - startY;
+// Warp parameter schema (same format as pattern params); an amplitude of 0 turns warping off
+const WARP_PARAMS = {
+    source: { label: 'Warp Source', default: 'noise', type: 'select', options: getWarpSourceOptions },
+    amplitude: { label: 'Amplitude', default: 0, min: 0, max: 0.5, step: 0.01 },
+    frequency: { label: 'Frequency', default: 1, min: 0.1, max: 8, step: 0.1 },
+    octaves: { label: 'Octaves', default: 3, min: 1, max: 6, step: 1 },
+    speed: { label: 'Evolution Speed (/s)', default: 0.2, min: 0, max: 2, step: 0.05 }
+};
 
-        // Convert to normalized coordinates (0-1 range)
-        mousePos.x = relativeX / gridPixelWidth;
-        mousePos.y = relativeY / gridPixelHeight;
+// Hidden pattern configs used as warp sources, keyed by the warped layer's config
+const warpSourcePatterns = new WeakMap();
 
-        // Clamp to 0-1 range to ensure coordinates are within bounds
-        mousePos.x = constrain(mousePos.x, 0, 1);
-        mousePos.y = constrain(mousePos.y, 0, 1);
+// Reused result of warpCoordinates() to avoid allocating per cell
+const warpedPoint = { x: 0, y: 0 };
+
+/**
+ * Returns a hidden pattern config of the given type owned by a layer (e.g. its warp source)
+ * Each owner gets its own config, so stateful source patterns keep separate state
+ * @param {WeakMap} cache - Source configs keyed by owner
+ * @param {object} owner - Pattern configuration object that uses the source
+ * @param {string} type - Source pattern type
+ * @returns {object} Source pattern configuration (speed and scale follow the owner)
+ */
+function getSourcePattern(cache, owner, type) {
+    let source = cache.get(owner);
+    if (!source || source.type !== type) {
+        source = { type: null, owner: owner, speed: owner.speed, scale: owner.scale, noiseVariant: owner.noiseVariant, params: {} };
+        setPatternType(source, type);
+        cache.set(owner, source);
     }
+    source.speed = owner.speed;
+    source.scale = owner.scale;
+    return source;
 }
 
 /**
- * p5.js mouse pressed event handler
- * Creates click ripple effects when interactive mode and click effects are enabled
+ * Evaluates a source pattern at a normalized position
+ * @param {object} source - Source pattern configuration (see getSourcePattern())
+ * @param {number} x - Normalized X coordinate (may lie outside 0-1)
+ * @param {number} y - Normalized Y coordinate (may lie outside 0-1)
+ * @param {number} time - Current animation time
+ * @returns {number} Pattern value in -1 to 1 range
  */
-function mousePressed() {
-    if (settings.interactive.enabled && settings.interactive.clickEnabled) {
-        // Calculate grid dimensions and position
-        let gridPixelWidth = gridCols * baseCharWidth * gridScale;
-        let gridPixelHeight = gridRows * baseCharHeight * gridScale;
-        let startX = (width - gridPixelWidth) / 2;
-        let startY = (height - gridPixelHeight) / 2;
+function sampleSourcePattern(source, x, y, time) {
+    const definition = getPatternDefinition(source.type);
+    return definition.evaluate(x, y, source, time, getWrappedGridIndex(x, gridCols), getWrappedGridIndex(y, gridRows));
+}
 
-        // Convert mouse position to grid-relative coordinates
-        let relativeX = mouseX - startX;
-        let relativeY = mouseY - startY;
+/**
+ * Lists the available warp sources: noise plus every registered pattern
+ * @returns {Array} Options [{ value, label }]
+ */
+function getWarpSourceOptions() {
+    return [{ value: 'noise', label: 'Noise' }].concat(
+        PATTERN_TYPES.map(type => ({ value: type, label: `Pattern: ${PATTERN_REGISTRY[type].label}` }))
+    );
+}
 
-        // Convert to normalized coordinates (0-1 range)
-        let normalizedX = relativeX / gridPixelWidth;
-        let normalizedY = relativeY / gridPixelHeight;
+/**
+ * Samples one warp axis: fractal noise, or a pattern summed over octaves
+ * @param {number} x - Sample X coordinate
+ * @param {number} y - Sample Y coordinate
+ * @param {number} z - Noise time coordinate
+ * @param {object} warp - Warp values (see WARP_PARAMS)
+ * @param {object|null} source - Pattern config used as source, or null for noise
+ * @param {number} time - Current animation time
+ * @returns {number} Warp offset in -1 to 1 range
+ */
+function sampleWarpField(x, y, z, warp, source, time) {
+    let value = 0;
+    let amplitude = 1.0;
+    let frequency = warp.frequency;
+    let total = 0;
 
-        // Only add click effects if within grid bounds
-        if (normalizedX >= 0 && normalizedX <= 1 && normalizedY >= 0 && normalizedY <= 1) {
-            clickEffects.push({
-                x: normalizedX,
-                y: normalizedY,
-                life: 3.0,                    // Initial life in seconds
-                maxLife: 3.0,                 // Maximum life for decay calculation
-                strength: settings.interactive.strength,
-                radius: settings.interactive.radius
-            });
+    for (let i = 0; i < warp.octaves; i++) {
+        if (source) {
+            value += amplitude * sampleSourcePattern(source, x * frequency, y * frequency, time);
+        } else {
+            value += amplitude * (noise(x * frequency * 4 + 100, y * frequency * 4 + 100, z) * 2 - 1);
         }
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2.0;
     }
+    return value / total;
 }
 
-function setupControls() {
-    // Helper function to safely add event listeners
-    function safeAddEventListener(elementId, eventType, handler) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.addEventListener(eventType, handler);
-        } else {
-            console.warn(`Element with id '${elementId}' not found`);
-        }
-    }
+/**
+ * Offsets normalized coordinates by a layer's warp field
+ * @param {number} x - Normalized X coordinate (0-1)
+ * @param {number} y - Normalized Y coordinate (0-1)
+ * @param {object} pattern - Pattern configuration object (uses pattern.warp)
+ * @param {number} time - Current animation time in seconds
+ * @returns {object} Warped coordinates {x, y} (shared object, copy before the next call)
+ */
+function warpCoordinates(x, y, pattern, time) {
+    const warp = pattern.warp;
+    let source = null;
 
-    // Setup dropdown functionality
-    setupDropdowns();
+    if (warp.source !== 'noise' && getPatternDefinition(warp.source)) {
+        source = getSourcePattern(warpSourcePatterns, pattern, warp.source);
+    }
 
-    // Display Settings
-    safeAddEventListener('gridCols', 'input', (e) => {
-        settings.gridCols = parseInt(e.target.value);
-        gridCols = settings.gridCols;
-        const gridColsValueElement = document.getElementById('gridColsValue');
-        if (gridColsValueElement) gridColsValueElement.textContent = e.target.value;
-        updateCanvasSize();
-    });
+    // Two decorrelated samples give the X and Y offsets
+    const z = time * warp.speed;
+    warpedPoint.x = x + sampleWarpField(x, y, z, warp, source, time) * warp.amplitude;
+    warpedPoint.y = y + sampleWarpField(x + 5.2, y + 1.3, z + 17.8, warp, source, time) * warp.amplitude;
+    return warpedPoint;
+}
 
-    safeAddEventListener('gridRows', 'input', (e) => {
-        settings.gridRows = parseInt(e.target.value);
-        gridRows = settings.gridRows;
-        const gridRowsValueElement = document.getElementById('gridRowsValue');
-        if (gridRowsValueElement) gridRowsValueElement.textContent = e.target.value;
-        updateCanvasSize();
-    });
+// Layer masks - gate a layer's contribution by another layer's value or a painted mask
+
+// Mask parameter schema (same format as pattern params); a source of 'none' turns masking off
+const MASK_PARAMS = {
+    source: {
+        label: 'Mask Source',
+        default: 'none',
+        type: 'select',
+        options: [
+            { value: 'none', label: 'Off' },
+            { value: 'painted', label: 'Painted' },
+            { value: 'layer', label: 'Layer' }
+        ]
+    },
+    // Stack position of the masking layer (0 is the bottom layer), kept pointing at the same layer as layers move.
+    // Masks can point at layers above their own, so codes are checked once the whole stack is built
+    // (see checkMaskLayerReferences())
+    layer: {
+        label: 'Mask Layer', default: 0, type: 'select', options: getMaskLayerOptions, checkOptions: false,
+        visible: values => values.source === 'layer'
+    },
+    mode: {
+        label: 'Mask Mode',
+        default: 'value',
+        type: 'select',
+        options: [
+            { value: 'value', label: 'Value (soft)' },
+            { value: 'threshold', label: 'Threshold' }
+        ]
+    },
+    threshold: { label: 'Threshold', default: 0.5, min: 0, max: 1, step: 0.01 },
+    feather: { label: 'Feather', default: 0.05, min: 0, max: 0.5, step: 0.01 },
+    invert: { label: 'Invert', default: false, type: 'boolean' },
+    // Painted cells, run-length encoded (see encodePaintedMask()); edited on the canvas
+    painted: { label: 'Painted Mask', default: '', type: 'text' }
+};
 
-    safeAddEventListener('charSize', 'input', (e) => {
-        settings.charSize = parseInt(e.target.value);
-        const charSizeValueElement = document.getElementById('charSizeValue');
-        if (charSizeValueElement) charSizeValueElement.textContent = e.target.value;
-        updateCanvasSize();
-    });
+// Decoded painted masks keyed by layer: { data, cols, rows, cells, blurred, blurRadius }
+const paintedMasks = new WeakMap();
 
-    safeAddEventListener('charSpacing', 'input', (e) => {
-        settings.charSpacing = parseFloat(e.target.value);
-        const charSpacingValueElement = document.getElementById('charSpacingValue');
-        if (charSpacingValueElement) charSpacingValueElement.textContent = e.target.value;
-        updateCanvasSize();
+/**
+ * Lists the layers a mask can use, named as in the layer list
+ * @returns {Array} Options [{ value, label }]
+ */
+function getMaskLayerOptions() {
+    return settings.layers.map((layer, index) => {
+        const definition = getPatternDefinition(layer.type);
+        return { value: index, label: `Layer ${index + 1}: ${definition ? definition.label : layer.type}` };
     });
+}
 
-    // Character Set
-    document.getElementById('pattern1CharSet').addEventListener('change', (e) => {
-        const selectedSet = e.target.value;
-        const customInput = document.getElementById('pattern1CustomCharInput');
-
-        if (selectedSet === 'custom1') {
-            customInput.style.display = 'block';
-            const customChars = document.getElementById('pattern1CustomChars').value || " .:-=+*#%@";
-            currentRamp1 = customChars;
+/**
+ * Keeps layer masks pointing at the same layers after the stack changed
+ * Masks whose layer was removed are turned off
+ * @param {Array} previousLayers - Layer stack before the change
+ */
+function updateMaskLayerReferences(previousLayers) {
+    settings.layers.forEach(layer => {
+        if (layer.mask.source !== 'layer') return;
+        const index = settings.layers.indexOf(previousLayers[layer.mask.layer]);
+        if (index < 0) {
+            layer.mask.source = 'none';
         } else {
-            customInput.style.display = 'none';
-            currentRamp1 = ASCII_RAMPS[selectedSet];
+            layer.mask.layer = index;
         }
     });
+}
 
-    document.getElementById('pattern1CustomChars').addEventListener('input', (e) => {
-        if (document.getElementById('pattern1CharSet').value === 'custom1') {
-            currentRamp1 = e.target.value || " .:-=+*#%@";
+/**
+ * Turns off layer masks that don't point at a layer of the stack (e.g. from a hand-edited code)
+ */
+function checkMaskLayerReferences() {
+    settings.layers.forEach(layer => {
+        const index = layer.mask.layer;
+        if (!Number.isInteger(index) || index < 0 || index >= settings.layers.length) {
+            layer.mask.layer = 0;
+            if (layer.mask.source === 'layer') layer.mask.source = 'none';
         }
     });
+}
 
-    document.getElementById('pattern2CharSet').addEventListener('change', (e) => {
-        const selectedSet = e.target.value;
-        const customInput = document.getElementById('pattern2CustomCharInput');
+/**
+ * Calculates how much of a layer shows at a grid cell
+ * The mask value (another layer's value or the painted coverage) is used directly or thresholded,
+ * with the feather softening the threshold edge, then optionally inverted
+ * @param {object} layer - Layer (uses layer.mask, see MASK_PARAMS)
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @param {number} time - Current animation time
+ * @returns {number} Mask alpha (0 hides the layer, 1 shows it fully)
+ */
+function getLayerMaskAlpha(layer, x, y, time) {
+    const mask = layer.mask;
+    if (!mask || mask.source === 'none') return 1;
+
+    let value;
+    if (mask.source === 'painted') {
+        value = getPaintedMaskValue(layer, x, y);
+    } else if (mask.source === 'layer' && settings.layers[mask.layer]) {
+        // The masking layer is evaluated with its own settings, whether or not it is drawn itself
+        value = getPatternValue(x, y, settings.layers[mask.layer], time);
+    } else {
+        return 1;
+    }
 
-        if (selectedSet === 'custom2') {
-            customInput.style.display = 'block';
-            const customChars = document.getElementById('pattern2CustomChars').value || " .:-=+*#%@";
-            currentRamp2 = customChars;
+    if (mask.mode === 'threshold') {
+        if (mask.feather > 0) {
+            const t = constrain((value - mask.threshold + mask.feather) / (2 * mask.feather), 0, 1);
+            value = t * t * (3 - 2 * t);
         } else {
-            customInput.style.display = 'none';
-            currentRamp2 = ASCII_RAMPS[selectedSet];
+            value = value >= mask.threshold ? 1 : 0;
         }
-    });
+    }
 
-    document.getElementById('pattern2CustomChars').addEventListener('input', (e) => {
-        if (document.getElementById('pattern2CharSet').value === 'custom2') {
-            currentRamp2 = e.target.value || " .:-=+*#%@";
-        }
-    });
+    return mask.invert ? 1 - value : value;
+}
 
-    // Primary Pattern
+/**
+ * Returns a layer's decoded painted mask, decoding layer.mask.painted when it changed
+ * Layers without painted cells get a blank mask at the current grid size
+ * @param {object} layer - Layer
+ * @returns {object} { data, cols, rows, cells (Uint8Array, 1 = painted), blurred, blurRadius }
+ */
+function getPaintedMask(layer) {
+    let entry = paintedMasks.get(layer);
+    if (!entry || entry.data !== layer.mask.painted) {
+        const decoded = decodePaintedMask(layer.mask.painted) ||
+            { cols: gridCols, rows: gridRows, cells: new Uint8Array(gridCols * gridRows) };
+        entry = { ...decoded, data: layer.mask.painted, blurred: null, blurRadius: 0 };
+        paintedMasks.set(layer, entry);
+    }
+    return entry;
+}
 
-    document.getElementById('pattern1Glow').addEventListener('change', (e) => {
-        settings.pattern1.glow = e.target.checked;
-    });
+/**
+ * Samples a layer's painted mask at a grid cell, blurred by the mask's feather
+ * Masks keep the resolution they were painted at and are stretched over the current grid
+ * @param {object} layer - Layer
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @returns {number} Painted coverage (0-1)
+ */
+function getPaintedMaskValue(layer, x, y) {
+    const entry = getPaintedMask(layer);
+    const col = Math.min(Math.floor((x + 0.5) / gridCols * entry.cols), entry.cols - 1);
+    const row = Math.min(Math.floor((y + 0.5) / gridRows * entry.rows), entry.rows - 1);
+
+    const radius = Math.round(layer.mask.feather * MASK_BLUR_CELLS);
+    if (radius === 0) return entry.cells[row * entry.cols + col];
+
+    // The blurred copy is rebuilt lazily after painting or a feather change
+    if (!entry.blurred || entry.blurRadius !== radius) {
+        entry.blurred = blurMaskCells(entry.cells, entry.cols, entry.rows, radius);
+        entry.blurRadius = radius;
+    }
+    return entry.blurred[row * entry.cols + col];
+}
 
-    document.getElementById('pattern1Type').addEventListener('change', (e) => {
-        settings.pattern1.type = e.target.value;
-        if (settings.pattern1.type === 'voronoi') {
-            initVoronoi();
+/**
+ * Box-blurs mask cells (separable, edges clamped)
+ * @param {Uint8Array} cells - Mask cells (0 or 1)
+ * @param {number} cols - Mask columns
+ * @param {number} rows - Mask rows
+ * @param {number} radius - Blur radius in cells
+ * @returns {Float32Array} Blurred coverage (0-1)
+ */
+function blurMaskCells(cells, cols, rows, radius) {
+    const size = radius * 2 + 1;
+    const horizontal = new Float32Array(cols * rows);
+    const result = new Float32Array(cols * rows);
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += cells[y * cols + constrain(x + k, 0, cols - 1)];
+            }
+            horizontal[y * cols + x] = sum / size;
         }
-    });
-
-    document.getElementById('pattern1Speed').addEventListener('input', (e) => {
-        settings.pattern1.speed = parseFloat(e.target.value);
-        document.getElementById('pattern1SpeedValue').textContent = e.target.value;
-    });
-
-    document.getElementById('pattern1Scale').addEventListener('input', (e) => {
-        settings.pattern1.scale = parseFloat(e.target.value);
-        document.getElementById('pattern1ScaleValue').textContent = e.target.value;
-    });
+    }
 
-    // Pattern 1 Noise Variant
-    safeAddEventListener('pattern1NoiseVariant', 'change', (e) => {
-        settings.pattern1.noiseVariant = e.target.value;
-    });
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += horizontal[constrain(y + k, 0, rows - 1) * cols + x];
+            }
+            result[y * cols + x] = sum / size;
+        }
+    }
+    return result;
+}
 
-    // Secondary Pattern
-    document.getElementById('pattern2Toggle').addEventListener('click', (e) => {
-        settings.pattern2.enabled = !settings.pattern2.enabled;
-        e.currentTarget.classList.toggle('active');
-        
-        // Update the label text
-        const label = e.currentTarget.querySelector('.toggle-switch-label');
-        label.textContent = settings.pattern2.enabled ? 'Disable' : 'Enable';
-
-        const pattern2Settings = document.getElementById('pattern2Settings');
-        const pattern2ColorSection = document.getElementById('pattern2ColorSection');
-        const blendModeSection = document.getElementById('blendModeSection');
-        
-        pattern2Settings.style.display = settings.pattern2.enabled ? 'block' : 'none';
-        if (pattern2ColorSection) {
-            pattern2ColorSection.style.display = settings.pattern2.enabled ? 'block' : 'none';
+/**
+ * Paints (or erases) a brush stroke segment into a layer's mask
+ * The brush is stamped along the segment so fast drags leave no gaps; call
+ * commitLayerMask() when the stroke ends
+ * @param {object} layer - Layer
+ * @param {object} from - Normalized grid position where the segment starts {x, y}
+ * @param {object} to - Normalized grid position where the segment ends {x, y}
+ * @param {object} brush - Brush settings (see maskBrush)
+ */
+function paintLayerMask(layer, from, to, brush) {
+    const entry = getPaintedMask(layer);
+    const value = brush.erase ? 0 : 1;
+
+    // Brush radius in rows is corrected for the character aspect ratio so the brush is round on screen
+    const radiusX = brush.size;
+    const radiusY = Math.max(1, brush.size * baseCharWidth / baseCharHeight);
+
+    const fromCol = from.x * entry.cols;
+    const fromRow = from.y * entry.rows;
+    const toCol = to.x * entry.cols;
+    const toRow = to.y * entry.rows;
+    const steps = Math.max(1, Math.ceil(Math.hypot(toCol - fromCol, toRow - fromRow) / Math.max(1, radiusY / 2)));
+
+    for (let i = 0; i <= steps; i++) {
+        const centerCol = lerp(fromCol, toCol, i / steps);
+        const centerRow = lerp(fromRow, toRow, i / steps);
+        const minRow = Math.max(0, Math.floor(centerRow - radiusY));
+        const maxRow = Math.min(entry.rows - 1, Math.ceil(centerRow + radiusY));
+        const minCol = Math.max(0, Math.floor(centerCol - radiusX));
+        const maxCol = Math.min(entry.cols - 1, Math.ceil(centerCol + radiusX));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const dx = (col + 0.5 - centerCol) / radiusX;
+                const dy = (row + 0.5 - centerRow) / radiusY;
+                if (dx * dx + dy * dy <= 1) {
+                    entry.cells[row * entry.cols + col] = value;
+                }
+            }
         }
-        if (blendModeSection) {
-            blendModeSection.style.display = settings.pattern2.enabled ? 'block' : 'none';
+    }
+    entry.blurred = null;
+}
+
+/**
+ * Stores a layer's painted cells in its mask settings (and so in pattern codes)
+ * @param {object} layer - Layer
+ */
+function commitLayerMask(layer) {
+    const entry = getPaintedMask(layer);
+    layer.mask.painted = encodePaintedMask(entry);
+    entry.data = layer.mask.painted;
+}
+
+/**
+ * Erases a layer's painted mask
+ * @param {object} layer - Layer
+ */
+function clearLayerMask(layer) {
+    layer.mask.painted = '';
+    paintedMasks.delete(layer);
+}
+
+/**
+ * Run-length encodes painted mask cells as "colsxrows:runs"
+ * Runs are base-36 lengths separated by dots, alternating unpainted/painted and starting unpainted
+ * @param {object} entry - Decoded painted mask (see getPaintedMask())
+ * @returns {string} Encoded mask
+ */
+function encodePaintedMask(entry) {
+    const runs = [];
+    let current = 0;
+    let length = 0;
+
+    for (let i = 0; i < entry.cells.length; i++) {
+        if (entry.cells[i] === current) {
+            length++;
+        } else {
+            runs.push(length.toString(36));
+            current = entry.cells[i];
+            length = 1;
         }
-    });
+    }
+    runs.push(length.toString(36));
+    return `${entry.cols}x${entry.rows}:${runs.join('.')}`;
+}
 
+/**
+ * Decodes a mask made by encodePaintedMask()
+ * @param {string} data - Encoded mask
+ * @returns {object|null} { cols, rows, cells } or null if the data is empty or malformed
+ */
+function decodePaintedMask(data) {
+    const match = /^(\d+)x(\d+):([0-9a-z.]+)$/.exec(data || '');
+    if (!match) return null;
 
+    const cols = parseInt(match[1]);
+    const rows = parseInt(match[2]);
+    if (cols < 1 || rows < 1 || cols * rows > 1000000) return null;
 
-    document.getElementById('pattern2Glow').addEventListener('change', (e) => {
-        settings.pattern2.glow = e.target.checked;
+    const cells = new Uint8Array(cols * rows);
+    let index = 0;
+    let value = 0;
+    match[3].split('.').forEach(run => {
+        const length = parseInt(run, 36) || 0;
+        cells.fill(value, index, Math.min(index + length, cells.length));
+        index += length;
+        value = 1 - value;
     });
+    return { cols, rows, cells };
+}
 
-    document.getElementById('pattern2Type').addEventListener('change', (e) => {
-        settings.pattern2.type = e.target.value;
-    });
+// Tone mapping - levels, gamma, contrast, posterize, threshold and equalization of blended cell values
+
+// Tone parameter schema (same format as pattern params); the defaults leave values unchanged.
+// Steps run in the order listed
+const TONE_PARAMS = {
+    equalize: { label: 'Histogram Equalization', default: false, type: 'boolean' },
+    blackPoint: { label: 'Black Point', default: 0, min: 0, max: 1, step: 0.01 },
+    whitePoint: { label: 'White Point', default: 1, min: 0, max: 1, step: 0.01 },
+    gamma: { label: 'Gamma', default: 1, min: 0.1, max: 5, step: 0.05 },
+    contrast: { label: 'Contrast Curve', default: 0, min: -1, max: 1, step: 0.05 },
+    posterize: { label: 'Posterize Steps (0 = off)', default: 0, min: 0, max: 32, step: 1 },
+    threshold: { label: 'Threshold (0 = off)', default: 0, min: 0, max: 1, step: 0.01 },
+    invert: { label: 'Invert', default: false, type: 'boolean' }
+};
 
-    document.getElementById('pattern2Speed').addEventListener('input', (e) => {
-        settings.pattern2.speed = parseFloat(e.target.value);
-        document.getElementById('pattern2SpeedValue').textContent = e.target.value;
-    });
+// Histogram resolution for equalization
+const TONE_HISTOGRAM_BINS = 256;
 
-    document.getElementById('pattern2Scale').addEventListener('input', (e) => {
-        settings.pattern2.scale = parseFloat(e.target.value);
-        document.getElementById('pattern2ScaleValue').textContent = e.target.value;
-    });
+// Value histogram for equalization: counts collects the values of a grid pass, cdf is built from them
+// before the same pass maps its values (see compositeGrid())
+const toneHistogram = {
+    counts: new Uint32Array(TONE_HISTOGRAM_BINS),
+    cdf: null
+};
 
-    // Pattern 2 Noise Variant
-    safeAddEventListener('pattern2NoiseVariant', 'change', (e) => {
-        settings.pattern2.noiseVariant = e.target.value;
-    });
+/**
+ * Checks whether tone settings leave values unchanged
+ * @param {object} tone - Tone values (see TONE_PARAMS)
+ * @returns {boolean} True if tone mapping can be skipped
+ */
+function isIdentityTone(tone) {
+    return !tone.equalize && tone.blackPoint === 0 && tone.whitePoint === 1 &&
+        tone.gamma === 1 && tone.contrast === 0 && tone.posterize < 2 &&
+        tone.threshold === 0 && !tone.invert;
+}
 
-    // Interactive Effects
-    document.getElementById('interactiveToggle').addEventListener('click', (e) => {
-        settings.interactive.enabled = !settings.interactive.enabled;
-        e.currentTarget.classList.toggle('active');
-        
-        // Update the label text
-        const label = e.currentTarget.querySelector('.toggle-switch-label');
-        label.textContent = settings.interactive.enabled ? 'Disable' : 'Enable';
+/**
+ * Maps a blended cell value through the tone pipeline:
+ * equalization, levels, gamma, contrast curve, posterize, threshold, invert
+ * @param {number} value - Cell value (0-1)
+ * @param {object} tone - Tone values (see TONE_PARAMS)
+ * @returns {number} Mapped value (0-1)
+ */
+function applyToneMapping(value, tone) {
+    value = constrain(value, 0, 1);
 
-        const interactiveSettings = document.getElementById('interactiveSettings');
-        interactiveSettings.style.display = settings.interactive.enabled ? 'block' : 'none';
+    if (tone.equalize && toneHistogram.cdf) {
+        value = toneHistogram.cdf[Math.min(Math.floor(value * TONE_HISTOGRAM_BINS), TONE_HISTOGRAM_BINS - 1)];
+    }
 
-        const canvasContainer = document.getElementById('canvas-container');
-        canvasContainer.style.cursor = settings.interactive.enabled ? 'crosshair' : 'default';
-    });
+    // Levels: stretch black point..white point to 0..1 (crossed points invert the range)
+    if (tone.blackPoint !== 0 || tone.whitePoint !== 1) {
+        const range = tone.whitePoint - tone.blackPoint;
+        value = range === 0 ? (value >= tone.blackPoint ? 1 : 0) : constrain((value - tone.blackPoint) / range, 0, 1);
+    }
 
-    document.getElementById('interactiveType').addEventListener('change', (e) => {
-        settings.interactive.type = e.target.value;
-    });
+    if (tone.gamma !== 1) {
+        value = Math.pow(value, 1 / tone.gamma);
+    }
 
-    document.getElementById('interactiveStrength').addEventListener('input', (e) => {
-        settings.interactive.strength = parseFloat(e.target.value);
-        document.getElementById('interactiveStrengthValue').textContent = e.target.value;
-    });
+    // Contrast: an S-curve around the midtones (negative values flatten them instead)
+    if (tone.contrast !== 0) {
+        const exponent = Math.pow(4, tone.contrast);
+        value = value < 0.5
+            ? 0.5 * Math.pow(value * 2, exponent)
+            : 1 - 0.5 * Math.pow((1 - value) * 2, exponent);
+    }
 
-    document.getElementById('interactiveRadius').addEventListener('input', (e) => {
-        settings.interactive.radius = parseFloat(e.target.value);
-        document.getElementById('interactiveRadiusValue').textContent = e.target.value;
-    });
+    if (tone.posterize >= 2) {
+        value = Math.min(Math.floor(value * tone.posterize), tone.posterize - 1) / (tone.posterize - 1);
+    }
 
-    document.getElementById('interactiveClick').addEventListener('change', (e) => {
-        settings.interactive.clickEnabled = e.target.checked;
-    });
+    if (tone.threshold > 0) {
+        value = value >= tone.threshold ? 1 : 0;
+    }
 
-    // Webcam controls
-    safeAddEventListener('webcamIntensity', 'input', (e) => {
-        settings.webcam.intensity = parseFloat(e.target.value);
-        document.getElementById('webcamIntensityValue').textContent = e.target.value;
-    });
+    return tone.invert ? 1 - value : value;
+}
 
-    safeAddEventListener('webcamContrast', 'input', (e) => {
-        settings.webcam.contrast = parseFloat(e.target.value);
-        document.getElementById('webcamContrastValue').textContent = e.target.value;
-    });
+/**
+ * Counts a cell value into the histogram of the current grid pass
+ * @param {number} value - Cell value (0-1)
+ */
+function recordToneValue(value) {
+    const bin = Math.min(Math.floor(constrain(value, 0, 1) * TONE_HISTOGRAM_BINS), TONE_HISTOGRAM_BINS - 1);
+    toneHistogram.counts[bin]++;
+}
 
-    // Colors Settings
-    // Pattern Colors
-    safeAddEventListener('pattern1Color', 'input', (e) => {
-        settings.colors.pattern1Color = e.target.value;
-        settings.pattern1.color = e.target.value;
-        // Disable palette and animation when manually changing colors
-        if (settings.colors.usePalette) {
-            settings.colors.usePalette = false;
-            document.getElementById('useColorPalette').checked = false;
-            document.getElementById('colorPaletteSettings').style.display = 'none';
-        }
-        if (settings.colors.animationEnabled) {
-            settings.colors.animationEnabled = false;
-            document.getElementById('colorAnimationEnabled').checked = false;
-            document.getElementById('colorAnimationSettings').style.display = 'none';
+/**
+ * Turns the collected histogram into the equalization curve and starts collecting the next pass
+ */
+function updateToneHistogram() {
+    const counts = toneHistogram.counts;
+    let total = 0;
+    for (let i = 0; i < TONE_HISTOGRAM_BINS; i++) total += counts[i];
+
+    if (total > 0) {
+        // Standard equalization: spread the cumulative distribution over 0-1, starting at the first used bin
+        const cdf = toneHistogram.cdf || new Float32Array(TONE_HISTOGRAM_BINS);
+        let firstCount = 0;
+        for (let i = 0; i < TONE_HISTOGRAM_BINS && firstCount === 0; i++) firstCount = counts[i];
+
+        let cumulative = 0;
+        for (let i = 0; i < TONE_HISTOGRAM_BINS; i++) {
+            cumulative += counts[i];
+            cdf[i] = total > firstCount ? Math.max(0, (cumulative - firstCount) / (total - firstCount)) : 0.5;
         }
-    });
+        toneHistogram.cdf = cdf;
+    }
+    counts.fill(0);
+}
 
-    safeAddEventListener('pattern2Color', 'input', (e) => {
-        settings.colors.pattern2Color = e.target.value;
-        settings.pattern2.color = e.target.value;
-        // Disable palette and animation when manually changing colors
-        if (settings.colors.usePalette) {
-            settings.colors.usePalette = false;
-            document.getElementById('useColorPalette').checked = false;
-            document.getElementById('colorPaletteSettings').style.display = 'none';
-        }
-        if (settings.colors.animationEnabled) {
-            settings.colors.animationEnabled = false;
-            document.getElementById('colorAnimationEnabled').checked = false;
-            document.getElementById('colorAnimationSettings').style.display = 'none';
-        }
-    });
+// Dithering - breaks up banding when values are quantized to the few characters of a ramp
+
+// Dither modes a layer can use, shown in the layer Dithering dropdowns
+const DITHER_MODES = [
+    { value: 'none', label: 'None' },
+    { value: 'bayer2', label: 'Ordered (Bayer 2×2)' },
+    { value: 'bayer4', label: 'Ordered (Bayer 4×4)' },
+    { value: 'bayer8', label: 'Ordered (Bayer 8×8)' },
+    { value: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+    { value: 'atkinson', label: 'Atkinson' },
+    { value: 'blue-noise', label: 'Blue Noise' }
+];
+
+// Error diffusion kernels as [dx, dy, weight]. The grid is scanned column by column (the order
+// renderGrid() draws in), so the kernels are the usual ones transposed: "ahead" is the next row
+const DITHER_KERNELS = {
+    'floyd-steinberg': [[0, 1, 7 / 16], [1, -1, 3 / 16], [1, 0, 5 / 16], [1, 1, 1 / 16]],
+    'atkinson': [[0, 1, 1 / 8], [0, 2, 1 / 8], [1, -1, 1 / 8], [1, 0, 1 / 8], [1, 1, 1 / 8], [2, 0, 1 / 8]]
+};
 
-    // Background Color
-    safeAddEventListener('backgroundColor', 'input', (e) => {
-        settings.colors.backgroundColor = e.target.value;
-        updateBackgroundColor();
-    });
+// Side of the tiled blue noise threshold map
+const BLUE_NOISE_SIZE = 32;
 
-    // Color Animation
-    safeAddEventListener('colorAnimationEnabled', 'change', (e) => {
-        settings.colors.animationEnabled = e.target.checked;
-        const animationSettings = document.getElementById('colorAnimationSettings');
-        animationSettings.style.display = e.target.checked ? 'block' : 'none';
-    });
+// Threshold maps (values in 0-1) built on first use, keyed by dither mode: { size, thresholds }
+const ditherMaps = {};
 
-    safeAddEventListener('colorAnimationType', 'change', (e) => {
-        settings.colors.animationType = e.target.value;
-    });
+// Quantization error carried to cells not yet drawn in the current pass (in value units)
+let ditherErrors = new Float32Array(0);
 
-    safeAddEventListener('colorAnimationSpeed', 'input', (e) => {
-        settings.colors.animationSpeed = parseFloat(e.target.value);
-        document.getElementById('colorAnimationSpeedValue').textContent = e.target.value;
-    });
+/**
+ * Starts a quantization pass over the grid (a frame or an export), clearing the diffused error
+ * Cells must then be quantized column by column, top to bottom, like renderGrid() draws them
+ */
+function beginDitherPass() {
+    if (ditherErrors.length !== gridCols * gridRows) {
+        ditherErrors = new Float32Array(gridCols * gridRows);
+    } else {
+        ditherErrors.fill(0);
+    }
+}
 
-    // Color Palettes
-    safeAddEventListener('useColorPalette', 'change', (e) => {
-        settings.colors.usePalette = e.target.checked;
-        const paletteSettings = document.getElementById('colorPaletteSettings');
-        paletteSettings.style.display = e.target.checked ? 'block' : 'none';
-        updatePalettePreview();
-        if (e.target.checked) {
-            updateColorsFromPalette();
+/**
+ * Picks the ramp character index for a value, dithered with the given mode
+ * Without dithering the value is floored to a ramp position; ordered and blue-noise dithering
+ * add a per-cell threshold before flooring, error diffusion rounds and passes the rounding
+ * error on to the cells ahead
+ * @param {number} value - Cell value (0-1)
+ * @param {number} length - Number of characters in the ramp
+ * @param {string} mode - Dither mode (see DITHER_MODES)
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @returns {number} Character index (0 to length - 1)
+ */
+function getRampIndex(value, length, mode, x, y) {
+    const levels = length - 1;
+    if (levels <= 0) return 0;
+
+    let index;
+    const kernel = Object.hasOwn(DITHER_KERNELS, mode) ? DITHER_KERNELS[mode] : null;
+    if (kernel) {
+        const cellIndex = x * gridRows + y;
+        const target = value + (ditherErrors[cellIndex] || 0);
+        index = constrain(Math.round(target * levels), 0, levels);
+
+        const error = target - index / levels;
+        for (const [dx, dy, weight] of kernel) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < gridCols && ny >= 0 && ny < gridRows) {
+                ditherErrors[nx * gridRows + ny] += error * weight;
+            }
         }
-    });
+        return index;
+    }
 
-    safeAddEventListener('colorPaletteSelect', 'change', (e) => {
-        settings.colors.currentPalette = e.target.value;
-        settings.colors.paletteColors = COLOR_PALETTES[e.target.value];
-        settings.colors.paletteIndex = 0;
-        settings.colors.randomColorTimer = 0; // Reset random timer
-        updatePalettePreview();
-        if (settings.colors.usePalette) {
-            updateColorsFromPalette();
-        }
-    });
+    const map = mode === 'none' ? null : getDitherMap(mode);
+    const threshold = map ? map.thresholds[(y % map.size) * map.size + (x % map.size)] : 0;
+    index = Math.floor(value * levels + threshold);
+    return constrain(index, 0, levels);
+}
 
-    safeAddEventListener('paletteColorMode', 'change', (e) => {
-        settings.colors.paletteColorMode = e.target.value;
-        settings.colors.randomColorTimer = 0; // Reset random timer
-        if (settings.colors.usePalette) {
-            updateColorsFromPalette();
+/**
+ * Returns the threshold map of an ordered or blue-noise dither mode, building it on first use
+ * @param {string} mode - Dither mode ('bayer2', 'bayer4', 'bayer8' or 'blue-noise')
+ * @returns {object|null} { size, thresholds } or null for modes without a threshold map
+ */
+function getDitherMap(mode) {
+    if (!Object.hasOwn(ditherMaps, mode)) {
+        const bayerSizes = { bayer2: 2, bayer4: 4, bayer8: 8 };
+        if (Object.hasOwn(bayerSizes, mode)) {
+            ditherMaps[mode] = { size: bayerSizes[mode], thresholds: createBayerMatrix(bayerSizes[mode]) };
+        } else if (mode === 'blue-noise') {
+            ditherMaps[mode] = { size: BLUE_NOISE_SIZE, thresholds: createBlueNoiseMatrix(BLUE_NOISE_SIZE) };
+        } else {
+            return null;
         }
-    });
+    }
+    return ditherMaps[mode];
+}
 
-    // Blend Mode Settings
-    safeAddEventListener('blendModeSelect', 'change', (e) => {
-        settings.colors.blendMode = e.target.value;
-        settings.blendSettings.mode = e.target.value;
-    });
+/**
+ * Builds a Bayer ordered-dither matrix by recursive doubling: each cell of the smaller matrix
+ * becomes a 2×2 block ranked [0 2; 3 1]
+ * @param {number} size - Matrix side (a power of two)
+ * @returns {Float32Array} Thresholds in 0-1, row by row
+ */
+function createBayerMatrix(size) {
+    let ranks = [0];
+    for (let n = 1; n < size; n *= 2) {
+        const next = new Array(4 * n * n);
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const rank = 4 * ranks[y * n + x];
+                next[y * 2 * n + x] = rank;
+                next[y * 2 * n + x + n] = rank + 2;
+                next[(y + n) * 2 * n + x] = rank + 3;
+                next[(y + n) * 2 * n + x + n] = rank + 1;
+            }
+        }
+        ranks = next;
+    }
+    return Float32Array.from(ranks, rank => (rank + 0.5) / (size * size));
+}
 
-    safeAddEventListener('blendAmount', 'input', (e) => {
-        settings.colors.blendAmount = parseFloat(e.target.value);
-        settings.blendSettings.amount = parseFloat(e.target.value);
-        const blendAmountValueElement = document.getElementById('blendAmountValue');
-        if (blendAmountValueElement) {
-            blendAmountValueElement.textContent = e.target.value;
+/**
+ * Builds a tileable blue-noise threshold map by void filling: each rank goes to the emptiest
+ * remaining cell, measured by a Gaussian energy that wraps around the edges
+ * @param {number} size - Map side
+ * @returns {Float32Array} Thresholds in 0-1, row by row
+ */
+function createBlueNoiseMatrix(size) {
+    const count = size * size;
+    const sigma = 1.5;
+    const energy = new Float32Array(count);
+    const filled = new Uint8Array(count);
+    const thresholds = new Float32Array(count);
+
+    // Energy added at each wrapped offset from a filled cell
+    const falloff = new Float32Array(count);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wrappedX = Math.min(dx, size - dx);
+            const wrappedY = Math.min(dy, size - dy);
+            falloff[dy * size + dx] = Math.exp(-(wrappedX * wrappedX + wrappedY * wrappedY) / (2 * sigma * sigma));
         }
-    });
+    }
 
+    for (let rank = 0; rank < count; rank++) {
+        let best = -1;
+        for (let i = 0; i < count; i++) {
+            if (!filled[i] && (best < 0 || energy[i] < energy[best])) best = i;
+        }
 
+        filled[best] = 1;
+        thresholds[best] = (rank + 0.5) / count;
 
-    // Theme Management
-    let currentTheme = localStorage.getItem('theme') || 'auto';
-    
-    // Initialize theme based on user preference or system preference
-    function initializeTheme() {
-        if (currentTheme === 'auto') {
-            // Check system preference
-            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-            updateThemeUI(prefersDark ? 'dark' : 'light');
-        } else {
-            document.documentElement.setAttribute('data-theme', currentTheme);
-            updateThemeUI(currentTheme);
+        const bestX = best % size;
+        const bestY = Math.floor(best / size);
+        for (let y = 0; y < size; y++) {
+            const dy = (y - bestY + size) % size;
+            for (let x = 0; x < size; x++) {
+                energy[y * size + x] += falloff[dy * size + (x - bestX + size) % size];
+            }
         }
-        updateLogo();
     }
-    
-    // Update theme UI elements
-    function updateThemeUI(theme) {
-        const themeIcon = document.getElementById('theme-icon');
-        const themeLabel = document.querySelector('.theme-label');
-        
-        if (theme === 'light') {
-            // Show moon icon (indicating dark mode is available)
-            if (themeIcon) {
-                themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" d="M21.752 15.002A9.72 9.72 0 0 1 18 15.75c-5.385 0-9.75-4.365-9.75-9.75 0-1.33.266-2.597.748-3.752A9.753 9.753 0 0 0 3 11.25C3 16.635 7.365 21 12.75 21a9.753 9.753 0 0 0 9.002-5.998Z" />`;
-            }
-            if (themeLabel) {
-                themeLabel.textContent = 'Light Mode';
-            }
-        } else {
-            // Show sun icon (indicating light mode is available)
-            if (themeIcon) {
-                themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" d="M12 3v2.25m6.364.386-1.591 1.591M21 12h-2.25m-.386 6.364-1.591-1.591M12 18.75V21m-4.773-4.227-1.591 1.591M5.25 12H3m4.227-4.773L5.636 5.636M15.75 12a3.75 3.75 0 1 1-7.5 0 3.75 3.75 0 0 1 7.5 0Z" />`;
+    return thresholds;
+}
+
+// Grid pass - every cell is blended once per pass (a frame or an export) before anything is drawn
+
+// Blended cells of the current pass, column by column (index x * gridRows + y), filled by compositeGrid().
+// Values are final (interactive effects and tone mapping applied) and double as the value field that
+// edge glyphs and value-driven cell backgrounds sample
+const gridCells = {
+    values: new Float32Array(0),
+    glows: new Float32Array(0),
+    colors: [],
+    ramps: [],
+    dithers: [],
+    edges: []
+};
+
+/**
+ * Blends every cell of the grid for a pass: layers, interactive effects and tone mapping
+ * The results are kept in gridCells, so drawing reads them instead of blending again and
+ * cells can look at their neighbours. Tone mapping runs once all cells are blended, so
+ * equalization uses the histogram of this pass's own values
+ * @param {Array} layers - Layers from bottom to top (see getActiveLayers())
+ * @param {number} time - Current animation time
+ */
+function compositeGrid(layers, time) {
+    const count = gridCols * gridRows;
+    if (gridCells.values.length !== count) {
+        gridCells.values = new Float32Array(count);
+        gridCells.glows = new Float32Array(count);
+        gridCells.colors = new Array(count);
+        gridCells.ramps = new Array(count);
+        gridCells.dithers = new Array(count);
+        gridCells.edges = new Array(count);
+    }
+    const tone = settings.tone;
+    const mapTone = !isIdentityTone(tone);
+
+    for (let x = 0; x < gridCols; x++) {
+        for (let y = 0; y < gridRows; y++) {
+            const index = x * gridRows + y;
+            const cell = compositeLayers(x, y, layers, time);
+            let value = cell.value;
+
+            // Apply interactive effects (mouse hover, clicks, etc.)
+            if (settings.interactive.enabled) {
+                value = applyInteractiveEffect(x, y, value);
             }
-            if (themeLabel) {
-                themeLabel.textContent = 'Dark Mode';
+
+            if (tone.equalize) {
+                recordToneValue(value);
             }
+
+            gridCells.values[index] = value;
+            gridCells.glows[index] = cell.glow;
+            gridCells.colors[index] = cell.color;
+            gridCells.ramps[index] = cell.ramp;
+            gridCells.dithers[index] = cell.dither;
+            gridCells.edges[index] = cell.edges;
         }
     }
-    
-    // Update logo based on theme
-    function updateLogo() {
-        const logo = document.getElementById('gridform-logo');
-        const theme = document.documentElement.getAttribute('data-theme') || 
-                     (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
-        
-        if (theme === 'light') {
-            logo.src = 'assets/logo/GridForm.svg';
-            // Apply filter to make logo black in light mode
-            logo.style.filter = 'brightness(0) saturate(100%)';
-        } else {
-            logo.src = 'assets/logo/GridForm.svg';
-            logo.style.filter = 'none';
+
+    // Tone-map the values before they pick characters (levels, curves, posterize, ...)
+    if (tone.equalize) {
+        updateToneHistogram();
+    }
+    if (mapTone) {
+        const values = gridCells.values;
+        for (let i = 0; i < count; i++) {
+            values[i] = applyToneMapping(values[i], tone);
         }
     }
-    
-    // Toggle theme
-    function toggleTheme() {
-        const currentDataTheme = document.documentElement.getAttribute('data-theme');
-        let newTheme;
-        
-        if (currentDataTheme === 'light') {
-            newTheme = 'dark';
-        } else if (currentDataTheme === 'dark') {
-            newTheme = 'light';
-        } else {
-            // If no data-theme is set, check system preference
-            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            newTheme = prefersDark ? 'light' : 'dark';
-        }
-        
-        currentTheme = newTheme;
-        document.documentElement.setAttribute('data-theme', newTheme);
-        updateThemeUI(newTheme);
-        updateLogo();
-        localStorage.setItem('theme', newTheme);
+}
+
+/**
+ * Picks the character of a blended cell: its ramp character (dithered), or an edge glyph where the
+ * cell's layer draws edges and the value field has a strong edge
+ * Requires compositeGrid() and beginDitherPass() for the current pass; cells must be visited column by
+ * column, top to bottom, so diffused dither error reaches the cells ahead
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @returns {string} Character
+ */
+function getGridCellChar(x, y) {
+    const index = x * gridRows + y;
+    const ramp = gridCells.ramps[index];
+    const char = ramp[getRampIndex(gridCells.values[index], ramp.length, gridCells.dithers[index], x, y)];
+
+    const edges = gridCells.edges[index];
+    if (edges && edges.enabled) {
+        return getEdgeGlyph(x, y, edges) || char;
     }
-    
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (currentTheme === 'auto') {
-            const newTheme = e.matches ? 'dark' : 'light';
-            document.documentElement.setAttribute('data-theme', newTheme);
-            updateThemeUI(newTheme);
-            updateLogo();
-        }
-    });
-    
-    // Initialize theme on page load
-    initializeTheme();
-    
-    // Settings Modal Functionality
-    const settingsBtn = document.getElementById('settings-btn');
-    const settingsModal = document.getElementById('settings-modal');
-    const settingsClose = document.getElementById('settings-close');
+    return char;
+}
 
-    // Open settings modal
-    if (settingsBtn) {
-        settingsBtn.addEventListener('click', () => {
-            settingsModal.classList.add('show');
-            // Sync modal values with current settings
-            syncModalValues();
-        });
+// Edge glyphs - directional characters that follow the contours of the value field
+
+// Edge parameter schema (same format as pattern params)
+const EDGE_PARAMS = {
+    enabled: { label: 'Edge Glyphs', default: false, type: 'boolean' },
+    threshold: { label: 'Edge Threshold', default: 0.15, min: 0.01, max: 1, step: 0.01 },
+    style: {
+        label: 'Glyph Style',
+        default: 'lines',
+        type: 'select',
+        options: [
+            { value: 'lines', label: 'Lines: | / - \\' },
+            { value: 'outline', label: 'Outline: _ / \\ ( )' }
+        ]
+    },
+    thin: { label: 'Thin Edges', default: true, type: 'boolean' }
+};
+
+// Contour glyphs by direction: horizontal, falling (top-left to bottom-right), vertical, rising
+const EDGE_GLYPHS = ['-', '\\', '|', '/'];
+
+// Reused result of getEdgeGradient() to avoid allocating per cell
+const edgeGradient = { x: 0, y: 0, magnitude: 0 };
+
+/**
+ * Reads the value field, clamping positions to the grid
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @returns {number} Cell value (0-1)
+ */
+function getValueFieldValue(x, y) {
+    x = constrain(x, 0, gridCols - 1);
+    y = constrain(y, 0, gridRows - 1);
+    return gridCells.values[x * gridRows + y];
+}
+
+/**
+ * Measures the value gradient at a cell with a Sobel filter
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @returns {object} { x, y, magnitude } in value per cell (shared object, overwritten by the next call)
+ */
+function getEdgeGradient(x, y) {
+    const topLeft = getValueFieldValue(x - 1, y - 1);
+    const top = getValueFieldValue(x, y - 1);
+    const topRight = getValueFieldValue(x + 1, y - 1);
+    const left = getValueFieldValue(x - 1, y);
+    const right = getValueFieldValue(x + 1, y);
+    const bottomLeft = getValueFieldValue(x - 1, y + 1);
+    const bottom = getValueFieldValue(x, y + 1);
+    const bottomRight = getValueFieldValue(x + 1, y + 1);
+
+    edgeGradient.x = (topRight + 2 * right + bottomRight - topLeft - 2 * left - bottomLeft) / 8;
+    edgeGradient.y = (bottomLeft + 2 * bottom + bottomRight - topLeft - 2 * top - topRight) / 8;
+    edgeGradient.magnitude = Math.sqrt(edgeGradient.x * edgeGradient.x + edgeGradient.y * edgeGradient.y);
+    return edgeGradient;
+}
+
+/**
+ * Picks a directional glyph that follows the contour through a cell, if the cell lies on a strong edge
+ * Requires compositeGrid() to have run for the current pass
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @param {object} edges - Edge values of the layer whose characters the cell uses (see EDGE_PARAMS)
+ * @returns {string|null} Edge glyph, or null to use the character ramp
+ */
+function getEdgeGlyph(x, y, edges) {
+    const gradient = getEdgeGradient(x, y);
+    const magnitude = gradient.magnitude;
+    if (magnitude < edges.threshold) return null;
+
+    const gradientX = gradient.x;
+    const gradientY = gradient.y;
+
+    // Thin edges to one cell: keep only the strongest cell across the edge (ties go to the cell ahead)
+    if (edges.thin) {
+        const stepX = Math.round(gradientX / magnitude);
+        const stepY = Math.round(gradientY / magnitude);
+        if (getEdgeGradient(x + stepX, y + stepY).magnitude >= magnitude ||
+            getEdgeGradient(x - stepX, y - stepY).magnitude > magnitude) {
+            return null;
+        }
     }
 
-    // Close settings modal
-    if (settingsClose) {
-        settingsClose.addEventListener('click', () => {
-            settingsModal.classList.remove('show');
-        });
+    // The contour runs across the gradient; fold its angle into 0-PI and snap to 45° steps
+    let angle = Math.atan2(gradientX, -gradientY);
+    if (angle < 0) angle += Math.PI;
+    const direction = Math.round(angle / (Math.PI / 4)) % 4;
+
+    if (edges.style === 'outline') {
+        if (direction === 0) return '_';
+        // Vertical sides bulge away from the higher values, like the sides of a drawn shape
+        if (direction === 2) return gradientX > 0 ? '(' : ')';
     }
+    return EDGE_GLYPHS[direction];
+}
 
-    // Close modal when clicking outside
-    if (settingsModal) {
-        settingsModal.addEventListener('click', (e) => {
-            if (e.target === settingsModal) {
-                settingsModal.classList.remove('show');
-            }
-        });
+// Ramp calibration - orders characters by the ink they actually put on screen
+
+const GLYPH_SAMPLE_SIZE = 48; // Font size (px) glyphs are drawn at for measuring
+
+// Printable ASCII, the pool ramps are built from when the user gives none
+const GLYPH_POOL_DEFAULT = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+const glyphCoverageCache = new Map(); // Measured ink coverage (0-1) keyed by character
+let glyphRasterCanvas = null;         // Offscreen canvas glyphs are drawn on before measuring
+
+/**
+ * Waits until the grid font is loaded, so glyphs are not measured in a fallback font
+ * that is about to be swapped out (@font-face fonts load on first use)
+ * @returns {Promise} Resolves once loading has finished or failed
+ */
+async function loadGlyphFont() {
+    if (!document.fonts) return;
+    try {
+        await document.fonts.load(`${GLYPH_SAMPLE_SIZE}px FeatureMono`);
+    } catch (error) {
+        // The fallback fonts are measured instead
     }
-    
-    // Theme toggle button
-    const themeToggle = document.getElementById('theme-toggle');
-    if (themeToggle) {
-        themeToggle.addEventListener('click', toggleTheme);
+}
+
+/**
+ * Measures how much of a character cell a glyph covers with ink
+ * The glyph is drawn centered in a box twice the cell width (so wide glyphs are not clipped)
+ * and its alpha is summed relative to the area of one monospace cell
+ * @param {string} char - Character
+ * @returns {number} Ink coverage (0 for blank, around 1 for a full block)
+ */
+function measureGlyphCoverage(char) {
+    if (glyphCoverageCache.has(char)) {
+        return glyphCoverageCache.get(char);
     }
 
-    // Handle modal form changes
-    const modalTargetFps = document.getElementById('modal-target-fps');
-    const modalGlowQuality = document.getElementById('modal-glow-quality');
-    const modalAnimationSmoothing = document.getElementById('modal-animation-smoothing');
-    const modalMemoryManagement = document.getElementById('modal-memory-management');
+    if (!glyphRasterCanvas) {
+        glyphRasterCanvas = document.createElement('canvas');
+    }
+    const context = glyphRasterCanvas.getContext('2d', { willReadFrequently: true });
+    context.font = `${GLYPH_SAMPLE_SIZE}px ${GRID_FONT_FAMILY}`;
+    const cellWidth = Math.max(1, Math.ceil(context.measureText('M').width));
+    const cellHeight = Math.ceil(GLYPH_SAMPLE_SIZE * 1.2);
+
+    // Resizing resets the context state, so set the font again afterwards
+    glyphRasterCanvas.width = cellWidth * 2;
+    glyphRasterCanvas.height = cellHeight;
+    context.font = `${GLYPH_SAMPLE_SIZE}px ${GRID_FONT_FAMILY}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.clearRect(0, 0, glyphRasterCanvas.width, cellHeight);
+    context.fillText(char, cellWidth, cellHeight / 2);
+
+    const data = context.getImageData(0, 0, glyphRasterCanvas.width, cellHeight).data;
+    let ink = 0;
+    for (let i = 3; i < data.length; i += 4) {
+        ink += data[i];
+    }
+    const coverage = ink / (cellWidth * cellHeight * 255);
 
-    if (modalTargetFps) {
-        modalTargetFps.addEventListener('change', (e) => {
-            const fps = parseInt(e.target.value);
-            targetFPS = fps;
-            frameInterval = 1000 / fps;
+    glyphCoverageCache.set(char, coverage);
+    return coverage;
+}
 
-            console.log(`Target FPS changed to: ${fps}`);
-        });
+/**
+ * Builds a character ramp ordered by measured glyph density (light to dark)
+ * With a length, picks that many characters whose densities are spaced as evenly as possible
+ * between the lightest and darkest character of the pool
+ * @param {string} pool - Characters to use (duplicates and line breaks are ignored)
+ * @param {number} [length] - Number of characters to pick; all of them if omitted
+ * @returns {string} Calibrated ramp (empty if the pool is empty)
+ */
+function calibrateRamp(pool, length) {
+    const chars = [...new Set(Array.from(pool))].filter(char => char !== '\n' && char !== '\r' && char !== '\t');
+    const glyphs = chars
+        .map(char => ({ char: char, coverage: measureGlyphCoverage(char) }))
+        .sort((a, b) => a.coverage - b.coverage);
+
+    if (!length || length >= glyphs.length) {
+        return glyphs.map(glyph => glyph.char).join('');
     }
 
-    if (modalGlowQuality) {
-        modalGlowQuality.addEventListener('change', (e) => {
-            const quality = e.target.value;
-
-            // Apply the same logic as the main dropdown
-            switch (quality) {
-                case 'low':
-                    settings.pattern1.glow = false;
-                    settings.pattern2.glow = false;
-                    document.getElementById('pattern1Glow').checked = false;
-                    document.getElementById('pattern2Glow').checked = false;
-                    break;
-                case 'medium':
-                    // Keep current glow settings
-                    break;
-                case 'high':
-                    settings.pattern1.glow = true;
-                    settings.pattern2.glow = true;
-                    document.getElementById('pattern1Glow').checked = true;
-                    document.getElementById('pattern2Glow').checked = true;
-                    break;
+    // Each evenly spaced target density takes the closest glyph not picked yet
+    const lightest = glyphs[0].coverage;
+    const darkest = glyphs[glyphs.length - 1].coverage;
+    const picked = new Set();
+    for (let i = 0; i < length; i++) {
+        const target = length > 1 ? lightest + (darkest - lightest) * i / (length - 1) : lightest;
+        let best = -1;
+        glyphs.forEach((glyph, index) => {
+            if (picked.has(index)) return;
+            if (best < 0 || Math.abs(glyph.coverage - target) < Math.abs(glyphs[best].coverage - target)) {
+                best = index;
             }
-            console.log(`Glow quality changed to: ${quality}`);
         });
+        picked.add(best);
     }
+    return glyphs.filter((glyph, index) => picked.has(index)).map(glyph => glyph.char).join('');
+}
 
-    // Helper function to sync modal values with current settings
-    function syncModalValues() {
-        if (modalTargetFps) {
-            modalTargetFps.value = targetFPS;
-        }
-        if (modalGlowQuality) {
-            modalGlowQuality.value = 'medium';
-        }
-        if (modalAnimationSmoothing) {
-            modalAnimationSmoothing.value = 'medium'; // Default value
-        }
-        if (modalMemoryManagement) {
-            modalMemoryManagement.value = 'balanced'; // Default value
-        }
-        
-        // Sync theme state
-        const currentDataTheme = document.documentElement.getAttribute('data-theme');
-        if (currentDataTheme) {
-            updateThemeUI(currentDataTheme);
-        }
+// Gradient maps - color a layer's cells by their value instead of one flat color
+
+// Ways a gradient map blends between neighbouring stops
+const GRADIENT_INTERPOLATIONS = [
+    { value: 'linear', label: 'Linear (RGB)' },
+    { value: 'oklab', label: 'Perceptual (OKLab)' },
+    { value: 'smooth', label: 'Smooth' },
+    { value: 'step', label: 'Stepped' }
+];
+
+// Built-in gradient maps, with colors spread evenly from value 0 to 1
+const GRADIENT_PRESETS = {
+    viridis: { label: 'Viridis', colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'] },
+    inferno: { label: 'Inferno', colors: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'] },
+    thermal: { label: 'Thermal', colors: ['#000000', '#1e0b6e', '#7a1596', '#d4245b', '#f7681f', '#ffb42e', '#ffef8a', '#ffffff'] },
+    grayscale: { label: 'Grayscale', colors: ['#000000', '#ffffff'] }
+};
+
+const GRADIENT_LUT_SIZE = 256;          // Colors precomputed per gradient map
+const gradientLuts = new WeakMap();     // Precomputed colors keyed by gradient map (see getGradientLut())
+const gradientSelection = new WeakMap(); // Index of the stop selected in the editor, keyed by gradient map
+
+/**
+ * Lists the gradient maps that can be loaded into a layer: the built-in maps, then every color
+ * palette as a stepped map (one band per palette color)
+ * @returns {Array} Options [{ value, label }]
+ */
+function getGradientPresetOptions() {
+    return Object.entries(GRADIENT_PRESETS).map(([name, preset]) => ({ value: name, label: preset.label })).concat(
+        getPaletteOptions().map(option => ({ value: `palette:${option.value}`, label: `Palette: ${option.label} (stepped)` }))
+    );
+}
+
+/**
+ * Creates the stops and interpolation of a built-in gradient map or a stepped palette map
+ * @param {string} name - Preset name, or 'palette:' followed by a palette name (see getPaletteOptions())
+ * @returns {object|null} { interpolation, stops } or null if the preset does not exist
+ */
+function createGradientPreset(name) {
+    if (name.startsWith('palette:')) {
+        const colors = getPaletteColors(name.slice('palette:'.length));
+        if (!colors.length) return null;
+        return {
+            interpolation: 'step',
+            stops: colors.map((color, i) => ({ position: i / colors.length, color: color }))
+        };
     }
+
+    if (!Object.hasOwn(GRADIENT_PRESETS, name)) return null;
+    const preset = GRADIENT_PRESETS[name];
+    return {
+        interpolation: 'linear',
+        stops: preset.colors.map((color, i) => ({ position: i / (preset.colors.length - 1), color: color }))
+    };
 }
 
-function setupDropdowns() {
-    const dropdownHeaders = [
-        'displayHeader',
-        'colorsHeader',
-        'pattern1Header',
-        'pattern2Header',
-        'interactiveHeader',
-        'webcamHeader'
-    ];
+/**
+ * Creates a layer's gradient map from saved values, filling in defaults (Viridis, off)
+ * @param {object} [values] - { enabled, interpolation, stops: [{ position (0-1), color (hex) }] }
+ * @returns {object} Gradient map
+ */
+function createGradientMap(values = {}) {
+    const preset = createGradientPreset('viridis');
+    const stops = Array.isArray(values.stops) && values.stops.length >= 2 ? values.stops : preset.stops;
+
+    return {
+        enabled: Boolean(values.enabled),
+        interpolation: GRADIENT_INTERPOLATIONS.some(option => option.value === values.interpolation) ?
+            values.interpolation : preset.interpolation,
+        stops: stops.map(stop => ({
+            position: constrain(Number(stop.position) || 0, 0, 1),
+            color: /^#[a-f\d]{6}$/i.test(stop.color) ? stop.color : '#ffffff'
+        }))
+    };
+}
 
-    const dropdownContents = [
-        'displayContent',
-        'colorsContent',
-        'pattern1Content',
-        'pattern2Content',
-        'interactiveContent',
-        'webcamContent'
-    ];
+/**
+ * Returns the color of a gradient map at a value
+ * @param {object} gradient - Gradient map (see createGradientMap())
+ * @param {number} value - Cell value (0-1)
+ * @returns {string} Hex color
+ */
+function getGradientColor(gradient, value) {
+    const colors = getGradientLut(gradient);
+    return colors[Math.round(constrain(value, 0, 1) * (GRADIENT_LUT_SIZE - 1))];
+}
 
-    // Set initial state - Display Settings open by default
-    document.getElementById('displayContent').classList.add('open');
-    document.getElementById('displayHeader').classList.add('active');
-    document.getElementById('displayHeader').querySelector('.dropdown-arrow').classList.add('open');
+/**
+ * Returns the precomputed colors of a gradient map, building them on first use
+ * Call invalidateGradientMap() after changing the stops or interpolation
+ * @param {object} gradient - Gradient map (see createGradientMap())
+ * @returns {Array} GRADIENT_LUT_SIZE hex colors from value 0 to 1
+ */
+function getGradientLut(gradient) {
+    let colors = gradientLuts.get(gradient);
+    if (!colors) {
+        const stops = gradient.stops.slice().sort((a, b) => a.position - b.position);
+        colors = [];
+        for (let i = 0; i < GRADIENT_LUT_SIZE; i++) {
+            const color = sampleGradient(stops, gradient.interpolation, i / (GRADIENT_LUT_SIZE - 1));
+            colors.push(rgbToHex(color.r, color.g, color.b));
+        }
+        gradientLuts.set(gradient, colors);
+    }
+    return colors;
+}
 
-    dropdownHeaders.forEach((headerId, index) => {
-        const header = document.getElementById(headerId);
-        const content = document.getElementById(dropdownContents[index]);
-        const arrow = header.querySelector('.dropdown-arrow');
+/**
+ * Drops the precomputed colors of an edited gradient map
+ * @param {object} gradient - Gradient map
+ */
+function invalidateGradientMap(gradient) {
+    gradientLuts.delete(gradient);
+}
 
-        header.addEventListener('click', () => {
-            const isOpen = content.classList.contains('open');
+/**
+ * Interpolates gradient stops at a value
+ * Values outside the first and last stop take their color; stepped maps hold each stop's color
+ * up to the next stop
+ * @param {Array} stops - Stops sorted by position
+ * @param {string} interpolation - Interpolation (see GRADIENT_INTERPOLATIONS)
+ * @param {number} value - Value (0-1)
+ * @returns {object} RGB object with r, g, b properties (0-255)
+ */
+function sampleGradient(stops, interpolation, value) {
+    const last = stops.length - 1;
+    if (value <= stops[0].position) return hexToRgb(stops[0].color);
+    if (value >= stops[last].position) return hexToRgb(stops[last].color);
+
+    let index = 0;
+    while (index < last - 1 && value >= stops[index + 1].position) index++;
+    const from = stops[index];
+    const to = stops[index + 1];
+    if (interpolation === 'step') return hexToRgb(from.color);
+
+    const span = to.position - from.position;
+    let amount = span > 0 ? (value - from.position) / span : 1;
+    if (interpolation === 'smooth') {
+        amount = amount * amount * (3 - 2 * amount);
+    }
 
-            if (isOpen) {
-                // Close this dropdown
-                content.classList.remove('open');
-                header.classList.remove('active');
-                arrow.classList.remove('open');
-            } else {
-                // Open this dropdown (don't close others)
-                content.classList.add('open');
-                header.classList.add('active');
-                arrow.classList.add('open');
-            }
+    const fromColor = hexToRgb(from.color);
+    const toColor = hexToRgb(to.color);
+    if (interpolation === 'oklab') {
+        const fromLab = rgbToOklab(fromColor);
+        const toLab = rgbToOklab(toColor);
+        return oklabToRgb({
+            l: lerp(fromLab.l, toLab.l, amount),
+            a: lerp(fromLab.a, toLab.a, amount),
+            b: lerp(fromLab.b, toLab.b, amount)
         });
-    });
+    }
+    return {
+        r: lerp(fromColor.r, toColor.r, amount),
+        g: lerp(fromColor.g, toColor.g, amount),
+        b: lerp(fromColor.b, toColor.b, amount)
+    };
 }
 
-function windowResized() {
-    updateCanvasSize();
-}
+// Cell backgrounds - a fill behind every glyph, like the foreground/background color pairs of ANSI art
+
+// Background parameter schema (same format as pattern params); a source of 'off' turns backgrounds off.
+// Speed and scale drive the background pattern like a layer's
+const BACKGROUND_PARAMS = {
+    source: { label: 'Background Source', default: 'off', type: 'select', options: getCellBackgroundSourceOptions },
+    colors: { label: 'Colors', default: 'grayscale', type: 'select', options: getGradientPresetOptions },
+    opacity: { label: 'Opacity', default: 0.5, min: 0, max: 1, step: 0.01 },
+    invert: { label: 'Invert', default: false, type: 'boolean' },
+    speed: { label: 'Pattern Speed', default: 0.02, min: 0.001, max: 0.05, step: 0.001 },
+    scale: { label: 'Pattern Scale', default: 0.08, min: 0.01, max: 0.2, step: 0.005 }
+};
 
-function setupPlayPauseButton() {
-    const playPauseBtn = document.getElementById('play-pause-btn');
-    const pauseIcon = playPauseBtn.querySelector('.pause-icon');
-    const playIcon = playPauseBtn.querySelector('.play-icon');
+// Hidden pattern configs used as background sources, keyed by the background settings
+const backgroundSourcePatterns = new WeakMap();
 
-    playPauseBtn.addEventListener('click', () => {
-        isPaused = !isPaused;
-        playPauseBtn.classList.toggle('paused', isPaused);
+// Background colors of the current pass, GRADIENT_LUT_SIZE colors from value 0 to 1 with the opacity
+// already blended over the background color (see beginCellBackgroundPass())
+let cellBackgroundColors = null;
 
-        if (isPaused) {
-            pauseIcon.style.display = 'none';
-            playIcon.style.display = 'block';
-            noLoop();
-        } else {
-            pauseIcon.style.display = 'block';
-            playIcon.style.display = 'none';
-            loop();
-        }
-    });
+// Blended background colors kept between passes until the color map, opacity or background color change:
+// { key, colors }
+let cellBackgroundLut = null;
+
+/**
+ * Lists the available cell background sources: off, the final cell value, plus every registered pattern
+ * @returns {Array} Options [{ value, label }]
+ */
+function getCellBackgroundSourceOptions() {
+    return [{ value: 'off', label: 'Off' }, { value: 'value', label: 'Cell Value' }].concat(
+        PATTERN_TYPES.map(type => ({ value: type, label: `Pattern: ${PATTERN_REGISTRY[type].label}` }))
+    );
 }
 
-function setupRandomizeButton() {
-    const randomizeBtn = document.getElementById('randomize-btn');
+/**
+ * Prepares the background colors for a pass over the grid
+ * Unknown color maps (e.g. a deleted user palette from a pattern code) fall back to grayscale
+ * @returns {boolean} True if cells have backgrounds in this pass (look them up with getCellBackground())
+ */
+function beginCellBackgroundPass() {
+    const background = settings.background;
+    const hasSource = background.source === 'value' || Boolean(getPatternDefinition(background.source));
+    if (!hasSource || background.opacity <= 0) {
+        cellBackgroundColors = null;
+        return false;
+    }
 
-    randomizeBtn.addEventListener('click', () => {
-        // Track randomize button click
-    gtag('event', 'randomize_click', {
-        'event_category': 'engagement',
-        'event_label': 'pattern_randomize',
-        'value': 1
-    });
-        // Randomize pattern types
-        const patternTypes = ['waves', 'ripples', 'noise', 'spiral', 'checkerboard', 'stripes', 'plasma', 'mandelbrot', 'julia', 'voronoi', 'tunnel', 'mosaic'];
-        const charSets = ['blocks', 'ascii', 'hex', 'numbers', 'letters', 'symbols', 'braille'];
+    // Keyed on the map's colors rather than its name, so edits to a user palette show up
+    const preset = createGradientPreset(background.colors) || createGradientPreset('grayscale');
+    const key = [
+        preset.interpolation,
+        preset.stops.map(stop => stop.color).join(','),
+        background.opacity,
+        settings.colors.backgroundColor
+    ].join('|');
+
+    if (!cellBackgroundLut || cellBackgroundLut.key !== key) {
+        const base = hexToRgb(settings.colors.backgroundColor);
+        const colors = getGradientLut(createGradientMap(preset)).map(hex => {
+            const color = hexToRgb(hex);
+            return rgbToHex(
+                lerp(base.r, color.r, background.opacity),
+                lerp(base.g, color.g, background.opacity),
+                lerp(base.b, color.b, background.opacity)
+            );
+        });
+        cellBackgroundLut = { key: key, colors: colors };
+    }
+    cellBackgroundColors = cellBackgroundLut.colors;
+    return true;
+}
 
-        // Randomize primary pattern (respect locks)
-        if (!settings.colors.locks.pattern1Type) {
-            settings.pattern1.type = patternTypes[Math.floor(Math.random() * patternTypes.length)];
-        }
-        if (!settings.colors.locks.pattern1Speed) {
-            settings.pattern1.speed = Math.random() * 0.049 + 0.001; // 0.001 to 0.05
-        }
-        if (!settings.colors.locks.pattern1Scale) {
-            settings.pattern1.scale = Math.random() * 0.19 + 0.01; // 0.01 to 0.2
-        }
-        settings.pattern1.glow = Math.random() > 0.5;
-        
-        // Randomize noise variant if noise is selected
-        if (settings.pattern1.type === 'noise') {
-            const noiseVariants = ['simplex', 'turbulence', 'ridged'];
-            settings.pattern1.noiseVariant = noiseVariants[Math.floor(Math.random() * noiseVariants.length)];
-        }
-        
-        // Randomize color settings - use predefined vibrant colors
-        const vibrantColors = [
-            '#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b', // cyberpunk
-            '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7', // retro
-            '#ff0080', '#00ff80', '#0080ff', '#8000ff', '#ff8000', // neon
-            '#ff6b35', '#f7931e', '#ffd23f', '#f4a261', '#e76f51', // sunset
-            '#006994', '#0099cc', '#00bfff', '#87ceeb', '#b0e0e6', // ocean
-            '#228b22', '#32cd32', '#90ee90', '#98fb98', '#00ff7f', // forest
-            '#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500'  // fire
-        ];
-        if (!settings.colors.locks.pattern1Color) {
-            const randomColor = vibrantColors[Math.floor(Math.random() * vibrantColors.length)];
-            settings.colors.pattern1Color = randomColor;
-            settings.pattern1.color = randomColor;
-        }
-        
-        // Randomize background color - full spectrum of colors
-        const backgroundColors = [
-            // Dark colors for good contrast
-            '#000000', '#111111', '#1a1a1a', '#2d2d2d', '#1f1f1f', '#0a0a0a', '#1e1e1e', '#2a2a2a', '#151515', '#0f0f0f',
-            // Vibrant colors
-            '#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b', '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7',
-            '#ff0080', '#00ff80', '#0080ff', '#8000ff', '#ff8000', '#ff6b35', '#f7931e', '#ffd23f', '#f4a261', '#e76f51',
-            '#006994', '#0099cc', '#00bfff', '#87ceeb', '#b0e0e6', '#228b22', '#32cd32', '#90ee90', '#98fb98', '#00ff7f',
-            '#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500',
-            // Pastel colors
-            '#ffb3ba', '#baffc9', '#bae1ff', '#ffb3f0', '#fff2ba', '#e6b3ff', '#b3ffd9', '#ffd9b3', '#b3d9ff', '#ffb3d9',
-            // Neutral colors
-            '#f5f5dc', '#d2b48c', '#deb887', '#f4a460', '#daa520', '#b8860b', '#cd853f', '#d2691e', '#8b4513', '#a0522d',
-            // Cool colors
-            '#4169e1', '#1e90ff', '#00bfff', '#87ceeb', '#4682b4', '#5f9ea0', '#20b2aa', '#48d1cc', '#40e0d0', '#7fffd4',
-            // Warm colors
-            '#ff6347', '#ff4500', '#ff8c00', '#ffa500', '#ffd700', '#ffff00', '#adff2f', '#7fff00', '#32cd32', '#00ff00'
-        ];
-        if (!settings.colors.locks.backgroundColor) {
-            const randomBackgroundColor = backgroundColors[Math.floor(Math.random() * backgroundColors.length)];
-            settings.colors.backgroundColor = randomBackgroundColor;
-        }
-        
-        // Randomize color animation (25% chance to enable, respect locks)
-        if (!settings.colors.locks.colorAnimation) {
-            settings.colors.animationEnabled = Math.random() > 0.75;
-            if (settings.colors.animationEnabled) {
-                const animationTypes = ['hue', 'saturation', 'brightness', 'rainbow'];
-                settings.colors.animationType = animationTypes[Math.floor(Math.random() * animationTypes.length)];
-                settings.colors.animationSpeed = Math.random() * 0.04 + 0.005; // 0.005 to 0.045
-            }
-        }
-        
-        // Randomize color palette (35% chance to enable, respect locks)
-        if (!settings.colors.locks.colorPalette) {
-            settings.colors.usePalette = Math.random() > 0.65;
-            if (settings.colors.usePalette) {
-                const paletteNames = Object.keys(COLOR_PALETTES);
-                settings.colors.currentPalette = paletteNames[Math.floor(Math.random() * paletteNames.length)];
-                settings.colors.paletteColors = COLOR_PALETTES[settings.colors.currentPalette];
-                settings.colors.paletteIndex = Math.floor(Math.random() * settings.colors.paletteColors.length);
-                
-                const paletteModes = ['single', 'cycle', 'random'];
-                settings.colors.paletteColorMode = paletteModes[Math.floor(Math.random() * paletteModes.length)];
-            } else {
-                // If not using palette, ensure we have a good default color
-                if (!settings.colors.locks.pattern1Color && (settings.colors.pattern1Color === '#ffffff' || settings.colors.pattern1Color === '#000000')) {
-                    const fallbackColors = ['#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b'];
-                    const fallbackColor = fallbackColors[Math.floor(Math.random() * fallbackColors.length)];
-                    settings.colors.pattern1Color = fallbackColor;
-                    settings.pattern1.color = fallbackColor;
+/**
+ * Returns the background color of a grid cell
+ * Requires beginCellBackgroundPass() (and compositeGrid() for the 'value' source) for the current pass
+ * @param {number} x - Grid column index
+ * @param {number} y - Grid row index
+ * @param {number} time - Current animation time
+ * @returns {string} Hex color
+ */
+function getCellBackground(x, y, time) {
+    const background = settings.background;
+
+    let value;
+    if (background.source === 'value') {
+        value = getValueFieldValue(x, y);
+    } else {
+        const source = getSourcePattern(backgroundSourcePatterns, background, background.source);
+        value = (sampleSourcePattern(source, x / gridCols, y / gridRows, time) + 1) / 2;
+    }
+    if (background.invert) {
+        value = 1 - value;
+    }
+    return cellBackgroundColors[Math.round(constrain(value, 0, 1) * (GRADIENT_LUT_SIZE - 1))];
+}
+
+// Built-in patterns
+
+registerPattern('waves', {
+    label: 'Sine Waves',
+    loopPeriod: 1.0,
+    params: {
+        frequencyX: { label: 'Horizontal Waves', default: 5, min: 0.5, max: 20, step: 0.5 },
+        frequencyY: { label: 'Vertical Waves', default: 3, min: 0.5, max: 20, step: 0.5 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create animated wave pattern using sine waves
+        return (sin(x * TWO_PI * pattern.params.frequencyX + time * pattern.speed * 100) +
+            sin(y * TWO_PI * pattern.params.frequencyY + time * pattern.speed * 80)) / 2;
+    }
+});
+
+registerPattern('ripples', {
+    label: 'Ripples',
+    loopPeriod: 1.0,
+    params: {
+        rings: { label: 'Rings', default: 10, min: 1, max: 40, step: 1 },
+        centerX: { label: 'Center X', default: 0.5, min: 0, max: 1, step: 0.01 },
+        centerY: { label: 'Center Y', default: 0.5, min: 0, max: 1, step: 0.01 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create expanding ripple waves from center
+        let distance = dist(x, y, pattern.params.centerX, pattern.params.centerY);
+        return sin(distance * TWO_PI * pattern.params.rings - time * pattern.speed * 200);
+    }
+});
+
+registerPattern('noise', {
+    label: 'Perlin Noise',
+    usesScale: true,
+    evaluate(x, y, pattern, time) {
+        // Use different noise variants for organic, natural-looking patterns
+        const noiseVariant = pattern.noiseVariant || 'simplex';
+        switch (noiseVariant) {
+            case 'turbulence':
+                // Turbulence noise - multiple octaves of noise
+                let value = 0;
+                let amplitude = 1.0;
+                let frequency = 1.0;
+                for (let i = 0; i < 4; i++) {
+                    value += amplitude * noise(
+                        x * pattern.scale * 100 * frequency,
+                        y * pattern.scale * 100 * frequency,
+                        time * pattern.speed * 10 * frequency
+                    );
+                    amplitude *= 0.5;
+                    frequency *= 2.0;
                 }
-            }
+                return (value / 1.875) * 2 - 1; // Normalize to -1 to 1
+            case 'ridged':
+                // Ridged noise - creates sharp ridges and valleys
+                let baseNoise = noise(x * pattern.scale * 100, y * pattern.scale * 100, time * pattern.speed * 10);
+                return 1.0 - Math.abs(baseNoise * 2 - 1) * 2 - 1; // Convert to ridged
+            case 'simplex':
+            default:
+                // Standard Perlin noise (simplex-like), also the fallback for unknown variants
+                return noise(x * pattern.scale * 100, y * pattern.scale * 100, time * pattern.speed * 10) * 2 - 1;
         }
+    }
+});
 
-        // Randomize primary character set
-        const selectedCharSet1 = charSets[Math.floor(Math.random() * charSets.length)];
-        currentRamp1 = ASCII_RAMPS[selectedCharSet1];
+registerPattern('spiral', {
+    label: 'Spiral',
+    loopPeriod: 1.5,
+    params: {
+        arms: { label: 'Arms', default: 3, min: 1, max: 12, step: 1 },
+        twist: { label: 'Twist', default: 20, min: 0, max: 60, step: 1 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create spiral pattern using polar coordinates
+        let angle = atan2(y - 0.5, x - 0.5);
+        let radius = dist(x, y, 0.5, 0.5);
+        return sin(angle * pattern.params.arms + radius * pattern.params.twist + time * pattern.speed * 100);
+    }
+});
 
-        // Randomize secondary pattern (with proper enable/disable logic)
-        const shouldEnableSecondary = Math.random() > 0.4; // 60% chance to enable
-        settings.pattern2.enabled = shouldEnableSecondary;
-        
-        if (shouldEnableSecondary) {
-            if (!settings.colors.locks.pattern2Type) {
-                settings.pattern2.type = patternTypes[Math.floor(Math.random() * patternTypes.length)];
-            }
-            if (!settings.colors.locks.pattern2Speed) {
-                settings.pattern2.speed = Math.random() * 0.049 + 0.001;
-            }
-            if (!settings.colors.locks.pattern2Scale) {
-                settings.pattern2.scale = Math.random() * 0.19 + 0.01;
-            }
-            settings.pattern2.glow = Math.random() > 0.5;
-            
-            // Randomize noise variant if noise is selected
-            if (settings.pattern2.type === 'noise') {
-                const noiseVariants = ['simplex', 'turbulence', 'ridged'];
-                settings.pattern2.noiseVariant = noiseVariants[Math.floor(Math.random() * noiseVariants.length)];
-            }
-            
-            // Randomize secondary pattern color - use predefined vibrant colors
-            const vibrantColors2 = [
-                '#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b', // cyberpunk
-                '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7', // retro
-                '#ff0080', '#00ff80', '#0080ff', '#8000ff', '#ff8000', // neon
-                '#ff6b35', '#f7931e', '#ffd23f', '#f4a261', '#e76f51', // sunset
-                '#006994', '#0099cc', '#00bfff', '#87ceeb', '#b0e0e6', // ocean
-                '#228b22', '#32cd32', '#90ee90', '#98fb98', '#00ff7f', // forest
-                '#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500'  // fire
-            ];
-            if (!settings.colors.locks.pattern2Color) {
-                const randomColor2 = vibrantColors2[Math.floor(Math.random() * vibrantColors2.length)];
-                settings.colors.pattern2Color = randomColor2;
-                settings.pattern2.color = randomColor2;
-            }
-            
-            // Randomize blend settings
-            settings.colors.blendAmount = Math.random() * 0.8 + 0.2; // 0.2 to 1.0
-            settings.blendSettings.amount = settings.colors.blendAmount;
-            
-            const blendModes = ['add', 'multiply', 'overlay', 'difference', 'screen'];
-            settings.colors.blendMode = blendModes[Math.floor(Math.random() * blendModes.length)];
-            settings.blendSettings.mode = settings.colors.blendMode;
+registerPattern('checkerboard', {
+    label: 'Checkerboard',
+    usesScale: true,
+    evaluate(x, y, pattern, time) {
+        // Create animated checkerboard pattern
+        let checkX = floor(x * pattern.scale * 100);
+        let checkY = floor(y * pattern.scale * 100);
+        return ((checkX + checkY + floor(time * pattern.speed * 100)) % 2) * 2 - 1;
+    }
+});
 
-            // Randomize secondary character set
-            const selectedCharSet2 = charSets[Math.floor(Math.random() * charSets.length)];
-            currentRamp2 = ASCII_RAMPS[selectedCharSet2];
-            
-            // Ensure secondary pattern has a good color if not using palette
-            if (!settings.colors.usePalette && !settings.colors.locks.pattern2Color && (settings.colors.pattern2Color === '#ffffff' || settings.colors.pattern2Color === '#000000')) {
-                const fallbackColors2 = ['#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b'];
-                const fallbackColor2 = fallbackColors2[Math.floor(Math.random() * fallbackColors2.length)];
-                settings.colors.pattern2Color = fallbackColor2;
-                settings.pattern2.color = fallbackColor2;
-            }
-        }
+registerPattern('stripes', {
+    label: 'Stripes',
+    usesScale: true,
+    evaluate(x, y, pattern, time) {
+        // Create diagonal stripe pattern
+        return sin((x + y) * pattern.scale * 200 + time * pattern.speed * 100);
+    }
+});
 
-        // Reset color animation timers
-        settings.colors.animationTime = 0;
-        settings.colors.randomColorTimer = 0;
-        
-        // Reinitialize special patterns if needed
-        if (settings.pattern1.type === 'voronoi') {
-            initVoronoi();
+registerPattern('plasma', {
+    label: 'Plasma',
+    params: {
+        frequency: { label: 'Frequency', default: 1, min: 0.25, max: 4, step: 0.05 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create complex plasma effect using multiple sine waves
+        const frequency = pattern.params.frequency;
+        return (sin(x * 16 * frequency + time * pattern.speed * 80) +
+            sin(y * 8 * frequency + time * pattern.speed * 60) +
+            sin((x + y) * 16 * frequency + time * pattern.speed * 40) +
+            sin(sqrt(x * x + y * y) * 8 * frequency + time * pattern.speed * 120)) / 4;
+    }
+});
+
+registerPattern('mandelbrot', {
+    label: 'Mandelbrot',
+    loopPeriod: 2.5,
+    params: createFractalParams({ centerX: -0.5 }),
+    evaluate(x, y, pattern, time) {
+        // Map the cell into the current view; animation drifts the view slightly
+        const params = pattern.params;
+        let cx = params.centerX + (x - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+        let cy = params.centerY + (y - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+        if (params.animate) {
+            cx += sin(time * pattern.speed * 50) * 0.3 / params.zoom;
+            cy += cos(time * pattern.speed * 30) * 0.3 / params.zoom;
         }
-        if (settings.pattern2.enabled && settings.pattern2.type === 'voronoi') {
-            initVoronoi();
+        return getFractalValue(0, 0, cx, cy, params);
+    }
+});
+
+registerPattern('julia', {
+    label: 'Julia Set',
+    loopPeriod: 2.5,
+    params: createFractalParams({ cRe: -0.8, cIm: 0.156 }),
+    evaluate(x, y, pattern, time) {
+        // Map the cell into the current view; animation orbits the constant around its set value
+        const params = pattern.params;
+        const jx = params.centerX + (x - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+        const jy = params.centerY + (y - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+        let cRe = params.cRe;
+        let cIm = params.cIm;
+        if (params.animate) {
+            cRe += sin(time * pattern.speed * 100) * 0.05;
+            cIm += cos(time * pattern.speed * 70) * 0.05;
         }
+        return getFractalValue(jx, jy, cRe, cIm, params);
+    }
+});
 
-        // Update UI to reflect changes
-        updateUIFromSettings();
-        
-        // Update pattern code display
-        updatePatternCodeDisplay();
-    });
-}
+registerPattern('voronoi', {
+    label: 'Voronoi',
+    params: {
+        points: { label: 'Points', default: 8, min: 2, max: 64, step: 1 },
+        mode: {
+            label: 'Mode',
+            default: 'f2-f1',
+            type: 'select',
+            options: [
+                { value: 'f1', label: 'F1 (nearest point)' },
+                { value: 'f2', label: 'F2 (second nearest)' },
+                { value: 'f2-f1', label: 'F2 − F1' },
+                { value: 'edge', label: 'Edges' }
+            ]
+        },
+        metric: {
+            label: 'Distance Metric',
+            default: 'euclidean',
+            type: 'select',
+            options: [
+                { value: 'euclidean', label: 'Euclidean' },
+                { value: 'manhattan', label: 'Manhattan' },
+                { value: 'chebyshev', label: 'Chebyshev' }
+            ]
+        },
+        seed: { label: 'Seed', default: () => Math.floor(seededRandom() * (VORONOI_MAX_SEED + 1)), min: 0, max: VORONOI_MAX_SEED, step: 1 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create Voronoi/Worley pattern from seed points moving with time
+        return getVoronoiValue(x, y, pattern, time * pattern.speed * 100);
+    }
+});
 
+registerPattern('tunnel', {
+    label: 'Tunnel',
+    loopPeriod: 1.5,
+    params: {
+        rings: { label: 'Rings', default: 8, min: 1, max: 24, step: 1 },
+        depth: { label: 'Depth', default: 1, min: 0.25, max: 8, step: 0.25 }
+    },
+    evaluate(x, y, pattern, time) {
+        // Create tunnel/wormhole effect
+        let tunnelAngle = atan2(y - 0.5, x - 0.5);
+        let tunnelRadius = dist(x, y, 0.5, 0.5);
+        return sin(tunnelAngle * pattern.params.rings + time * pattern.speed * 100) *
+            sin(pattern.params.depth / (tunnelRadius + 0.1) + time * pattern.speed * 50);
+    }
+});
 
+registerPattern('mosaic', {
+    label: 'Mosaic',
+    usesScale: true,
+    evaluate(x, y, pattern, time) {
+        // Create mosaic/tiled pattern using hash function
+        let mosaicX = floor(x * pattern.scale * 200);
+        let mosaicY = floor(y * pattern.scale * 200);
+        let mosaicHash = ((mosaicX * 73856093) ^ (mosaicY * 19349663)) % 1000000;
+        return (mosaicHash / 500000 - 1) + sin(time * pattern.speed * 100) * 0.3;
+    }
+});
 
-function setupIndividualLockButtons() {
-    const lockButtons = document.querySelectorAll('.lock-btn');
-    
-    lockButtons.forEach(button => {
-        const setting = button.getAttribute('data-setting');
-        if (!setting) return;
-        
-        // Update initial appearance
-        updateLockButtonAppearance(button, setting);
-        
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            
-            // Toggle lock state for this specific setting
-            settings.colors.locks[setting] = !settings.colors.locks[setting];
-            
-            // Update this button's appearance
-            updateLockButtonAppearance(button, setting);
-            
-            // Show feedback
-            const settingName = getSettingDisplayName(setting);
-            if (settings.colors.locks[setting]) {
-                showToast(`${settingName} locked from randomization`, 'info');
-            } else {
-                showToast(`${settingName} unlocked for randomization`, 'info');
-            }
-        });
-    });
-}
+/**
+ * Builds the parameter schema shared by the fractal patterns
+ * (edited by the fractal explorer section, so no generated sliders)
+ * @param {object} [overrides] - Default values that differ per pattern (e.g. centerX, cRe, cIm)
+ * @returns {object} Parameter schema (Julia constants are only included when given)
+ */
+function createFractalParams(overrides = {}) {
+    const params = {
+        variant: {
+            label: 'Variant',
+            default: 'standard',
+            type: 'select',
+            options: [
+                { value: 'standard', label: 'Standard (z² + c)' },
+                { value: 'burningShip', label: 'Burning Ship' },
+                { value: 'multibrot', label: 'Multibrot (zⁿ + c)' }
+            ]
+        },
+        power: { label: 'Power', default: 3, min: 2, max: 8, step: 1, visible: values => values.variant === 'multibrot' },
+        iterations: { label: 'Iterations', default: 48, min: 5, max: 500, step: 1 }
+    };
 
-function updateLockButtonAppearance(button, setting) {
-    const isLocked = settings.colors.locks[setting];
-    
-    if (isLocked) {
-        button.classList.add('locked');
-        button.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="lock-icon">
-                <path stroke-linecap="round" stroke-linejoin="round" d="M16.5 10.5V6.75a4.5 4.5 0 1 0-9 0v3.75m-.75 11.25h10.5a2.25 2.25 0 0 0 2.25-2.25v-6.75a2.25 2.25 0 0 0-2.25-2.25H6.75a2.25 2.25 0 0 0-2.25 2.25v6.75a2.25 2.25 0 0 0 2.25 2.25Z" />
-            </svg>
-        `;
-    } else {
-        button.classList.remove('locked');
-        button.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="lock-icon">
-                <path stroke-linecap="round" stroke-linejoin="round" d="M13.5 10.5V6.75a4.5 4.5 0 1 1 9 0v3.75M3.75 21.75h10.5a2.25 2.25 0 0 0 2.25-2.25v-6.75a2.25 2.25 0 0 0-2.25-2.25H3.75a2.25 2.25 0 0 0-2.25 2.25v6.75a2.25 2.25 0 0 0 2.25 2.25Z" />
-            </svg>
-        `;
+    if (overrides.cRe !== undefined) {
+        params.cRe = { label: 'Julia Constant (Real)', default: overrides.cRe, min: -2, max: 2, step: 0.001 };
+        params.cIm = { label: 'Julia Constant (Imaginary)', default: overrides.cIm, min: -2, max: 2, step: 0.001 };
     }
+
+    // The view is navigated on the canvas (see mouseWheel() and mouseDragged())
+    params.animate = { label: 'Animate', default: true, type: 'boolean' };
+    params.centerX = { label: 'Center X', default: overrides.centerX || 0, min: -4, max: 4, step: 0.0001, control: false };
+    params.centerY = { label: 'Center Y', default: overrides.centerY || 0, min: -4, max: 4, step: 0.0001, control: false };
+    params.zoom = { label: 'Zoom', default: 1, min: 0.25, max: 1e13, step: 0.01, control: false };
+    return params;
 }
 
-function updateAllLockButtonAppearances() {
-    const lockButtons = document.querySelectorAll('.lock-btn');
-    
-    lockButtons.forEach(button => {
-        const setting = button.getAttribute('data-setting');
-        if (setting) {
-            updateLockButtonAppearance(button, setting);
+/**
+ * Iterates z = z^n + c and returns a smooth (continuous) escape count
+ * Supports the standard set (n = 2), Burning Ship (absolute values before squaring)
+ * and Multibrot (integer power n)
+ * @param {number} zx - Real part of the starting value
+ * @param {number} zy - Imaginary part of the starting value
+ * @param {number} cx - Real part of the constant
+ * @param {number} cy - Imaginary part of the constant
+ * @param {string} variant - 'standard', 'burningShip' or 'multibrot'
+ * @param {number} power - Exponent used by the Multibrot variant
+ * @param {number} maxIter - Maximum number of iterations
+ * @returns {number} Smooth iteration count (0 to maxIter, maxIter if the point is in the set)
+ */
+function fractalIteration(zx, zy, cx, cy, variant, power, maxIter) {
+    const exponent = variant === 'multibrot' ? Math.max(2, Math.round(power)) : 2;
+    const bailout = FRACTAL_BAILOUT * FRACTAL_BAILOUT;
+
+    for (let i = 0; i < maxIter; i++) {
+        const magnitude = zx * zx + zy * zy;
+        if (magnitude > bailout) {
+            // Normalized iteration count removes the banding of integer escape counts
+            const smooth = i + 1 - Math.log(Math.log(magnitude) / 2) / Math.log(exponent);
+            return constrain(smooth, 0, maxIter);
         }
-    });
+
+        if (variant === 'burningShip') {
+            zx = Math.abs(zx);
+            zy = Math.abs(zy);
+        }
+
+        // z^n by repeated complex multiplication (n is a small integer)
+        let px = zx, py = zy;
+        for (let n = 1; n < exponent; n++) {
+            const temp = px * zx - py * zy;
+            py = px * zy + py * zx;
+            px = temp;
+        }
+
+        zx = px + cx;
+        zy = py + cy;
+    }
+    return maxIter; // Point is in the set
 }
 
-function getSettingDisplayName(setting) {
-    const displayNames = {
-        backgroundColor: 'Background Color',
-        pattern1Color: 'Primary Pattern Color',
-        pattern2Color: 'Secondary Pattern Color',
-        pattern1Type: 'Primary Pattern Type',
-        pattern2Type: 'Secondary Pattern Type',
-        pattern1Speed: 'Primary Pattern Speed',
-        pattern2Speed: 'Secondary Pattern Speed',
-        pattern1Scale: 'Primary Pattern Scale',
-        pattern2Scale: 'Secondary Pattern Scale',
-        charSize: 'Character Size',
-        gridCols: 'Grid Columns',
-        gridRows: 'Grid Rows',
-        charSpacing: 'Character Spacing',
-        colorAnimation: 'Color Animation',
-        colorPalette: 'Color Palette',
-        secondaryPattern: 'Secondary Pattern'
+/**
+ * Evaluates a fractal pattern and maps the escape count into the -1 to 1 range
+ * @param {number} zx - Real part of the starting value
+ * @param {number} zy - Imaginary part of the starting value
+ * @param {number} cx - Real part of the constant
+ * @param {number} cy - Imaginary part of the constant
+ * @param {object} params - Fractal pattern params
+ * @returns {number} Pattern value in -1 to 1 range
+ */
+function getFractalValue(zx, zy, cx, cy, params) {
+    const iterations = Math.round(params.iterations);
+    const count = fractalIteration(zx, zy, cx, cy, params.variant, params.power, iterations);
+    // Square root spreads the (mostly low) escape counts across the character ramp
+    return Math.sqrt(count / iterations) * 2 - 1;
+}
+
+/**
+ * Converts the current mouse position into normalized grid coordinates
+ * @returns {object} Position {x, y}; values outside 0-1 are off the grid
+ */
+function getGridMousePosition() {
+    let gridPixelWidth = gridCols * baseCharWidth * gridScale;
+    let gridPixelHeight = gridRows * baseCharHeight * gridScale;
+    let startX = (width - gridPixelWidth) / 2;
+    let startY = (height - gridPixelHeight) / 2;
+
+    return {
+        x: (mouseX - startX) / gridPixelWidth,
+        y: (mouseY - startY) / gridPixelHeight
     };
-    
-    return displayNames[setting] || setting;
 }
 
-function setupDownloadButton() {
-    const downloadBtn = document.getElementById('download-btn');
-    const downloadMenu = document.getElementById('download-menu');
-    const downloadOpts = downloadMenu.querySelectorAll('.download-option');
+/**
+ * Finds the active layers showing a navigable fractal
+ * @returns {Array} Pattern configuration objects
+ */
+function getFractalLayers() {
+    return getActiveLayers().filter(pattern => FRACTAL_TYPES.includes(pattern.type));
+}
 
-    let menuVisible = false;
-    let isSaving = false;
+/**
+ * Zooms a fractal view, keeping the point under the cursor in place
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} x - Normalized grid X of the zoom anchor
+ * @param {number} y - Normalized grid Y of the zoom anchor
+ * @param {number} factor - Zoom multiplier (> 1 zooms in)
+ */
+function zoomFractalView(pattern, x, y, factor) {
+    const params = pattern.params;
+    const schema = getPatternDefinition(pattern.type).params.zoom;
+    const anchorX = params.centerX + (x - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+    const anchorY = params.centerY + (y - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+
+    params.zoom = constrain(params.zoom * factor, schema.min, schema.max);
+    params.centerX = anchorX - (x - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+    params.centerY = anchorY - (y - 0.5) * FRACTAL_VIEW_SIZE / params.zoom;
+}
 
-    const hideMenu = () => {
-        menuVisible = false;
-        downloadMenu.classList.remove('show');
-    };
+/**
+ * Pans a fractal view by a distance in normalized grid coordinates
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} dx - Horizontal drag distance (0-1 is the full grid width)
+ * @param {number} dy - Vertical drag distance (0-1 is the full grid height)
+ */
+function panFractalView(pattern, dx, dy) {
+    pattern.params.centerX -= dx * FRACTAL_VIEW_SIZE / pattern.params.zoom;
+    pattern.params.centerY -= dy * FRACTAL_VIEW_SIZE / pattern.params.zoom;
+}
 
-    downloadBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        menuVisible = !menuVisible;
-        downloadMenu.classList.toggle('show', menuVisible);
-    });
+// Seeded randomness - every random source derives from settings.seed so pattern codes reproduce frames
 
-    document.addEventListener('click', (e) => {
-        if (!downloadBtn.contains(e.target) && !downloadMenu.contains(e.target)) {
-            hideMenu();
-        }
-    });
+/**
+ * Applies the global seed to every random source
+ * Reseeds p5 noise and the seeded streams, and restarts stateful patterns so they reseed from it
+ * @param {number} seed - Integer seed (0 to SEED_MAX)
+ */
+function setGlobalSeed(seed) {
+    settings.seed = constrain(Math.floor(seed) || 0, 0, SEED_MAX);
+    noiseSeed(settings.seed);
+    randomStream.state = settings.seed;
+    paletteRandomStream.state = createRandomStream('palette').state;
+    settings.layers.forEach(layer => initPattern(layer));
+}
 
-    downloadOpts.forEach(opt => {
-        const handler = (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            if (isSaving) return;
-            isSaving = true;
+/**
+ * Returns the next value of a seeded random stream (mulberry32)
+ * @param {object} stream - Stream state ({ state }, see createRandomStream())
+ * @returns {number} Random value in 0-1 range
+ */
+function nextRandom(stream) {
+    stream.state = (stream.state + 0x6d2b79f5) | 0;
+    let t = stream.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
 
-            const format = opt.dataset.format;
+/**
+ * Returns the next value of the randomizer's seeded stream
+ * Use instead of Math.random() so results are reproducible from the global seed
+ * @returns {number} Random value in 0-1 range
+ */
+function seededRandom() {
+    return nextRandom(randomStream);
+}
 
-            setTimeout(() => {
-                try {
-                    exportCanvasFile(format);
-                } catch (err) {
-                    console.error('Download failed:', err);
-                    alert(`Failed to export ${format.toUpperCase()} file. Please try again.`);
-                } finally {
-                    setTimeout(() => {
-                        hideMenu();
-                        isSaving = false;
-                    }, 100);
-                }
-            }, 50);
-        };
+/**
+ * Creates a random stream of its own for one consumer, such as the seeding of a layer's simulation
+ * Streams derive from the global seed, the consumer name and the layer's position in the stack, so
+ * draws elsewhere (the randomizer, other layers) can't shift them and a pattern code reproduces them
+ * @param {string} name - Consumer name (e.g. 'cellular')
+ * @param {object} [pattern] - Pattern configuration object (a layer, or a source pattern owned by one)
+ * @returns {object} Stream state for nextRandom()
+ */
+function createRandomStream(name, pattern = null) {
+    // Source patterns (see getSourcePattern()) take the position of the layer that owns them
+    let layer = pattern;
+    while (layer && layer.owner) layer = layer.owner;
+    const index = layer ? settings.layers.indexOf(layer) + 1 : 0;
+
+    // FNV-1a hash of the name
+    let nameHash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+        nameHash = Math.imul(nameHash ^ name.charCodeAt(i), 0x01000193);
+    }
+    return { state: Math.floor(hashToUnit(settings.seed ^ nameHash, index) * 4294967296) | 0 };
+}
 
-        opt.addEventListener('click', handler, { passive: false });
-    });
+/**
+ * Hashes two integers into a deterministic value in the 0-1 range
+ * @param {number} a - First integer (e.g. a seed)
+ * @param {number} b - Second integer (e.g. an index)
+ * @returns {number} Hash value in 0-1 range
+ */
+function hashToUnit(a, b) {
+    let h = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x7f4a7c15, 0xc2b2ae35);
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
 }
 
-function exportCanvasFile(format) {
-    const pattern1Name = settings.pattern1.type;
-    const pattern2Name = settings.pattern2.enabled ? `-${settings.pattern2.type}` : '';
-    const base = `gridform-${pattern1Name}${pattern2Name}`;
-    const ext = (format === 'jpeg') ? 'jpg' : format;
+/**
+ * Calculates Voronoi seed point positions for a seed and time
+ * Points are a pure function of their inputs: each one drifts in a straight line
+ * from a hashed start position and bounces off the edges of the unit square
+ * @param {number} seed - Point set seed
+ * @param {number} count - Number of points
+ * @param {number} t - Animation time (already scaled by pattern speed)
+ * @returns {Float64Array} Interleaved x/y positions
+ */
+function getVoronoiPoints(seed, count, t) {
+    const points = new Float64Array(count * 2);
+    // Triangle wave folds the straight path back into 0-1 (a bounce off the edges)
+    const bounce = (v) => {
+        const u = ((v % 2) + 2) % 2;
+        return u <= 1 ? u : 2 - u;
+    };
 
-    if (format === 'txt') {
-        exportTextFile(base);
-        return;
+    for (let i = 0; i < count; i++) {
+        const startX = hashToUnit(seed, i * 4);
+        const startY = hashToUnit(seed, i * 4 + 1);
+        const velocityX = (hashToUnit(seed, i * 4 + 2) - 0.5) * 0.5;
+        const velocityY = (hashToUnit(seed, i * 4 + 3) - 0.5) * 0.5;
+        points[i * 2] = bounce(startX + velocityX * t);
+        points[i * 2 + 1] = bounce(startY + velocityY * t);
     }
+    return points;
+}
 
-    if (format === 'gif') {
-        exportGifAnimation(base);
-        return;
+/**
+ * Calculates Voronoi/Worley value for a given position
+ * Point positions are computed once per frame and layer and cached in patternStates
+ * @param {number} x - Normalized X coordinate (0-1)
+ * @param {number} y - Normalized Y coordinate (0-1)
+ * @param {object} pattern - Pattern configuration object (uses params.points/mode/metric/seed and the global seed)
+ * @param {number} t - Animation time (already scaled by pattern speed)
+ * @returns {number} Voronoi value in -1 to 1 range
+ */
+function getVoronoiValue(x, y, pattern, t) {
+    const { points: count, mode, metric } = pattern.params;
+    // Combine the layer's seed with the global seed
+    const seed = Math.floor(hashToUnit(settings.seed, pattern.params.seed) * 4294967296);
+
+    let state = patternStates.get(pattern);
+    if (!state || state.t !== t || state.seed !== seed || state.count !== count) {
+        state = { t: t, seed: seed, count: count, points: getVoronoiPoints(seed, count, t) };
+        patternStates.set(pattern, state);
     }
 
-    if (ext !== 'png' && ext !== 'jpg') {
-        alert(`Export format ${format} not supported yet.`);
-        return;
+    // Find the distances to the two closest points (F1 and F2)
+    let minDist = Infinity;
+    let secondMinDist = Infinity;
+    const points = state.points;
+
+    for (let i = 0; i < count; i++) {
+        const dx = Math.abs(x - points[i * 2]);
+        const dy = Math.abs(y - points[i * 2 + 1]);
+        let d;
+        switch (metric) {
+            case 'manhattan':
+                d = dx + dy;
+                break;
+            case 'chebyshev':
+                d = Math.max(dx, dy);
+                break;
+            default:
+                d = Math.sqrt(dx * dx + dy * dy);
+        }
+
+        if (d < minDist) {
+            secondMinDist = minDist;
+            minDist = d;
+        } else if (d < secondMinDist) {
+            secondMinDist = d;
+        }
     }
 
-    // Create high-resolution version
-    exportHighResCanvas(base, ext);
+    // Typical cell size shrinks with the point count, so distances are scaled by sqrt(count)
+    const cellScale = Math.sqrt(count);
+    let value;
+    switch (mode) {
+        case 'f1':
+            value = minDist * cellScale;
+            break;
+        case 'f2':
+            value = secondMinDist * cellScale * 0.6;
+            break;
+        case 'edge':
+            // Bright lines where two cells meet
+            value = 1 - (secondMinDist - minDist) * cellScale * 8;
+            break;
+        default:
+            value = (secondMinDist - minDist) * cellScale * 1.5;
+    }
+
+    return constrain(value, 0, 1) * 2 - 1;
 }
 
-function exportHighResCanvas(filename, ext) {
-    // Calculate scale factor for 300 DPI (300/72 = ~4.17x)
-    const dpiScale = 300 / 72;
+// Formula pattern - user-defined expressions compiled by a small sandboxed parser (no eval)
+
+// Functions available inside formulas: name -> { args: [min, max], fn }
+const FORMULA_FUNCTIONS = {
+    sin: { args: [1, 1], fn: Math.sin },
+    cos: { args: [1, 1], fn: Math.cos },
+    tan: { args: [1, 1], fn: Math.tan },
+    asin: { args: [1, 1], fn: Math.asin },
+    acos: { args: [1, 1], fn: Math.acos },
+    atan: { args: [1, 1], fn: Math.atan },
+    atan2: { args: [2, 2], fn: Math.atan2 },
+    abs: { args: [1, 1], fn: Math.abs },
+    sqrt: { args: [1, 1], fn: Math.sqrt },
+    pow: { args: [2, 2], fn: Math.pow },
+    exp: { args: [1, 1], fn: Math.exp },
+    log: { args: [1, 1], fn: Math.log },
+    min: { args: [2, 2], fn: Math.min },
+    max: { args: [2, 2], fn: Math.max },
+    floor: { args: [1, 1], fn: Math.floor },
+    ceil: { args: [1, 1], fn: Math.ceil },
+    round: { args: [1, 1], fn: Math.round },
+    sign: { args: [1, 1], fn: Math.sign },
+    fract: { args: [1, 1], fn: (v) => v - Math.floor(v) },
+    mod: { args: [2, 2], fn: (a, b) => ((a % b) + b) % b },
+    step: { args: [2, 2], fn: (edge, v) => v < edge ? 0 : 1 },
+    smoothstep: { args: [3, 3], fn: (e0, e1, v) => { const k = Math.min(Math.max((v - e0) / (e1 - e0), 0), 1); return k * k * (3 - 2 * k); } },
+    mix: { args: [3, 3], fn: (a, b, k) => a + (b - a) * k },
+    clamp: { args: [3, 3], fn: (v, lo, hi) => Math.min(Math.max(v, lo), hi) },
+    noise: { args: [1, 3], fn: (a, b = 0, c = 0) => noise(a, b, c), impure: true } // p5 Perlin noise (0-1 range)
+};
 
-    // Calculate the same scale factor as draw() function (don't scale up, only down)
-    let gridPixelWidth = gridCols * baseCharWidth;
-    let gridPixelHeight = gridRows * baseCharHeight;
-    let scaleX = width / gridPixelWidth;
-    let scaleY = height / gridPixelHeight;
-    let displayGridScale = Math.min(scaleX, scaleY, 1.0); // Same as draw() function
+// Named constants available inside formulas
+const FORMULA_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
 
-    // Calculate the actual grid dimensions that would be displayed
-    let displayCharWidth = baseCharWidth * displayGridScale * settings.charSpacing;
-    let displayCharHeight = baseCharHeight * displayGridScale * settings.charSpacing;
-    let displayGridWidth = gridCols * displayCharWidth;
-    let displayGridHeight = gridRows * displayCharHeight;
+// Per-cell variables available inside formulas
+const FORMULA_VARIABLES = ['x', 'y', 't', 'r', 'theta'];
 
-    // Create off-screen canvas with EXACT grid dimensions, scaled up for high resolution
-    const offscreenCanvas = document.createElement('canvas');
-    const ctx = offscreenCanvas.getContext('2d');
+// Maximum formula length, keeps compiled closure trees small
+const FORMULA_MAX_LENGTH = 500;
 
-    // Set canvas size to exactly match the grid dimensions at high resolution
-    offscreenCanvas.width = Math.floor(displayGridWidth * dpiScale);
-    offscreenCanvas.height = Math.floor(displayGridHeight * dpiScale);
+// Compiled formulas keyed by source text, so each expression is compiled once per change
+const compiledFormulas = new Map();
 
-    // Clear the off-screen canvas
-    ctx.fillStyle = '#000000';
-    ctx.fillRect(0, 0, offscreenCanvas.width, offscreenCanvas.height);
+// Compiled formula (or null if it doesn't compile) of each formula pattern, keyed by pattern config:
+// { expression, formula }. Checked against the expression, so each cell only compares strings
+const patternFormulas = new WeakMap();
 
-    // Set up text rendering
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+// Scratch scope reused for every cell evaluation
+const formulaScope = { x: 0, y: 0, t: 0, r: 0, theta: 0 };
 
-    // Scale up the display dimensions to high resolution
-    let actualCharWidth = displayCharWidth * dpiScale;
-    let actualCharHeight = displayCharHeight * dpiScale;
-    let actualCharSize = (settings.charSize * displayGridScale) * dpiScale;
+/**
+ * Splits a formula into tokens
+ * @param {string} source - Formula source text
+ * @returns {Array} Tokens of the form { type, value, pos }
+ */
+function tokenizeFormula(source) {
+    const tokens = [];
+    let pos = 0;
 
-    // Since the canvas is exactly the grid size, start at (0,0)
-    let startX = 0;
-    let startY = 0;
+    while (pos < source.length) {
+        const char = source[pos];
 
-    ctx.font = `${actualCharSize}px monospace`;
+        if (/\s/.test(char)) {
+            pos++;
+            continue;
+        }
 
-    // Render the grid at high resolution on off-screen canvas
-    for (let x = 0; x < gridCols; x++) {
-        for (let y = 0; y < gridRows; y++) {
-            let xPos = startX + (x + 0.5) * actualCharWidth;
-            let yPos = startY + (y + 0.5) * actualCharHeight;
+        // Numbers: 12, 0.5, .5, 1e-3
+        const numberMatch = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(pos));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), pos: pos });
+            pos += numberMatch[0].length;
+            continue;
+        }
 
-            let value1 = getPatternValue(x, y, settings.pattern1, time);
-            let finalValue = value1;
-            let finalColor = settings.pattern1.color;
-            let glowIntensity1 = settings.pattern1.glow ? value1 : 0;
-            let glowIntensity2 = 0;
-            let useRamp1 = true;
+        // Identifiers: variables, constants and function names
+        const identMatch = /^[a-z_][a-z0-9_]*/i.exec(source.slice(pos));
+        if (identMatch) {
+            tokens.push({ type: 'ident', value: identMatch[0].toLowerCase(), pos: pos });
+            pos += identMatch[0].length;
+            continue;
+        }
 
-            if (settings.pattern2.enabled) {
-                let value2 = getPatternValue(x, y, settings.pattern2, time);
-                finalValue = blendValues(value1, value2, settings.blendSettings.mode, settings.blendSettings.amount);
-                glowIntensity2 = settings.pattern2.glow ? value2 : 0;
+        // Two-character operators first, then single characters
+        const twoChar = source.substr(pos, 2);
+        if (twoChar === '<=' || twoChar === '>=') {
+            tokens.push({ type: 'op', value: twoChar, pos: pos });
+            pos += 2;
+            continue;
+        }
+        if ('+-*/%^<>(),'.includes(char)) {
+            tokens.push({ type: 'op', value: char, pos: pos });
+            pos++;
+            continue;
+        }
 
-                finalColor = blendColors(
-                    settings.pattern1.color,
-                    settings.pattern2.color,
-                    settings.blendSettings.mode,
-                    value1,
-                    value2,
-                    settings.blendSettings.amount
-                );
+        throw new Error(`Unexpected character '${char}' at position ${pos + 1}`);
+    }
 
-                let blendStrength = value1 * value2 * settings.blendSettings.amount;
-                useRamp1 = blendStrength < 0.5;
+    tokens.push({ type: 'end', value: null, pos: source.length });
+    return tokens;
+}
 
-            }
+/**
+ * Parses a formula into an expression tree using recursive descent
+ * Precedence (low to high): comparisons, + -, * / %, unary -, ^ (right associative)
+ * @param {string} source - Formula source text
+ * @returns {object} Expression tree node
+ */
+function parseFormula(source) {
+    const tokens = tokenizeFormula(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+
+    function expect(value) {
+        const token = next();
+        if (token.type !== 'op' || token.value !== value) {
+            throw new Error(`Expected '${value}' at position ${token.pos + 1}`);
+        }
+    }
 
-            if (settings.interactive.enabled) {
-                finalValue = applyInteractiveEffect(x, y, finalValue);
-            }
+    function parseComparison() {
+        let node = parseAdditive();
+        while (['<', '>', '<=', '>='].some(isOp)) {
+            const op = next().value;
+            node = { type: 'binary', op: op, left: node, right: parseAdditive() };
+        }
+        return node;
+    }
 
-            // Apply glow effect if needed
-            let maxGlowIntensity = Math.max(glowIntensity1, glowIntensity2);
-            if (maxGlowIntensity > 0) {
-                let enhancedGlowIntensity = Math.pow(maxGlowIntensity, 0.7);
-                let colorMatch = finalColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/) || finalColor.match(/#([a-fA-F0-9]{2})([a-fA-F0-9]{2})([a-fA-F0-9]{2})/);
-                if (colorMatch) {
-                    let r, g, b;
-                    if (colorMatch[0].startsWith('rgb')) {
-                        r = parseInt(colorMatch[1]);
-                        g = parseInt(colorMatch[2]);
-                        b = parseInt(colorMatch[3]);
-                    } else {
-                        r = parseInt(colorMatch[1], 16);
-                        g = parseInt(colorMatch[2], 16);
-                        b = parseInt(colorMatch[3], 16);
-                    }
+    function parseAdditive() {
+        let node = parseMultiplicative();
+        while (isOp('+') || isOp('-')) {
+            const op = next().value;
+            node = { type: 'binary', op: op, left: node, right: parseMultiplicative() };
+        }
+        return node;
+    }
 
-                    let glowSize = enhancedGlowIntensity * actualCharSize * 3.0;
-                    let glowAlpha = Math.min(enhancedGlowIntensity * 1.5, 1.0);
+    function parseMultiplicative() {
+        let node = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = next().value;
+            node = { type: 'binary', op: op, left: node, right: parseUnary() };
+        }
+        return node;
+    }
 
-                    ctx.shadowColor = `rgba(${r}, ${g}, ${b}, ${glowAlpha})`;
-                    ctx.shadowBlur = glowSize;
-                }
-            } else {
-                ctx.shadowColor = 'transparent';
-                ctx.shadowBlur = 0;
-            }
+    function parseUnary() {
+        if (isOp('-')) {
+            next();
+            return { type: 'negate', operand: parseUnary() };
+        }
+        if (isOp('+')) {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    }
 
-            ctx.fillStyle = finalColor;
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            next();
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
 
-            let selectedRamp = useRamp1 ? currentRamp1 : currentRamp2;
-            let charIndex = Math.floor(map(finalValue, 0, 1, 0, selectedRamp.length - 1));
-            charIndex = constrain(charIndex, 0, selectedRamp.length - 1);
-            let char = selectedRamp[charIndex];
+    function parsePrimary() {
+        const token = next();
 
-            ctx.fillText(char, xPos, yPos);
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
         }
-    }
 
-    // Export the off-screen canvas
-    try {
-        const mimeType = ext === 'png' ? 'image/png' : 'image/jpeg';
-        const quality = ext === 'jpg' ? 0.9 : undefined;
+        if (token.type === 'op' && token.value === '(') {
+            const node = parseComparison();
+            expect(')');
+            return node;
+        }
 
-        offscreenCanvas.toBlob((blob) => {
-            if (!blob) {
-                alert('Export failed');
-                return;
+        if (token.type === 'ident') {
+            // Function call
+            if (isOp('(')) {
+                next();
+                // Own keys only, so names like 'constructor' don't reach Object.prototype
+                const definition = Object.hasOwn(FORMULA_FUNCTIONS, token.value) ? FORMULA_FUNCTIONS[token.value] : null;
+                if (!definition) {
+                    throw new Error(`Unknown function '${token.value}'`);
+                }
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseComparison());
+                    while (isOp(',')) {
+                        next();
+                        args.push(parseComparison());
+                    }
+                }
+                expect(')');
+                const [minArgs, maxArgs] = definition.args;
+                if (args.length < minArgs || args.length > maxArgs) {
+                    const expected = minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`;
+                    throw new Error(`${token.value}() takes ${expected} argument${maxArgs === 1 ? '' : 's'}`);
+                }
+                return { type: 'call', name: token.value, args: args };
             }
-        
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `${filename}.${ext}`;
-            a.style.display = 'none';
-        
-            document.body.appendChild(a);
-            a.click();
 
-            gtag('event', 'file_download', {
-                'event_category': 'engagement',
-                'event_label': `gridform_${ext}`,
-                'value': 1
-            });
-        
-            // Add this line to show the success toast
-            showSuccessToast(`${filename}.${ext}`);
-        
-            setTimeout(() => {
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            }, 1000);
-        
-        }, mimeType, quality);
+            if (FORMULA_VARIABLES.includes(token.value)) {
+                return { type: 'variable', name: token.value };
+            }
+            if (Object.hasOwn(FORMULA_CONSTANTS, token.value)) {
+                return { type: 'number', value: FORMULA_CONSTANTS[token.value] };
+            }
+            throw new Error(`Unknown name '${token.value}'`);
+        }
 
-    } catch (error) {
-        alert('High-res export failed');
+        if (token.type === 'end') {
+            throw new Error('Unexpected end of formula');
+        }
+        throw new Error(`Unexpected '${token.value}' at position ${token.pos + 1}`);
+    }
+
+    const tree = parseComparison();
+    if (peek().type !== 'end') {
+        throw new Error(`Unexpected '${peek().value}' at position ${peek().pos + 1}`);
     }
+    return tree;
 }
 
-function tryP5SaveMethod(filename, ext) {
-    try {
-        if (typeof save === 'function') {
-            save(canvas, `${filename}.${ext}`);
-        } else if (typeof saveCanvas === 'function') {
-            saveCanvas(canvas, filename, ext);
-        } else {
-            throw new Error('No p5.js save functions available');
+/**
+ * Turns an expression tree into a tree of closures over the formula scope
+ * Subtrees without variables (or noise) are folded into constants
+ * @param {object} node - Expression tree node
+ * @returns {function} (scope) => number
+ */
+function compileFormulaNode(node) {
+    switch (node.type) {
+        case 'number': {
+            const value = node.value;
+            const fn = () => value;
+            fn.constant = true;
+            return fn;
+        }
+        case 'variable': {
+            const name = node.name;
+            return (scope) => scope[name];
+        }
+        case 'negate': {
+            const operand = compileFormulaNode(node.operand);
+            return foldFormulaConstant((scope) => -operand(scope), [operand]);
+        }
+        case 'binary': {
+            const left = compileFormulaNode(node.left);
+            const right = compileFormulaNode(node.right);
+            let fn;
+            switch (node.op) {
+                case '+': fn = (scope) => left(scope) + right(scope); break;
+                case '-': fn = (scope) => left(scope) - right(scope); break;
+                case '*': fn = (scope) => left(scope) * right(scope); break;
+                case '/': fn = (scope) => left(scope) / right(scope); break;
+                case '%': fn = (scope) => left(scope) % right(scope); break;
+                case '^': fn = (scope) => Math.pow(left(scope), right(scope)); break;
+                case '<': fn = (scope) => left(scope) < right(scope) ? 1 : 0; break;
+                case '>': fn = (scope) => left(scope) > right(scope) ? 1 : 0; break;
+                case '<=': fn = (scope) => left(scope) <= right(scope) ? 1 : 0; break;
+                case '>=': fn = (scope) => left(scope) >= right(scope) ? 1 : 0; break;
+            }
+            return foldFormulaConstant(fn, [left, right]);
+        }
+        case 'call': {
+            const definition = FORMULA_FUNCTIONS[node.name];
+            const args = node.args.map(compileFormulaNode);
+            const f = definition.fn;
+            let fn;
+            switch (args.length) {
+                case 1: fn = (scope) => f(args[0](scope)); break;
+                case 2: fn = (scope) => f(args[0](scope), args[1](scope)); break;
+                default: fn = (scope) => f(...args.map(arg => arg(scope)));
+            }
+            return definition.impure ? fn : foldFormulaConstant(fn, args);
         }
-    } catch (p5Error) {
-        tryManualSave(filename, ext);
     }
+    throw new Error(`Unsupported formula node '${node.type}'`);
 }
 
-function tryManualSave(filename, ext) {
-    try {
-        const domCanvas = canvas?.canvas || document.querySelector('canvas');
-        if (!domCanvas) {
-            throw new Error('No canvas element found');
-        }
+/**
+ * Evaluates a compiled node once if all of its inputs are constant
+ * @param {function} fn - Compiled node
+ * @param {Array<function>} inputs - Compiled child nodes
+ * @returns {function} The original node or a constant node
+ */
+function foldFormulaConstant(fn, inputs) {
+    if (!inputs.every(input => input.constant)) return fn;
+    const value = fn(formulaScope);
+    const folded = () => value;
+    folded.constant = true;
+    return folded;
+}
 
-        const mimeType = ext === 'png' ? 'image/png' : 'image/jpeg';
-        const dataURL = domCanvas.toDataURL(mimeType, ext === 'jpg' ? 0.9 : undefined);
+/**
+ * Compiles a formula into a function of the formula scope, caching the result by source text
+ * @param {string} source - Formula source text, e.g. "sin(x*10+t)*cos(r*20)"
+ * @returns {function} (scope) => number
+ * @throws {Error} If the formula is empty, too long, or has a syntax error
+ */
+function compileFormula(source) {
+    source = (source || '').trim();
+    if (compiledFormulas.has(source)) {
+        return compiledFormulas.get(source);
+    }
 
-        if (!dataURL || dataURL === 'data:,') {
-            throw new Error('Canvas toDataURL failed');
-        }
+    if (!source) {
+        throw new Error('Formula is empty');
+    }
+    if (source.length > FORMULA_MAX_LENGTH) {
+        throw new Error(`Formula is longer than ${FORMULA_MAX_LENGTH} characters`);
+    }
 
-        const byteString = atob(dataURL.split(',')[1]);
-        const arrayBuffer = new ArrayBuffer(byteString.length);
-        const uint8Array = new Uint8Array(arrayBuffer);
+    const compiled = compileFormulaNode(parseFormula(source));
 
-        for (let i = 0; i < byteString.length; i++) {
-            uint8Array[i] = byteString.charCodeAt(i);
-        }
+    // Drop old entries while typing so the cache doesn't grow without bound
+    if (compiledFormulas.size > 50) {
+        compiledFormulas.clear();
+    }
+    compiledFormulas.set(source, compiled);
+    return compiled;
+}
 
-        const blob = new Blob([arrayBuffer], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
+/**
+ * Looks up the compiled formula for a pattern, ignoring invalid formulas
+ * The result (including a failed compile) is kept until the expression changes
+ * @param {object} pattern - Pattern configuration object
+ * @returns {function|null} Compiled formula or null if it doesn't compile
+ */
+function getPatternFormula(pattern) {
+    const expression = pattern.params.expression;
+    let entry = patternFormulas.get(pattern);
+    if (!entry || entry.expression !== expression) {
+        let formula;
+        try {
+            formula = compileFormula(expression);
+        } catch (error) {
+            formula = null;
+        }
+        entry = { expression: expression, formula: formula };
+        patternFormulas.set(pattern, entry);
+    }
+    return entry.formula;
+}
+
+registerPattern('formula', {
+    label: 'Formula',
+    params: {
+        expression: { label: 'Formula', default: 'sin(x*10+t)*cos(r*20)', type: 'text' }
+    },
+    evaluate(x, y, pattern, time) {
+        const formula = getPatternFormula(pattern);
+        if (!formula) return 0;
+
+        formulaScope.x = x;
+        formulaScope.y = y;
+        formulaScope.t = time * pattern.speed * 100;
+        formulaScope.r = dist(x, y, 0.5, 0.5);
+        formulaScope.theta = atan2(y - 0.5, x - 0.5);
+
+        // Keep results inside the pattern range; NaN/Infinity (e.g. sqrt(-1), 1/0) render flat
+        const value = formula(formulaScope);
+        return Number.isFinite(value) ? constrain(value, -1, 1) : 0;
+    }
+});
+
+// Cellular automata - Life-like B/S rules (with optional Generations /C states) simulated on the grid
+
+// Built-in rule presets, shown in the Rule Preset dropdowns
+const CELLULAR_RULE_PRESETS = {
+    life: 'B3/S23',     // Conway's Game of Life
+    highlife: 'B36/S23', // HighLife (has replicators)
+    seeds: 'B2/S',      // Seeds (every live cell dies each generation)
+    brain: 'B2/S/C3'    // Brian's Brain (live -> dying -> dead)
+};
+
+// Maximum number of generations simulated per rendered frame (avoids stalls after long pauses)
+const CELLULAR_MAX_STEPS_PER_FRAME = 8;
+
+/**
+ * Parses a Life-like rule string
+ * Supports B/S notation with an optional Generations state count, e.g. "B3/S23" or "B2/S/C3"
+ * @param {string} rule - Rule string
+ * @returns {object} Parsed rule { birth: boolean[9], survive: boolean[9], states }
+ * @throws {Error} If the rule string is not valid
+ */
+function parseCellularRule(rule) {
+    const match = /^\s*B([0-8]*)\s*\/\s*S([0-8]*)\s*(?:\/\s*C?(\d+)\s*)?$/i.exec(rule || '');
+    if (!match) {
+        throw new Error(`Invalid rule '${rule}' (expected e.g. B3/S23 or B2/S/C3)`);
+    }
+
+    const birth = new Array(9).fill(false);
+    const survive = new Array(9).fill(false);
+    for (const digit of match[1]) birth[parseInt(digit)] = true;
+    for (const digit of match[2]) survive[parseInt(digit)] = true;
+
+    const states = match[3] ? parseInt(match[3]) : 2;
+    if (states < 2 || states > 32) {
+        throw new Error('Rule state count must be between 2 and 32');
+    }
+
+    return { birth: birth, survive: survive, states: states };
+}
+
+/**
+ * Creates a freshly seeded automaton for a pattern, sized to the current grid
+ * @param {object} pattern - Pattern configuration object
+ * @returns {object} Simulation state
+ */
+function seedCellularState(pattern) {
+    const count = gridCols * gridRows;
+    const state = {
+        cols: gridCols,
+        rows: gridRows,
+        cells: new Uint8Array(count), // 0 = dead, 1 = alive, 2+ = dying (Generations rules)
+        next: new Uint8Array(count),
+        rule: parseCellularRule(CELLULAR_RULE_PRESETS.life),
+        ruleSource: null,
+        lastTime: null,
+        pendingSteps: 0
+    };
+
+    const random = createRandomStream('cellular', pattern);
+    for (let i = 0; i < count; i++) {
+        state.cells[i] = nextRandom(random) < pattern.params.density ? 1 : 0;
+    }
+
+    patternStates.set(pattern, state);
+    return state;
+}
+
+/**
+ * Advances the automaton by one generation
+ * @param {object} state - Simulation state
+ * @param {boolean} wrap - Whether edges wrap around (torus) or count as dead
+ * @returns {number} Number of live cells after the step
+ */
+function stepCellularState(state, wrap) {
+    const { cols, rows, cells, next, rule } = state;
+    let population = 0;
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            // Count live neighbours (only state 1 counts as alive)
+            let neighbours = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    let nx = x + dx;
+                    let ny = y + dy;
+                    if (wrap) {
+                        nx = (nx + cols) % cols;
+                        ny = (ny + rows) % rows;
+                    } else if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) {
+                        continue;
+                    }
+                    if (cells[ny * cols + nx] === 1) neighbours++;
+                }
+            }
+
+            const index = y * cols + x;
+            const cell = cells[index];
+            let nextCell;
+            if (cell === 0) {
+                nextCell = rule.birth[neighbours] ? 1 : 0;
+            } else if (cell === 1) {
+                // Survivors stay alive; others start dying (or die at once with 2 states)
+                nextCell = rule.survive[neighbours] ? 1 : (rule.states > 2 ? 2 : 0);
+            } else {
+                // Dying cells age until they reach the last state
+                nextCell = cell + 1 < rule.states ? cell + 1 : 0;
+            }
+
+            next[index] = nextCell;
+            if (nextCell === 1) population++;
+        }
+    }
+
+    // Swap buffers
+    state.cells = next;
+    state.next = cells;
+    return population;
+}
+
+/**
+ * Brings a pattern's automaton up to date with the animation time
+ * Reseeds when the grid is resized or everything has died
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} time - Current animation time
+ * @returns {object} Simulation state
+ */
+function syncCellularState(pattern, time) {
+    let state = patternStates.get(pattern);
+    if (!state || state.cols !== gridCols || state.rows !== gridRows) {
+        state = seedCellularState(pattern);
+    }
+
+    // Pick up rule changes (invalid rules keep the previous rule running)
+    if (state.ruleSource !== pattern.params.rule) {
+        state.ruleSource = pattern.params.rule;
+        try {
+            state.rule = parseCellularRule(pattern.params.rule);
+        } catch (error) {
+            console.warn(error.message);
+        }
+    }
+
+    if (state.lastTime === time) return state;
+
+    // Advance by the generation rate; time only moves forward while playing
+    if (state.lastTime !== null && time > state.lastTime) {
+        state.pendingSteps += (time - state.lastTime) * pattern.params.rate;
+        const steps = Math.min(Math.floor(state.pendingSteps), CELLULAR_MAX_STEPS_PER_FRAME);
+        state.pendingSteps = Math.min(state.pendingSteps - steps, 1);
+
+        for (let i = 0; i < steps; i++) {
+            const population = stepCellularState(state, pattern.params.wrap);
+            if (population === 0 && !state.cells.some(cell => cell > 1)) {
+                seedCellularState(pattern);
+                return syncCellularState(pattern, time);
+            }
+        }
+    }
+    state.lastTime = time;
+    return state;
+}
+
+registerPattern('cellular', {
+    label: 'Cellular Automata',
+    loopPeriod: 2.0,
+    params: {
+        rule: { label: 'Rule', default: CELLULAR_RULE_PRESETS.life, type: 'text' },
+        rate: { label: 'Generations / Second', default: 10, min: 1, max: 60, step: 1 },
+        density: { label: 'Seed Density', default: 0.3, min: 0.05, max: 0.95, step: 0.05 },
+        wrap: { label: 'Wrap-Around Edges', default: true, type: 'boolean' }
+    },
+    init(pattern) {
+        // Reseed whenever the pattern is (re)selected
+        patternStates.delete(pattern);
+    },
+    evaluate(x, y, pattern, time, col, row) {
+        const state = syncCellularState(pattern, time);
+        const cell = state.cells[row * state.cols + col];
+        if (cell === 0) return -1;
+
+        // Alive cells are full brightness, dying cells fade out
+        const brightness = cell === 1 ? 1 : 1 - (cell - 1) / (state.rule.states - 1);
+        return brightness * 2 - 1;
+    }
+});
+
+// Reaction-diffusion - Gray-Scott model simulated on the grid (chemical A is consumed by B)
+
+// Feed/kill presets, shown in the Preset dropdowns
+const REACTION_PRESETS = {
+    coral: { feed: 0.0545, kill: 0.062 },
+    mitosis: { feed: 0.0367, kill: 0.0649 },
+    spots: { feed: 0.035, kill: 0.065 },
+    worms: { feed: 0.078, kill: 0.061 }
+};
+
+// Diffusion rates of chemicals A and B (B diffuses at half the rate of A)
+const REACTION_DIFFUSION_A = 1.0;
+const REACTION_DIFFUSION_B = 0.5;
+
+/**
+ * Creates a reaction-diffusion field for a pattern, sized to the current grid
+ * Reuses the previous field (resampled) when the grid is resized, otherwise seeds a new one
+ * @param {object} pattern - Pattern configuration object
+ * @param {object} [previous] - Previous simulation state to resample
+ * @returns {object} Simulation state
+ */
+function createReactionState(pattern, previous = null) {
+    const count = gridCols * gridRows;
+    const state = {
+        cols: gridCols,
+        rows: gridRows,
+        a: new Float32Array(count).fill(1),
+        b: new Float32Array(count),
+        nextA: new Float32Array(count),
+        nextB: new Float32Array(count),
+        lastTime: null
+    };
+
+    if (previous) {
+        // Nearest-neighbour resample so the pattern keeps evolving after a resize
+        for (let y = 0; y < state.rows; y++) {
+            const sy = Math.floor(y * previous.rows / state.rows);
+            for (let x = 0; x < state.cols; x++) {
+                const sx = Math.floor(x * previous.cols / state.cols);
+                state.a[y * state.cols + x] = previous.a[sy * previous.cols + sx];
+                state.b[y * state.cols + x] = previous.b[sy * previous.cols + sx];
+            }
+        }
+    } else {
+        // Seed a handful of random squares of chemical B
+        const random = createRandomStream('reaction', pattern);
+        const seeds = 6 + Math.floor(nextRandom(random) * 6);
+        for (let i = 0; i < seeds; i++) {
+            injectReaction(state, nextRandom(random) * state.cols, nextRandom(random) * state.rows, 3);
+        }
+    }
+
+    patternStates.set(pattern, state);
+    return state;
+}
+
+/**
+ * Adds chemical B in a square around a grid position
+ * @param {object} state - Simulation state
+ * @param {number} cx - Center column
+ * @param {number} cy - Center row
+ * @param {number} radius - Half size of the square in cells
+ */
+function injectReaction(state, cx, cy, radius) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+        for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+            if (x < 0 || x >= state.cols || y < 0 || y >= state.rows) continue;
+            state.a[y * state.cols + x] = 0.5;
+            state.b[y * state.cols + x] = 1;
+        }
+    }
+}
+
+/**
+ * Runs one Gray-Scott update over the whole field (edges wrap around)
+ * @param {object} state - Simulation state
+ * @param {number} feed - Feed rate of chemical A
+ * @param {number} kill - Kill rate of chemical B
+ */
+function stepReactionState(state, feed, kill) {
+    const { cols, rows, a, b, nextA, nextB } = state;
+
+    for (let y = 0; y < rows; y++) {
+        const up = ((y - 1 + rows) % rows) * cols;
+        const row = y * cols;
+        const down = ((y + 1) % rows) * cols;
+
+        for (let x = 0; x < cols; x++) {
+            const left = (x - 1 + cols) % cols;
+            const right = (x + 1) % cols;
+            const index = row + x;
+
+            // 3x3 Laplacian: orthogonal neighbours 0.2, diagonals 0.05, center -1
+            const lapA = (a[up + x] + a[down + x] + a[row + left] + a[row + right]) * 0.2 +
+                (a[up + left] + a[up + right] + a[down + left] + a[down + right]) * 0.05 - a[index];
+            const lapB = (b[up + x] + b[down + x] + b[row + left] + b[row + right]) * 0.2 +
+                (b[up + left] + b[up + right] + b[down + left] + b[down + right]) * 0.05 - b[index];
+
+            const valueA = a[index];
+            const valueB = b[index];
+            const reaction = valueA * valueB * valueB;
+
+            nextA[index] = constrain(valueA + REACTION_DIFFUSION_A * lapA - reaction + feed * (1 - valueA), 0, 1);
+            nextB[index] = constrain(valueB + REACTION_DIFFUSION_B * lapB + reaction - (kill + feed) * valueB, 0, 1);
+        }
+    }
+
+    // Swap buffers
+    state.a = nextA;
+    state.b = nextB;
+    state.nextA = a;
+    state.nextB = b;
+}
+
+/**
+ * Brings a pattern's reaction-diffusion field up to date with the animation time
+ * Runs the configured number of steps once per rendered frame while playing
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} time - Current animation time
+ * @returns {object} Simulation state
+ */
+function syncReactionState(pattern, time) {
+    let state = patternStates.get(pattern);
+    if (!state) {
+        state = createReactionState(pattern);
+    } else if (state.cols !== gridCols || state.rows !== gridRows) {
+        state = createReactionState(pattern, state);
+    }
+
+    if (state.lastTime === time) return state;
+
+    if (state.lastTime !== null && time > state.lastTime) {
+        for (let i = 0; i < pattern.params.steps; i++) {
+            stepReactionState(state, pattern.params.feed, pattern.params.kill);
+        }
+    }
+    state.lastTime = time;
+    return state;
+}
+
+registerPattern('reaction', {
+    label: 'Reaction-Diffusion',
+    loopPeriod: 2.0,
+    params: {
+        feed: { label: 'Feed Rate', default: REACTION_PRESETS.coral.feed, min: 0.01, max: 0.1, step: 0.0005 },
+        kill: { label: 'Kill Rate', default: REACTION_PRESETS.coral.kill, min: 0.04, max: 0.075, step: 0.0005 },
+        steps: { label: 'Steps / Frame', default: 8, min: 1, max: 20, step: 1 }
+    },
+    init(pattern) {
+        // Reseed whenever the pattern is (re)selected
+        patternStates.delete(pattern);
+    },
+    click(pattern, x, y, radius) {
+        // Inject chemical B where the canvas was clicked
+        const state = syncReactionState(pattern, time);
+        injectReaction(state, x * state.cols, y * state.rows, Math.max(1, radius * Math.min(state.cols, state.rows) * 0.5));
+    },
+    evaluate(x, y, pattern, time, col, row) {
+        const state = syncReactionState(pattern, time);
+        const index = row * state.cols + col;
+        // A - B is ~1 in empty areas and drops toward 0 where B has grown
+        return constrain(state.a[index] - state.b[index], 0, 1) * 2 - 1;
+    }
+});
+
+// Flow-field particles - particles advect through a flow field and leave decaying trails in a grid buffer
+
+// Hidden pattern configs used as flow fields, keyed by the flow layer's config
+const flowSourcePatterns = new WeakMap();
+
+/**
+ * Lists the available flow fields: curl noise plus the contour lines of any other pattern
+ * @returns {Array} Options [{ value, label }]
+ */
+function getFlowFieldOptions() {
+    return [{ value: 'curl', label: 'Curl Noise' }].concat(
+        PATTERN_TYPES.filter(type => type !== 'flow')
+            .map(type => ({ value: type, label: `Pattern: ${PATTERN_REGISTRY[type].label}` }))
+    );
+}
+
+/**
+ * Moves a particle to a random position and gives it a new lifetime
+ * @param {object} state - Flow simulation state
+ * @param {number} i - Particle index
+ */
+function respawnFlowParticle(state, i) {
+    state.x[i] = nextRandom(state.random);
+    state.y[i] = nextRandom(state.random);
+    state.life[i] = 50 + Math.floor(nextRandom(state.random) * 150);
+}
+
+/**
+ * Grows or shrinks the particle arrays to the requested count, keeping existing particles
+ * @param {object} state - Flow simulation state
+ * @param {number} count - Particle count
+ */
+function resizeFlowParticles(state, count) {
+    const previous = state.count || 0;
+    const x = new Float32Array(count);
+    const y = new Float32Array(count);
+    const life = new Uint16Array(count);
+    if (previous > 0) {
+        const kept = Math.min(previous, count);
+        x.set(state.x.subarray(0, kept));
+        y.set(state.y.subarray(0, kept));
+        life.set(state.life.subarray(0, kept));
+    }
+    Object.assign(state, { x: x, y: y, life: life, count: count });
+    for (let i = previous; i < count; i++) {
+        respawnFlowParticle(state, i);
+    }
+}
+
+/**
+ * Advances every particle one step through the flow field and deposits it into the trail buffer
+ * @param {object} pattern - Pattern configuration object
+ * @param {object} state - Flow simulation state
+ * @param {number} time - Current animation time
+ */
+function stepFlowState(pattern, state, time) {
+    const params = pattern.params;
+    const { cols, rows, density } = state;
+    const aspect = (cols * baseCharWidth) / (rows * baseCharHeight);
+    const scale = params.fieldScale;
+    const z = time * pattern.speed * 10;
+    const source = params.field !== 'curl' && getPatternDefinition(params.field)
+        ? getSourcePattern(flowSourcePatterns, pattern, params.field)
+        : null;
+    const epsilon = 0.5 / cols;
+
+    // Fade old trails
+    for (let i = 0; i < density.length; i++) {
+        density[i] *= params.decay;
+    }
+
+    for (let i = 0; i < state.count; i++) {
+        let px = state.x[i];
+        let py = state.y[i];
+
+        // Velocity is perpendicular to the gradient of a scalar field, so particles follow its contour lines
+        // (for noise this is curl noise, which swirls without sources or sinks)
+        let dx, dy;
+        if (source) {
+            dx = sampleSourcePattern(source, px, py + epsilon, time) - sampleSourcePattern(source, px, py - epsilon, time);
+            dy = sampleSourcePattern(source, px - epsilon, py, time) - sampleSourcePattern(source, px + epsilon, py, time);
+        } else {
+            const nx = px * scale * aspect;
+            const ny = py * scale;
+            const e = epsilon * scale;
+            dx = noise(nx, ny + e, z) - noise(nx, ny - e, z);
+            dy = noise(nx - e * aspect, ny, z) - noise(nx + e * aspect, ny, z);
+        }
+
+        // Move a fixed distance in cells along the flow direction
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0) {
+            px += (dx / length) * params.stepSize / cols;
+            py += (dy / length) * params.stepSize / rows;
+        }
+
+        // Wrap around the edges and respawn old particles so they don't all pile up in sinks
+        px -= Math.floor(px);
+        py -= Math.floor(py);
+        state.x[i] = px;
+        state.y[i] = py;
+
+        if (--state.life[i] === 0) {
+            respawnFlowParticle(state, i);
+        }
+
+        density[Math.min(rows - 1, Math.floor(py * rows)) * cols + Math.min(cols - 1, Math.floor(px * cols))] += 1;
+    }
+}
+
+/**
+ * Brings a pattern's flow simulation up to date with the animation time
+ * Runs one step per rendered frame while playing; the trail buffer is rebuilt when the grid is resized
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} time - Current animation time
+ * @returns {object} Simulation state
+ */
+function syncFlowState(pattern, time) {
+    let state = patternStates.get(pattern);
+    if (!state || state.cols !== gridCols || state.rows !== gridRows) {
+        // Particles live in normalized coordinates, so they survive a resize
+        const particles = state && state.x ? state : null;
+        state = {
+            cols: gridCols,
+            rows: gridRows,
+            density: new Float32Array(gridCols * gridRows),
+            lastTime: null,
+            // Respawns draw from a stream of their own, restarted when the pattern is (re)selected
+            random: particles ? particles.random : createRandomStream('flow', pattern)
+        };
+        if (particles) {
+            Object.assign(state, { x: particles.x, y: particles.y, life: particles.life, count: particles.count });
+        }
+        patternStates.set(pattern, state);
+    }
+
+    if (state.count !== pattern.params.particles) {
+        resizeFlowParticles(state, pattern.params.particles);
+    }
+
+    if (state.lastTime === time) return state;
+
+    if (state.lastTime !== null && time > state.lastTime) {
+        stepFlowState(pattern, state, time);
+    }
+    state.lastTime = time;
+    return state;
+}
+
+registerPattern('flow', {
+    label: 'Flow Field',
+    loopPeriod: 2.0,
+    // A pattern used as the flow field takes the layer's scale
+    usesScale: pattern => Boolean(getPatternDefinition(pattern.params.field)) &&
+        patternUsesScale(getSourcePattern(flowSourcePatterns, pattern, pattern.params.field)),
+    params: {
+        field: { label: 'Flow Field', default: 'curl', type: 'select', options: getFlowFieldOptions },
+        particles: { label: 'Particles', default: 3000, min: 100, max: 10000, step: 100 },
+        stepSize: { label: 'Step Size (cells)', default: 0.6, min: 0.1, max: 3, step: 0.1 },
+        decay: { label: 'Trail Decay', default: 0.92, min: 0.5, max: 0.995, step: 0.005 },
+        fieldScale: { label: 'Field Scale', default: 3, min: 0.5, max: 12, step: 0.5 }
+    },
+    init(pattern) {
+        // Respawn the particles and clear the trails whenever the pattern is (re)selected
+        patternStates.delete(pattern);
+    },
+    evaluate(x, y, pattern, time, col, row) {
+        const state = syncFlowState(pattern, time);
+        // Saturating curve maps accumulated density (0 to unbounded) onto the character ramp
+        return (1 - Math.exp(-state.density[row * state.cols + col] * 0.35)) * 2 - 1;
+    }
+});
+
+// Image pattern - samples the luminance of a user-supplied image into the grid
+
+// Loaded images keyed by pattern config: { image, name, cols, rows, fit, luminance }
+const patternImages = new WeakMap();
+let imageSampleCanvas = null; // Offscreen canvas used to resample images to grid resolution
+
+/**
+ * Decodes a local PNG, JPEG or GIF file
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} Resolves once the image is decoded
+ */
+function readImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!file || !['image/png', 'image/jpeg', 'image/gif'].includes(file.type)) {
+            reject(new Error('Please choose a PNG, JPEG or GIF image'));
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The image could not be read'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Loads an image file as the source of an image pattern
+ * @param {object} pattern - Pattern configuration object
+ * @param {File} file - PNG, JPEG or GIF file
+ * @returns {Promise<HTMLImageElement>} Resolves once the image is decoded
+ */
+async function loadPatternImage(pattern, file) {
+    const image = await readImageFile(file);
+    patternImages.set(pattern, { image: image, name: file.name, luminance: null });
+    return image;
+}
+
+/**
+ * Returns a pattern's image resampled to one luminance value per grid cell
+ * The resampled buffer is cached until the grid size or fit mode changes
+ * @param {object} pattern - Pattern configuration object
+ * @returns {Float32Array|null} Luminance (0-1, transparent areas are 0) or null if no image is loaded
+ */
+function getImageLuminance(pattern) {
+    const entry = patternImages.get(pattern);
+    if (!entry) return null;
+
+    const fit = pattern.params.fit;
+    if (entry.luminance && entry.cols === gridCols && entry.rows === gridRows && entry.fit === fit) {
+        return entry.luminance;
+    }
+
+    if (!imageSampleCanvas) {
+        imageSampleCanvas = document.createElement('canvas');
+    }
+    imageSampleCanvas.width = gridCols;
+    imageSampleCanvas.height = gridRows;
+    const context = imageSampleCanvas.getContext('2d', { willReadFrequently: true });
+    context.clearRect(0, 0, gridCols, gridRows);
+
+    // Size the image relative to the grid in screen space (cells are taller than they are wide)
+    const gridAspect = (gridCols * baseCharWidth) / (gridRows * baseCharHeight);
+    const imageAspect = entry.image.naturalWidth / entry.image.naturalHeight;
+    let drawWidth = 1;
+    let drawHeight = 1;
+    if (fit === 'fit') {
+        if (imageAspect > gridAspect) drawHeight = gridAspect / imageAspect;
+        else drawWidth = imageAspect / gridAspect;
+    } else if (fit === 'fill') {
+        if (imageAspect > gridAspect) drawWidth = imageAspect / gridAspect;
+        else drawHeight = gridAspect / imageAspect;
+    }
+
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(entry.image,
+        (1 - drawWidth) / 2 * gridCols, (1 - drawHeight) / 2 * gridRows,
+        drawWidth * gridCols, drawHeight * gridRows);
+
+    const data = context.getImageData(0, 0, gridCols, gridRows).data;
+    const luminance = new Float32Array(gridCols * gridRows);
+    for (let i = 0; i < luminance.length; i++) {
+        // Rec. 709 luma, faded out where the image is transparent
+        const luma = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+        luminance[i] = luma * data[i * 4 + 3] / 255;
+    }
+
+    Object.assign(entry, { cols: gridCols, rows: gridRows, fit: fit, luminance: luminance });
+    return luminance;
+}
+
+registerPattern('image', {
+    label: 'Image',
+    randomize: false,
+    params: {
+        fit: {
+            label: 'Fit', default: 'fit', type: 'select',
+            options: [{ value: 'fit', label: 'Fit' }, { value: 'fill', label: 'Fill' }, { value: 'stretch', label: 'Stretch' }]
+        },
+        brightness: { label: 'Brightness', default: 0, min: -1, max: 1, step: 0.05 },
+        contrast: { label: 'Contrast', default: 1, min: 0, max: 3, step: 0.05 },
+        gamma: { label: 'Gamma', default: 1, min: 0.2, max: 3, step: 0.05 },
+        invert: { label: 'Invert', default: false, type: 'boolean' }
+    },
+    evaluate(x, y, pattern, time, col, row) {
+        const luminance = getImageLuminance(pattern);
+        if (!luminance) return -1; // Blank until an image is loaded
+
+        const params = pattern.params;
+        let value = (luminance[row * gridCols + col] - 0.5) * params.contrast + 0.5 + params.brightness;
+        value = Math.pow(constrain(value, 0, 1), 1 / params.gamma);
+        if (params.invert) value = 1 - value;
+        return value * 2 - 1;
+    }
+});
+
+// Text pattern - user text rasterized into a per-cell coverage map (for ASCII logotypes and title cards)
+
+// Cached coverage maps keyed by pattern config: { key, coverage, cols, rows, time }
+const textCoverageCache = new WeakMap();
+let textRasterCanvas = null; // Offscreen canvas the text is drawn on before measuring cell coverage
+
+/**
+ * Brings a text pattern's coverage map up to date for the current frame
+ * The text settings are only compared once per frame (and after the grid is resized); the map is
+ * re-rasterized when they changed. Text edits drop the cached map so they show while paused too
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} time - Current animation time
+ * @returns {Float32Array} Coverage per cell (0-1)
+ */
+function syncTextCoverage(pattern, time) {
+    const cached = textCoverageCache.get(pattern);
+    if (cached && cached.time === time && cached.cols === gridCols && cached.rows === gridRows) {
+        return cached.coverage;
+    }
+
+    const params = pattern.params;
+    const key = [params.text, params.font, params.size, params.align, params.lineSpacing, params.bold, gridCols, gridRows].join('|');
+    if (cached && cached.key === key) {
+        cached.time = time;
+        return cached.coverage;
+    }
+
+    const coverage = rasterizeTextCoverage(params);
+    textCoverageCache.set(pattern, { key: key, coverage: coverage, cols: gridCols, rows: gridRows, time: time });
+    return coverage;
+}
+
+/**
+ * Measures how much of each grid cell is covered by a text pattern's text
+ * The text is drawn at the grid's screen proportions and averaged per cell
+ * @param {object} params - Text pattern params
+ * @returns {Float32Array} Coverage per cell (0-1)
+ */
+function rasterizeTextCoverage(params) {
+    const cellWidth = baseCharWidth;
+    const cellHeight = baseCharHeight;
+    const canvasWidth = gridCols * cellWidth;
+    const canvasHeight = gridRows * cellHeight;
+
+    if (!textRasterCanvas) {
+        textRasterCanvas = document.createElement('canvas');
+    }
+    textRasterCanvas.width = canvasWidth;
+    textRasterCanvas.height = canvasHeight;
+    const context = textRasterCanvas.getContext('2d', { willReadFrequently: true });
+    context.clearRect(0, 0, canvasWidth, canvasHeight);
+
+    // Size is given in grid rows; lines are centered vertically as a block
+    const fontSize = params.size * cellHeight;
+    const lineHeight = fontSize * params.lineSpacing;
+    const lines = String(params.text).split('\n');
+    const margin = cellWidth * 2;
+
+    context.font = `${params.bold ? 'bold ' : ''}${fontSize}px ${params.font}`;
+    context.textBaseline = 'middle';
+    context.textAlign = params.align;
+    context.fillStyle = '#ffffff';
+
+    const x = params.align === 'left' ? margin : params.align === 'right' ? canvasWidth - margin : canvasWidth / 2;
+    const firstLineY = canvasHeight / 2 - (lines.length - 1) * lineHeight / 2;
+    lines.forEach((line, i) => {
+        context.fillText(line, x, firstLineY + i * lineHeight);
+    });
+
+    // Average the alpha channel over each cell
+    const data = context.getImageData(0, 0, canvasWidth, canvasHeight).data;
+    const coverage = new Float32Array(gridCols * gridRows);
+    for (let py = 0; py < canvasHeight; py++) {
+        const row = Math.floor(py / cellHeight);
+        for (let px = 0; px < canvasWidth; px++) {
+            coverage[row * gridCols + Math.floor(px / cellWidth)] += data[(py * canvasWidth + px) * 4 + 3];
+        }
+    }
+    const pixelsPerCell = cellWidth * cellHeight * 255;
+    for (let i = 0; i < coverage.length; i++) {
+        coverage[i] /= pixelsPerCell;
+    }
+    return coverage;
+}
+
+registerPattern('text', {
+    label: 'Text',
+    params: {
+        text: { label: 'Text', default: 'ASCII', type: 'text' },
+        font: {
+            label: 'Font', default: 'sans-serif', type: 'select',
+            options: [
+                { value: 'sans-serif', label: 'Sans Serif' },
+                { value: 'serif', label: 'Serif' },
+                { value: 'monospace', label: 'Monospace' },
+                { value: 'Impact, sans-serif', label: 'Impact' },
+                { value: 'Georgia, serif', label: 'Georgia' },
+                { value: '"Courier New", monospace', label: 'Courier New' },
+                { value: 'cursive', label: 'Cursive' }
+            ]
+        },
+        size: { label: 'Size (rows)', default: 20, min: 2, max: 100, step: 1 },
+        align: {
+            label: 'Alignment', default: 'center', type: 'select',
+            options: [{ value: 'left', label: 'Left' }, { value: 'center', label: 'Center' }, { value: 'right', label: 'Right' }]
+        },
+        lineSpacing: { label: 'Line Spacing', default: 1, min: 0.6, max: 2, step: 0.05 },
+        bold: { label: 'Bold', default: true, type: 'boolean' }
+    },
+    evaluate(x, y, pattern, time, col, row) {
+        return syncTextCoverage(pattern, time)[row * gridCols + col] * 2 - 1;
+    }
+});
+
+// Signed distance field pattern - geometric primitives combined with boolean operations
+
+// Primitive shapes shared by both SDF shape selects
+const SDF_SHAPE_OPTIONS = [
+    { value: 'circle', label: 'Circle' },
+    { value: 'box', label: 'Box' },
+    { value: 'roundedBox', label: 'Rounded Box' },
+    { value: 'star', label: 'Star' },
+    { value: 'polygon', label: 'Polygon' },
+    { value: 'ring', label: 'Ring' },
+    { value: 'segment', label: 'Line Segment' }
+];
+
+/**
+ * Signed distance to a star, folded into one spike (negative inside)
+ * A regular polygon is a star whose inner radius sits on its edges
+ * @param {number} px - X relative to the shape center
+ * @param {number} py - Y relative to the shape center
+ * @param {number} outer - Tip radius
+ * @param {number} inner - Valley radius
+ * @param {number} points - Number of tips
+ * @returns {number} Signed distance
+ */
+function sdfStar(px, py, outer, inner, points) {
+    const halfWedge = Math.PI / points;
+    let angle = ((Math.atan2(py, px) % (2 * halfWedge)) + 2 * halfWedge) % (2 * halfWedge);
+    if (angle > halfWedge) angle = 2 * halfWedge - angle;
+    const radius = Math.sqrt(px * px + py * py);
+    const qx = radius * Math.cos(angle) - outer;
+    const qy = radius * Math.sin(angle);
+
+    // Closest point on the edge from the tip to the valley
+    const ex = inner * Math.cos(halfWedge) - outer;
+    const ey = inner * Math.sin(halfWedge);
+    const h = constrain((qx * ex + qy * ey) / (ex * ex + ey * ey), 0, 1);
+    const distance = Math.sqrt((qx - ex * h) ** 2 + (qy - ey * h) ** 2);
+    return ex * qy - ey * qx > 0 ? -distance : distance;
+}
+
+/**
+ * Signed distance to an SDF primitive centered on the origin (negative inside)
+ * @param {string} shape - Shape identifier (see SDF_SHAPE_OPTIONS)
+ * @param {number} px - X relative to the shape center
+ * @param {number} py - Y relative to the shape center
+ * @param {number} size - Shape radius (half width for boxes and segments)
+ * @param {object} params - SDF pattern parameters (points, inner, roundness, aspect, thickness)
+ * @returns {number} Signed distance
+ */
+function sdfShape(shape, px, py, size, params) {
+    switch (shape) {
+        case 'box':
+        case 'roundedBox': {
+            const corner = shape === 'roundedBox' ? size * params.roundness * params.aspect : 0;
+            const dx = Math.abs(px) - size + corner;
+            const dy = Math.abs(py) - size * params.aspect + corner;
+            const outside = Math.sqrt(Math.max(dx, 0) ** 2 + Math.max(dy, 0) ** 2);
+            return outside + Math.min(Math.max(dx, dy), 0) - corner;
+        }
+        // Stars and polygons are turned a quarter so a tip points up
+        case 'star':
+            return sdfStar(-py, px, size, size * params.inner, params.points);
+        case 'polygon':
+            return sdfStar(-py, px, size, size * Math.cos(Math.PI / params.points), params.points);
+        case 'ring':
+            return Math.abs(Math.sqrt(px * px + py * py) - size) - params.thickness / 2;
+        case 'segment': {
+            const h = constrain(px, -size, size);
+            return Math.sqrt((px - h) ** 2 + py * py) - params.thickness / 2;
+        }
+        default:
+            return Math.sqrt(px * px + py * py) - size;
+    }
+}
+
+/**
+ * Combines two signed distances
+ * @param {string} operation - 'union', 'subtract', 'intersect' or 'smoothUnion'
+ * @param {number} a - Distance to the first shape
+ * @param {number} b - Distance to the second shape
+ * @param {number} smoothness - Blend radius for smooth union
+ * @returns {number} Combined signed distance
+ */
+function combineSdf(operation, a, b, smoothness) {
+    switch (operation) {
+        case 'subtract':
+            return Math.max(a, -b);
+        case 'intersect':
+            return Math.max(a, b);
+        case 'smoothUnion': {
+            const h = constrain(0.5 + 0.5 * (b - a) / smoothness, 0, 1);
+            return b + (a - b) * h - smoothness * h * (1 - h);
+        }
+        default:
+            return Math.min(a, b);
+    }
+}
+
+registerPattern('sdf', {
+    label: 'SDF Shapes',
+    loopPeriod: 2.0,
+    params: {
+        shape: { label: 'Shape', default: 'star', type: 'select', options: SDF_SHAPE_OPTIONS },
+        size: { label: 'Size', default: 0.3, min: 0.02, max: 0.8, step: 0.01 },
+        points: { label: 'Points / Sides', default: 5, min: 3, max: 12, step: 1 },
+        inner: { label: 'Star Inner Radius', default: 0.45, min: 0.1, max: 0.95, step: 0.01 },
+        roundness: { label: 'Corner Roundness', default: 0.3, min: 0, max: 1, step: 0.01 },
+        aspect: { label: 'Box Height Ratio', default: 0.6, min: 0.1, max: 1, step: 0.01 },
+        thickness: { label: 'Ring / Line Thickness', default: 0.06, min: 0.01, max: 0.4, step: 0.01 },
+        operation: {
+            label: 'Second Shape', default: 'none', type: 'select',
+            options: [
+                { value: 'none', label: 'None' },
+                { value: 'union', label: 'Union' },
+                { value: 'subtract', label: 'Subtract' },
+                { value: 'intersect', label: 'Intersect' },
+                { value: 'smoothUnion', label: 'Smooth Union' }
+            ]
+        },
+        shape2: { label: 'Second Shape Type', default: 'circle', type: 'select', options: SDF_SHAPE_OPTIONS },
+        size2: { label: 'Second Size', default: 0.15, min: 0.02, max: 0.8, step: 0.01 },
+        offset2X: { label: 'Second Offset X', default: 0.2, min: -0.8, max: 0.8, step: 0.01 },
+        offset2Y: { label: 'Second Offset Y', default: 0, min: -0.8, max: 0.8, step: 0.01 },
+        smoothness: { label: 'Smooth Union Radius', default: 0.08, min: 0.01, max: 0.3, step: 0.01 },
+        output: {
+            label: 'Output', default: 'fill', type: 'select',
+            options: [{ value: 'fill', label: 'Fill' }, { value: 'outline', label: 'Outline' }, { value: 'bands', label: 'Distance Bands' }]
+        },
+        edgeWidth: { label: 'Edge Width', default: 0.02, min: 0.005, max: 0.2, step: 0.005 },
+        bandSpacing: { label: 'Band Spacing', default: 0.06, min: 0.01, max: 0.3, step: 0.01 },
+        centerX: { label: 'Center X', default: 0, min: -0.5, max: 0.5, step: 0.01 },
+        centerY: { label: 'Center Y', default: 0, min: -0.5, max: 0.5, step: 0.01 },
+        rotation: { label: 'Rotation (°)', default: 0, min: -180, max: 180, step: 1 },
+        moveX: { label: 'Move X', default: 0, min: 0, max: 0.5, step: 0.01 },
+        moveY: { label: 'Move Y', default: 0, min: 0, max: 0.5, step: 0.01 },
+        spin: { label: 'Spin', default: 0.25, min: -2, max: 2, step: 0.05 },
+        pulse: { label: 'Pulse', default: 0.1, min: 0, max: 0.5, step: 0.01 }
+    },
+    evaluate(x, y, pattern, time) {
+        const params = pattern.params;
+
+        // One animation cycle per 2 seconds at the default speed
+        const phase = time * pattern.speed * 100 * Math.PI;
+
+        // Screen-space coordinates around the (moving) center, in units of the grid height
+        const aspect = (gridCols * baseCharWidth) / (gridRows * baseCharHeight);
+        let u = (x - 0.5) * aspect - params.centerX - params.moveX * Math.sin(phase);
+        let v = y - 0.5 - params.centerY - params.moveY * Math.cos(phase);
+
+        // Rotate and scale the whole composition
+        const angle = params.rotation * Math.PI / 180 + params.spin * phase;
+        const cosA = Math.cos(angle);
+        const sinA = Math.sin(angle);
+        const scale = 1 + params.pulse * Math.sin(phase * 2);
+        const px = (u * cosA + v * sinA) / scale;
+        const py = (v * cosA - u * sinA) / scale;
+
+        let distance = sdfShape(params.shape, px, py, params.size, params);
+        if (params.operation !== 'none') {
+            const distance2 = sdfShape(params.shape2, px - params.offset2X, py - params.offset2Y, params.size2, params);
+            distance = combineSdf(params.operation, distance, distance2, params.smoothness);
+        }
+        distance *= scale;
+
+        switch (params.output) {
+            case 'outline':
+                return 1 - 2 * Math.min(Math.abs(distance) / params.edgeWidth, 1);
+            case 'bands':
+                return Math.cos(distance * TWO_PI / params.bandSpacing);
+            default:
+                // Anti-aliased fill: the value ramps across the edge width
+                return constrain(-distance / params.edgeWidth, -1, 1);
+        }
+    }
+});
+
+// Audio-reactive modulation - envelopes analyzed from a local audio file drive pattern and color settings
+
+// Envelope resolution: one analysis frame per 1/60 s, the time step of draw()
+const AUDIO_FRAME_RATE = 60;
+
+// Analysis filters per frequency band (bass < 250 Hz, mid ~250-4000 Hz, treble > 4000 Hz)
+const AUDIO_BANDS = {
+    bass: { type: 'lowpass', frequency: 250, Q: 0.7 },
+    mid: { type: 'bandpass', frequency: 1000, Q: 0.3 },
+    treble: { type: 'highpass', frequency: 4000, Q: 0.7 }
+};
+
+const AUDIO_SOURCE_OPTIONS = [
+    { value: 'none', label: 'Off' },
+    { value: 'bass', label: 'Bass' },
+    { value: 'mid', label: 'Mid' },
+    { value: 'treble', label: 'Treble' },
+    { value: 'onset', label: 'Onsets (beats)' }
+];
+
+// Global settings an audio route can modulate
+const AUDIO_TARGETS = {
+    interactiveStrength: 'Interactive Strength',
+    colorAnimation: 'Color Animation'
+};
+
+// Layer settings an audio route can modulate (each layer has its own routes)
+const LAYER_AUDIO_TARGETS = {
+    speed: 'Speed',
+    scale: 'Scale',
+    opacity: 'Opacity'
+};
+
+// Route schemas (same format as pattern params): each target gets a source envelope and an amount.
+// A routed setting is multiplied by 1 + amount * envelope
+const AUDIO_ROUTE_PARAMS = getAudioRouteParams(AUDIO_TARGETS);
+const LAYER_AUDIO_PARAMS = getAudioRouteParams(LAYER_AUDIO_TARGETS);
+
+let audioTrack = null;            // Loaded track: { name, duration, frames, envelopes, integrals, element, url, playing }
+let audioModulationSaved = null;  // Base values replaced by applyAudioModulation(): [object, key, value]
+
+/**
+ * Builds a route schema with a source and an amount param per target
+ * @param {object} targets - Target labels keyed by target name
+ * @returns {object} Parameter schema
+ */
+function getAudioRouteParams(targets) {
+    const params = {};
+    Object.entries(targets).forEach(([target, label]) => {
+        params[`${target}Source`] = { label: label, default: 'none', type: 'select', options: AUDIO_SOURCE_OPTIONS };
+        params[`${target}Amount`] = { label: `${label} Amount`, default: 1, min: 0, max: 4, step: 0.05 };
+    });
+    return params;
+}
+
+/**
+ * Analyzes decoded audio into bass, mid, treble and onset envelopes
+ * Everything runs in an OfflineAudioContext (no playback needed), so the analysis is
+ * deterministic and can be run on a synthesized AudioBuffer
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<object>} Envelopes { bass, mid, treble, onset } as Float32Arrays (0-1) at AUDIO_FRAME_RATE
+ */
+async function analyzeAudioBuffer(buffer) {
+    const bands = Object.keys(AUDIO_BANDS);
+    const context = new OfflineAudioContext(bands.length, buffer.length, buffer.sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+
+    // Each band is filtered into its own output channel (merger inputs mix the track down to mono)
+    const merger = context.createChannelMerger(bands.length);
+    bands.forEach((band, i) => {
+        const filter = context.createBiquadFilter();
+        filter.type = AUDIO_BANDS[band].type;
+        filter.frequency.value = AUDIO_BANDS[band].frequency;
+        filter.Q.value = AUDIO_BANDS[band].Q;
+        source.connect(filter);
+        filter.connect(merger, 0, i);
+    });
+    merger.connect(context.destination);
+    source.start();
+    const rendered = await context.startRendering();
+
+    const frameLength = buffer.sampleRate / AUDIO_FRAME_RATE;
+    const frames = Math.max(1, Math.ceil(buffer.length / frameLength));
+    const levels = bands.map((band, i) => {
+        const samples = rendered.getChannelData(i);
+        const level = new Float32Array(frames);
+        for (let frame = 0; frame < frames; frame++) {
+            const start = Math.floor(frame * frameLength);
+            const end = Math.min(Math.floor((frame + 1) * frameLength), samples.length);
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += samples[j] * samples[j];
+            }
+            level[frame] = Math.sqrt(sum / Math.max(end - start, 1));
+        }
+        return normalizeEnvelope(level);
+    });
+
+    const envelopes = {};
+    bands.forEach((band, i) => {
+        envelopes[band] = smoothEnvelope(levels[i], 0.6, 0.12);
+    });
+    envelopes.onset = getOnsetEnvelope(levels);
+    return envelopes;
+}
+
+/**
+ * Scales an envelope so its 98th percentile reaches 1 (a few peaks may clip)
+ * @param {Float32Array} envelope - Envelope, modified in place
+ * @returns {Float32Array} The same envelope
+ */
+function normalizeEnvelope(envelope) {
+    const sorted = Float32Array.from(envelope).sort();
+    const reference = sorted[Math.floor((sorted.length - 1) * 0.98)];
+    for (let i = 0; i < envelope.length; i++) {
+        envelope[i] = reference > 0 ? Math.min(envelope[i] / reference, 1) : 0;
+    }
+    return envelope;
+}
+
+/**
+ * Follows an envelope with separate rise and fall rates, so hits snap in and fade out
+ * @param {Float32Array} envelope - Source envelope
+ * @param {number} attack - Fraction of a rise followed per frame (0-1)
+ * @param {number} release - Fraction of a fall followed per frame (0-1)
+ * @returns {Float32Array} Smoothed copy
+ */
+function smoothEnvelope(envelope, attack, release) {
+    const smoothed = new Float32Array(envelope.length);
+    let level = 0;
+    for (let i = 0; i < envelope.length; i++) {
+        level += (envelope[i] - level) * (envelope[i] > level ? attack : release);
+        smoothed[i] = level;
+    }
+    return smoothed;
+}
+
+/**
+ * Builds an onset envelope from band levels: rises in energy (spectral flux) above their
+ * local average fire a pulse that decays over ~0.2 s
+ * @param {Float32Array[]} levels - Normalized band levels
+ * @returns {Float32Array} Onset envelope (0-1)
+ */
+function getOnsetEnvelope(levels) {
+    const frames = levels[0].length;
+    const flux = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        for (const level of levels) {
+            flux[frame] += Math.max(0, level[frame] - (frame > 0 ? level[frame - 1] : 0));
+        }
+    }
+
+    // Only count flux that stands out from the surrounding ~0.3 s
+    const radius = Math.round(AUDIO_FRAME_RATE * 0.15);
+    const peaks = new Float32Array(frames);
+    for (let frame = 0; frame < frames; frame++) {
+        let sum = 0;
+        let count = 0;
+        for (let j = Math.max(0, frame - radius); j <= Math.min(frames - 1, frame + radius); j++) {
+            sum += flux[j];
+            count++;
+        }
+        peaks[frame] = Math.max(0, flux[frame] - 1.5 * sum / count);
+    }
+    normalizeEnvelope(peaks);
+
+    const onset = new Float32Array(frames);
+    let level = 0;
+    for (let frame = 0; frame < frames; frame++) {
+        level = Math.max(peaks[frame], level * 0.8);
+        onset[frame] = level;
+    }
+    return onset;
+}
+
+/**
+ * Running sums of each envelope in seconds, used to integrate speed modulation
+ * @param {object} envelopes - Envelopes from analyzeAudioBuffer()
+ * @returns {object} Float32Arrays with one more entry than the envelopes
+ */
+function getAudioIntegrals(envelopes) {
+    const integrals = {};
+    for (const [name, envelope] of Object.entries(envelopes)) {
+        const integral = new Float32Array(envelope.length + 1);
+        for (let i = 0; i < envelope.length; i++) {
+            integral[i + 1] = integral[i] + envelope[i] / AUDIO_FRAME_RATE;
+        }
+        integrals[name] = integral;
+    }
+    return integrals;
+}
+
+/**
+ * Decodes and analyzes a local audio file and makes it the active track
+ * The track loops, and replaces any previously loaded one
+ * @param {File} file - MP3, WAV or OGG file
+ * @returns {Promise<object>} The loaded track
+ */
+async function loadAudioFile(file) {
+    if (!file || (!/^audio\/(mpeg|mp3|wav|x-wav|wave|ogg)$/.test(file.type) && !/\.(mp3|wav|ogg)$/i.test(file.name))) {
+        throw new Error('Please choose an MP3, WAV or OGG file');
+    }
+
+    let buffer;
+    try {
+        // Decoding resamples to the context rate; a one-sample offline context is enough for that
+        const decoder = new OfflineAudioContext(1, 1, 44100);
+        buffer = await decoder.decodeAudioData(await file.arrayBuffer());
+    } catch (error) {
+        throw new Error('The audio file could not be decoded');
+    }
+
+    const envelopes = await analyzeAudioBuffer(buffer);
+    const url = URL.createObjectURL(file);
+    const element = new Audio(url);
+    element.loop = true;
+
+    unloadAudioTrack();
+    audioTrack = {
+        name: file.name,
+        duration: buffer.duration,
+        frames: envelopes.bass.length,
+        envelopes: envelopes,
+        integrals: getAudioIntegrals(envelopes),
+        element: element,
+        url: url,
+        playing: false
+    };
+    return audioTrack;
+}
+
+/**
+ * Stops and releases the active audio track
+ */
+function unloadAudioTrack() {
+    if (!audioTrack) return;
+    audioTrack.element.pause();
+    URL.revokeObjectURL(audioTrack.url);
+    audioTrack = null;
+}
+
+/**
+ * Maps animation time to a position in the (looping) audio track
+ * @param {number} t - Animation time in seconds
+ * @returns {number} Track position in seconds
+ */
+function getAudioPosition(t) {
+    return ((t % audioTrack.duration) + audioTrack.duration) % audioTrack.duration;
+}
+
+/**
+ * Reads an envelope at an animation time
+ * @param {string} source - Envelope name ('bass', 'mid', 'treble', 'onset') or 'none'
+ * @param {number} t - Animation time in seconds
+ * @returns {number} Envelope level (0-1), 0 when no track is loaded
+ */
+function getAudioLevel(source, t) {
+    if (!audioTrack || source === 'none') return 0;
+    const frame = Math.min(Math.floor(getAudioPosition(t) * AUDIO_FRAME_RATE), audioTrack.frames - 1);
+    return audioTrack.envelopes[source][frame];
+}
+
+/**
+ * Returns the multiplier an audio route applies to its target at an animation time
+ * @param {string} target - Route target (see AUDIO_TARGETS and LAYER_AUDIO_TARGETS)
+ * @param {number} [t] - Animation time in seconds (defaults to the current time)
+ * @param {object} [routes] - Route values holding the target (defaults to the global routes)
+ * @returns {number} 1 + amount * envelope (1 when the route is off)
+ */
+function getAudioBoost(target, t = time, routes = settings.audio.routes) {
+    return 1 + routes[`${target}Amount`] * getAudioLevel(routes[`${target}Source`], t);
+}
+
+/**
+ * Warps animation time for a layer whose speed is routed to an envelope
+ * The envelope is integrated rather than multiplied into the speed, so patterns
+ * speed up on loud passages without jumping
+ * @param {object} pattern - Pattern configuration object
+ * @param {number} t - Animation time in seconds
+ * @returns {number} The layer's animation time
+ */
+function getAudioLayerTime(pattern, t) {
+    // Hidden source patterns (e.g. warp sources) have no routes
+    const routes = pattern.audio;
+    if (!routes) return t;
+
+    const source = routes.speedSource;
+    if (source === 'none') return t;
+
+    const integral = audioTrack.integrals[source];
+    const loops = Math.floor(t / audioTrack.duration);
+    const frame = Math.min(getAudioPosition(t) * AUDIO_FRAME_RATE, audioTrack.frames);
+    const index = Math.min(Math.floor(frame), audioTrack.frames - 1);
+    const elapsed = integral[index] + (integral[index + 1] - integral[index]) * (frame - index);
+    return t + routes.speedAmount * (loops * integral[audioTrack.frames] + elapsed);
+}
+
+/**
+ * Applies the audio routes that scale settings values directly (layer scale and opacity,
+ * interactive strength) for the current frame. Call restoreAudioModulation() after rendering
+ * so controls and pattern codes keep the unmodulated values
+ */
+function applyAudioModulation() {
+    if (!audioTrack || audioModulationSaved) return;
+    audioModulationSaved = [];
+
+    const modulate = (target, object, key, max = Infinity, routes = settings.audio.routes) => {
+        const boost = getAudioBoost(target, time, routes);
+        if (boost === 1) return;
+        audioModulationSaved.push([object, key, object[key]]);
+        object[key] = Math.min(object[key] * boost, max);
+    };
+    settings.layers.forEach(layer => {
+        modulate('scale', layer, 'scale', Infinity, layer.audio);
+        modulate('opacity', layer, 'opacity', 1, layer.audio);
+    });
+    modulate('interactiveStrength', settings.interactive, 'strength');
+}
+
+/**
+ * Puts back the values replaced by applyAudioModulation()
+ */
+function restoreAudioModulation() {
+    if (!audioModulationSaved) return;
+    audioModulationSaved.forEach(([object, key, value]) => {
+        object[key] = value;
+    });
+    audioModulationSaved = null;
+}
+
+/**
+ * Keeps audio playback and animation time in step
+ * The track follows play/pause and the speed multiplier; while it plays, time is nudged to
+ * the playback position. Playback holds while paused or recording a GIF, so exported frames
+ * step evenly through the envelopes at their own times.
+ */
+function syncAudioPlayback() {
+    if (!audioTrack) return;
+    const element = audioTrack.element;
+
+    if (!audioTrack.playing || isPaused || isRecordingGif) {
+        if (!element.paused) element.pause();
+        return;
+    }
+
+    element.playbackRate = speedMultiplier;
+    if (element.paused) {
+        element.currentTime = getAudioPosition(time);
+        element.play().catch((error) => console.warn('Audio playback failed:', error));
+        return;
+    }
+
+    // Shortest way around the loop from the animation's position to the playback position
+    const duration = audioTrack.duration;
+    let drift = element.currentTime - getAudioPosition(time);
+    if (drift > duration / 2) drift -= duration;
+    if (drift < -duration / 2) drift += duration;
+    time += drift;
+}
+
+/**
+ * Converts a hex color string to RGB object
+ * Also accepts the "rgb(r, g, b)" strings from blendColors(), so blended colors can be blended again
+ * @param {string} hex - Hex color string (e.g., "#ff0000" or "ff0000") or "rgb(255, 0, 0)"
+ * @returns {object} RGB object with r, g, b properties (0-255)
+ */
+function hexToRgb(hex) {
+    let rgbMatch = /^rgb\(\s*(\d+),\s*(\d+),\s*(\d+)\s*\)$/i.exec(hex);
+    if (rgbMatch) {
+        return { r: parseInt(rgbMatch[1]), g: parseInt(rgbMatch[2]), b: parseInt(rgbMatch[3]) };
+    }
+
+    let result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16)
+    } : { r: 255, g: 255, b: 255 }; // Default to white if parsing fails
+}
+
+/**
+ * Converts RGB values to a hex color string
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Hex color string
+ */
+function rgbToHex(r, g, b) {
+    const toHex = (c) => Math.round(constrain(c, 0, 255)).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+/**
+ * Converts an sRGB color to OKLab, a perceptual color space where equal distances look equally different
+ * @param {object} rgb - RGB object with r, g, b properties (0-255)
+ * @returns {object} OKLab object with l (0-1), a and b properties
+ */
+function rgbToOklab(rgb) {
+    const toLinear = (c) => {
+        c /= 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const r = toLinear(rgb.r);
+    const g = toLinear(rgb.g);
+    const b = toLinear(rgb.b);
+
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Converts an OKLab color back to sRGB, clamping colors outside the sRGB gamut
+ * @param {object} lab - OKLab object with l, a, b properties
+ * @returns {object} RGB object with r, g, b properties (0-255)
+ */
+function oklabToRgb(lab) {
+    const l = Math.pow(lab.l + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3);
+    const m = Math.pow(lab.l - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3);
+    const s = Math.pow(lab.l - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+
+    const toSrgb = (c) => {
+        c = constrain(c, 0, 1);
+        return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+    };
+    return {
+        r: toSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: toSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: toSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+/**
+ * Converts HSL color values to hex string
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {string} Hex color string
+ */
+function hslToHex(h, s, l) {
+    l /= 100;
+    const a = s * Math.min(l, 1 - l) / 100;
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+        return Math.round(255 * color).toString(16).padStart(2, '0');
+    };
+    return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+/**
+ * Blends two colors using various blend modes
+ * @param {string} color1Hex - First color in hex format
+ * @param {string} color2Hex - Second color in hex format
+ * @param {string} mode - Blend mode: 'add', 'multiply', 'overlay', 'difference', 'screen'
+ * @param {number} value1 - Pattern value from first pattern (0-1)
+ * @param {number} value2 - Pattern value from second pattern (0-1)
+ * @param {number} amount - Blend intensity (0-1)
+ * @returns {string} Blended color in RGB format
+ */
+function blendColors(color1Hex, color2Hex, mode, value1, value2, amount) {
+    let color1 = hexToRgb(color1Hex);
+    let color2 = hexToRgb(color2Hex);
+
+    // Calculate local blend factor based on pattern values and blend amount
+    let localBlend = value1 * value2 * amount;
+
+    let r, g, b;
+
+    // Apply different blend modes
+    switch (mode) {
+        case 'add':
+            // Additive blending (brightens the result)
+            r = constrain(color1.r + (color2.r * localBlend), 0, 255);
+            g = constrain(color1.g + (color2.g * localBlend), 0, 255);
+            b = constrain(color1.b + (color2.b * localBlend), 0, 255);
+            break;
+
+        case 'multiply':
+            // Multiplicative blending (darkens the result)
+            r = lerp(color1.r, (color1.r * color2.r) / 255, localBlend);
+            g = lerp(color1.g, (color1.g * color2.g) / 255, localBlend);
+            b = lerp(color1.b, (color1.b * color2.b) / 255, localBlend);
+            break;
+
+        case 'overlay':
+            // Overlay blending (combines multiply and screen)
+            r = lerp(color1.r, color1.r < 128 ? (2 * color1.r * color2.r) / 255 : 255 - (2 * (255 - color1.r) * (255 - color2.r)) / 255, localBlend);
+            g = lerp(color1.g, color1.g < 128 ? (2 * color1.g * color2.g) / 255 : 255 - (2 * (255 - color1.g) * (255 - color2.g)) / 255, localBlend);
+            b = lerp(color1.b, color1.b < 128 ? (2 * color1.b * color2.b) / 255 : 255 - (2 * (255 - color1.b) * (255 - color2.b)) / 255, localBlend);
+            break;
+
+        case 'difference':
+            // Difference blending (shows the difference between colors)
+            r = lerp(color1.r, Math.abs(color1.r - color2.r), localBlend);
+            g = lerp(color1.g, Math.abs(color1.g - color2.g), localBlend);
+            b = lerp(color1.b, Math.abs(color1.b - color2.b), localBlend);
+            break;
+
+        case 'screen':
+            // Screen blending (lightens the result)
+            r = lerp(color1.r, 255 - (((255 - color1.r) * (255 - color2.r)) / 255), localBlend);
+            g = lerp(color1.g, 255 - (((255 - color1.g) * (255 - color2.g)) / 255), localBlend);
+            b = lerp(color1.b, 255 - (((255 - color1.b) * (255 - color2.b)) / 255), localBlend);
+            break;
+
+        default:
+            // Linear interpolation (default)
+            r = lerp(color1.r, color2.r, localBlend);
+            g = lerp(color1.g, color2.g, localBlend);
+            b = lerp(color1.b, color2.b, localBlend);
+    }
+
+    return `rgb(${Math.floor(r)}, ${Math.floor(g)}, ${Math.floor(b)})`;
+}
+
+/**
+ * Applies a glow effect to the current drawing context
+ * @param {string} color - Color string (RGB or hex format)
+ * @param {number} intensity - Glow intensity (0-1)
+ * @param {number} charSize - Character size for scaling the glow
+ */
+function applyGlow(color, intensity, charSize) {
+    if (intensity <= 0) return;
+
+    // Performance optimization: check glow quality setting
+    const glowQuality = 'medium'; // Default to medium quality
+    if (glowQuality === 'low') return; // Skip glow entirely for low quality
+
+    // Performance optimization: cache color parsing
+    let r, g, b;
+    
+    // Parse color to extract RGB values
+    let colorMatch = color.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
+    if (!colorMatch) {
+        // Handle hex colors if rgb parsing fails
+        let hexMatch = color.match(/#([a-fA-F0-9]{2})([a-fA-F0-9]{2})([a-fA-F0-9]{2})/);
+        if (hexMatch) {
+            r = parseInt(hexMatch[1], 16);
+            g = parseInt(hexMatch[2], 16);
+            b = parseInt(hexMatch[3], 16);
+        } else {
+            return; // Skip glow if color parsing fails
+        }
+    } else {
+        r = parseInt(colorMatch[1]);
+        g = parseInt(colorMatch[2]);
+        b = parseInt(colorMatch[3]);
+    }
+
+    // Performance optimization: adjust glow based on quality setting
+    let glowSize, glowAlpha;
+    switch (glowQuality) {
+        case 'low':
+            return; // Already handled above
+        case 'medium':
+            glowSize = intensity * charSize * 1.5;  // Reduced for medium quality
+            glowAlpha = Math.min(intensity * 1.0, 0.6);  // Reduced for medium quality
+            break;
+        case 'high':
+            glowSize = intensity * charSize * 2.5;  // Full quality
+            glowAlpha = Math.min(intensity * 1.3, 0.9);  // Full quality
+            break;
+        default:
+            glowSize = intensity * charSize * 2.0;  // Default medium
+            glowAlpha = Math.min(intensity * 1.2, 0.8);
+    }
+
+    // Performance optimization: only apply glow if intensity is significant
+    if (intensity > 0.1) {
+        push();
+        // Apply shadow-based glow effect
+        drawingContext.shadowColor = `rgba(${r}, ${g}, ${b}, ${glowAlpha})`;
+        drawingContext.shadowBlur = glowSize;
+        drawingContext.shadowOffsetX = 0;
+        drawingContext.shadowOffsetY = 0;
+        pop();
+    }
+}
+
+/**
+ * Blends two pattern values using various mathematical blend modes
+ * @param {number} value1 - First pattern value (0-1)
+ * @param {number} value2 - Second pattern value (0-1)
+ * @param {string} mode - Blend mode: 'add', 'multiply', 'overlay', 'difference', 'screen'
+ * @param {number} amount - Blend intensity (0-1)
+ * @returns {number} Blended value (0-1)
+ */
+function blendValues(value1, value2, mode, amount) {
+    // Adjust second value based on blend amount
+    value2 = lerp(0.5, value2, amount);
+
+    // Apply different mathematical blend modes
+    switch (mode) {
+        case 'add':
+            // Additive blending (brightens)
+            return constrain(value1 + value2 - 0.5, 0, 1);
+        case 'multiply':
+            // Multiplicative blending (darkens)
+            return value1 * value2;
+        case 'overlay':
+            // Overlay blending (combines multiply and screen)
+            return value1 < 0.5 ? 2 * value1 * value2 : 1 - 2 * (1 - value1) * (1 - value2);
+        case 'difference':
+            // Difference blending (shows contrast)
+            return Math.abs(value1 - value2);
+        case 'screen':
+            // Screen blending (lightens)
+            return 1 - (1 - value1) * (1 - value2);
+        default:
+            // Return original value if mode not recognized
+            return value1;
+    }
+}
+
+/**
+ * p5.js mouse moved event handler
+ * Updates mouse position for interactive effects when interactive mode is enabled
+ */
+function mouseMoved() {
+    if (settings.interactive.enabled) {
+        // Calculate grid dimensions and position
+        let gridPixelWidth = gridCols * baseCharWidth * gridScale;
+        let gridPixelHeight = gridRows * baseCharHeight * gridScale;
+        let startX = (width - gridPixelWidth) / 2;
+        let startY = (height - gridPixelHeight) / 2;
+
+        // Convert mouse position to grid-relative coordinates
+        let relativeX = mouseX - startX;
+        let relativeY = mouseY - startY;
+
+        // Convert to normalized coordinates (0-1 range)
+        mousePos.x = relativeX / gridPixelWidth;
+        mousePos.y = relativeY / gridPixelHeight;
+
+        // Clamp to 0-1 range to ensure coordinates are within bounds
+        mousePos.x = constrain(mousePos.x, 0, 1);
+        mousePos.y = constrain(mousePos.y, 0, 1);
+    }
+}
+
+/**
+ * p5.js mouse pressed event handler
+ * Starts a mask paint stroke while a layer's mask is being painted; otherwise starts
+ * drag-to-pan on fractal patterns and creates click ripple effects when interactive mode
+ * and click effects are enabled
+ * @param {MouseEvent} event - Browser mouse event
+ */
+function mousePressed(event) {
+    const gridPosition = getGridMousePosition();
+    const onGrid = gridPosition.x >= 0 && gridPosition.x <= 1 && gridPosition.y >= 0 && gridPosition.y <= 1;
+
+    // Painting takes over the canvas: no panning or click effects
+    if (maskPaintLayer && onGrid && (!event || event.target === canvas.elt)) {
+        paintLayerMask(maskPaintLayer, gridPosition, gridPosition, maskBrush);
+        maskStroke = gridPosition;
+        return;
+    }
+
+    // Start panning when the press lands on a visible fractal
+    if (onGrid && (!event || event.target === canvas.elt) && getFractalLayers().length > 0) {
+        fractalDrag = gridPosition;
+    }
+
+    if (settings.interactive.enabled && settings.interactive.clickEnabled) {
+        // Calculate grid dimensions and position
+        let gridPixelWidth = gridCols * baseCharWidth * gridScale;
+        let gridPixelHeight = gridRows * baseCharHeight * gridScale;
+        let startX = (width - gridPixelWidth) / 2;
+        let startY = (height - gridPixelHeight) / 2;
+
+        // Convert mouse position to grid-relative coordinates
+        let relativeX = mouseX - startX;
+        let relativeY = mouseY - startY;
+
+        // Convert to normalized coordinates (0-1 range)
+        let normalizedX = relativeX / gridPixelWidth;
+        let normalizedY = relativeY / gridPixelHeight;
+
+        // Only add click effects if within grid bounds
+        if (normalizedX >= 0 && normalizedX <= 1 && normalizedY >= 0 && normalizedY <= 1) {
+            clickEffects.push({
+                x: normalizedX,
+                y: normalizedY,
+                life: 3.0,                    // Initial life in seconds
+                maxLife: 3.0,                 // Maximum life for decay calculation
+                strength: settings.interactive.strength,
+                radius: settings.interactive.radius
+            });
+
+            // Let stateful patterns react to the click (e.g. reaction-diffusion injects chemical)
+            getActiveLayers().forEach(layer => applyPatternClick(layer, normalizedX, normalizedY));
+        }
+    }
+}
+
+/**
+ * p5.js mouse dragged event handler
+ * Continues a mask paint stroke, or pans fractal patterns while a drag that started on the grid is active
+ */
+function mouseDragged() {
+    if (maskStroke) {
+        const position = getGridMousePosition();
+        paintLayerMask(maskPaintLayer, maskStroke, position, maskBrush);
+        maskStroke = position;
+        return;
+    }
+
+    if (!fractalDrag) return;
+
+    const gridPosition = getGridMousePosition();
+    getFractalLayers().forEach(pattern => {
+        panFractalView(pattern, gridPosition.x - fractalDrag.x, gridPosition.y - fractalDrag.y);
+    });
+    fractalDrag = gridPosition;
+    updateFractalViewDisplays();
+}
+
+/**
+ * p5.js mouse released event handler
+ * Ends a mask paint stroke (storing the mask) or drag-to-pan on fractal patterns
+ */
+function mouseReleased() {
+    if (maskStroke) {
+        maskStroke = null;
+        commitLayerMask(maskPaintLayer);
+        updatePatternCodeDisplay();
+    }
+    fractalDrag = null;
+}
+
+/**
+ * p5.js mouse wheel event handler
+ * Zooms fractal patterns around the cursor
+ * @param {WheelEvent} event - Browser wheel event (p5.js adds event.delta)
+ * @returns {boolean|undefined} False to stop the page from scrolling while zooming
+ */
+function mouseWheel(event) {
+    if (event.target !== canvas.elt) return;
+
+    const gridPosition = getGridMousePosition();
+    if (gridPosition.x < 0 || gridPosition.x > 1 || gridPosition.y < 0 || gridPosition.y > 1) return;
+
+    const layers = getFractalLayers();
+    if (layers.length === 0) return;
+
+    // ~15% per wheel notch; scrolling up zooms in
+    const factor = Math.pow(1.0015, -event.delta);
+    layers.forEach(pattern => zoomFractalView(pattern, gridPosition.x, gridPosition.y, factor));
+    updateFractalViewDisplays();
+    return false;
+}
+
+function setupControls() {
+    // Helper function to safely add event listeners
+    function safeAddEventListener(elementId, eventType, handler) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.addEventListener(eventType, handler);
+        } else {
+            console.warn(`Element with id '${elementId}' not found`);
+        }
+    }
+
+    // Setup dropdown functionality
+    setupDropdowns();
+
+    // Display Settings
+    safeAddEventListener('gridCols', 'input', (e) => {
+        settings.gridCols = parseInt(e.target.value);
+        gridCols = settings.gridCols;
+        const gridColsValueElement = document.getElementById('gridColsValue');
+        if (gridColsValueElement) gridColsValueElement.textContent = e.target.value;
+        updateCanvasSize();
+    });
+
+    safeAddEventListener('gridRows', 'input', (e) => {
+        settings.gridRows = parseInt(e.target.value);
+        gridRows = settings.gridRows;
+        const gridRowsValueElement = document.getElementById('gridRowsValue');
+        if (gridRowsValueElement) gridRowsValueElement.textContent = e.target.value;
+        updateCanvasSize();
+    });
+
+    safeAddEventListener('charSize', 'input', (e) => {
+        settings.charSize = parseInt(e.target.value);
+        const charSizeValueElement = document.getElementById('charSizeValue');
+        if (charSizeValueElement) charSizeValueElement.textContent = e.target.value;
+        updateCanvasSize();
+    });
+
+    safeAddEventListener('charSpacing', 'input', (e) => {
+        settings.charSpacing = parseFloat(e.target.value);
+        const charSpacingValueElement = document.getElementById('charSpacingValue');
+        if (charSpacingValueElement) charSpacingValueElement.textContent = e.target.value;
+        updateCanvasSize();
+    });
+
+    // Seed - reseeds noise, Voronoi points, simulations, the randomizer and palette random mode
+    const seedInput = document.getElementById('seedInput');
+    if (seedInput) seedInput.value = settings.seed; // The initial seed is picked at startup
+
+    safeAddEventListener('seedInput', 'change', (e) => {
+        setGlobalSeed(parseInt(e.target.value));
+        e.target.value = settings.seed;
+        updatePatternCodeDisplay();
+    });
+
+    safeAddEventListener('newSeedBtn', 'click', () => {
+        setGlobalSeed(Math.floor(Math.random() * (SEED_MAX + 1)));
+        document.getElementById('seedInput').value = settings.seed;
+        updatePatternCodeDisplay();
+    });
+
+    // Layers
+    safeAddEventListener('addLayerBtn', 'click', () => {
+        const layer = addLayer();
+        renderLayerList();
+        setLayerSectionOpen(layer, true);
+        updatePatternCodeDisplay();
+    });
+
+    setupImageDrop();
+    setupAudioControls();
+    setupGradientDragging();
+
+    // Build the layer sections for the initial layers
+    renderLayerList();
+
+    // Tone Mapping
+    renderToneControls();
+    safeAddEventListener('toneResetBtn', 'click', () => {
+        settings.tone = resolveParams(TONE_PARAMS);
+        renderToneControls();
+        updatePatternCodeDisplay();
+    });
+
+    // Cell Backgrounds
+    renderCellBackgroundControls();
+
+    // Interactive Effects
+    document.getElementById('interactiveToggle').addEventListener('click', (e) => {
+        settings.interactive.enabled = !settings.interactive.enabled;
+        e.currentTarget.classList.toggle('active');
+        
+        // Update the label text
+        const label = e.currentTarget.querySelector('.toggle-switch-label');
+        label.textContent = settings.interactive.enabled ? 'Disable' : 'Enable';
+
+        const interactiveSettings = document.getElementById('interactiveSettings');
+        interactiveSettings.style.display = settings.interactive.enabled ? 'block' : 'none';
+
+        const canvasContainer = document.getElementById('canvas-container');
+        canvasContainer.style.cursor = settings.interactive.enabled ? 'crosshair' : 'default';
+    });
+
+    document.getElementById('interactiveType').addEventListener('change', (e) => {
+        settings.interactive.type = e.target.value;
+    });
+
+    document.getElementById('interactiveStrength').addEventListener('input', (e) => {
+        settings.interactive.strength = parseFloat(e.target.value);
+        document.getElementById('interactiveStrengthValue').textContent = e.target.value;
+    });
+
+    document.getElementById('interactiveRadius').addEventListener('input', (e) => {
+        settings.interactive.radius = parseFloat(e.target.value);
+        document.getElementById('interactiveRadiusValue').textContent = e.target.value;
+    });
+
+    document.getElementById('interactiveClick').addEventListener('change', (e) => {
+        settings.interactive.clickEnabled = e.target.checked;
+    });
+
+    // Webcam controls
+    safeAddEventListener('webcamIntensity', 'input', (e) => {
+        settings.webcam.intensity = parseFloat(e.target.value);
+        document.getElementById('webcamIntensityValue').textContent = e.target.value;
+    });
+
+    safeAddEventListener('webcamContrast', 'input', (e) => {
+        settings.webcam.contrast = parseFloat(e.target.value);
+        document.getElementById('webcamContrastValue').textContent = e.target.value;
+    });
+
+    // Colors Settings
+    // Background Color
+    safeAddEventListener('backgroundColor', 'input', (e) => {
+        settings.colors.backgroundColor = e.target.value;
+        updateBackgroundColor();
+    });
+
+    // Color Animation
+    safeAddEventListener('colorAnimationEnabled', 'change', (e) => {
+        settings.colors.animationEnabled = e.target.checked;
+        const animationSettings = document.getElementById('colorAnimationSettings');
+        animationSettings.style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    safeAddEventListener('colorAnimationType', 'change', (e) => {
+        settings.colors.animationType = e.target.value;
+    });
+
+    safeAddEventListener('colorAnimationSpeed', 'input', (e) => {
+        settings.colors.animationSpeed = parseFloat(e.target.value);
+        document.getElementById('colorAnimationSpeedValue').textContent = e.target.value;
+    });
+
+    // Color Palettes
+    safeAddEventListener('useColorPalette', 'change', (e) => {
+        settings.colors.usePalette = e.target.checked;
+        const paletteSettings = document.getElementById('colorPaletteSettings');
+        paletteSettings.style.display = e.target.checked ? 'block' : 'none';
+        updatePalettePreview();
+        if (e.target.checked) {
+            updateColorsFromPalette();
+        }
+    });
+
+    safeAddEventListener('colorPaletteSelect', 'change', (e) => {
+        selectPalette(e.target.value);
+    });
+
+    safeAddEventListener('paletteColorMode', 'change', (e) => {
+        settings.colors.paletteColorMode = e.target.value;
+        settings.colors.randomColorTimer = 0; // Reset random timer
+        if (settings.colors.usePalette) {
+            updateColorsFromPalette();
+        }
+    });
+
+    setupUserPaletteControls();
+    setupPaletteImageControls();
+
+    // Theme Management
+    let currentTheme = localStorage.getItem('theme') || 'auto';
+    
+    // Initialize theme based on user preference or system preference
+    function initializeTheme() {
+        if (currentTheme === 'auto') {
+            // Check system preference
+            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+            document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+            updateThemeUI(prefersDark ? 'dark' : 'light');
+        } else {
+            document.documentElement.setAttribute('data-theme', currentTheme);
+            updateThemeUI(currentTheme);
+        }
+        updateLogo();
+    }
+    
+    // Update theme UI elements
+    function updateThemeUI(theme) {
+        const themeIcon = document.getElementById('theme-icon');
+        const themeLabel = document.querySelector('.theme-label');
+        
+        if (theme === 'light') {
+            // Show moon icon (indicating dark mode is available)
+            if (themeIcon) {
+                themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" d="M21.752 15.002A9.72 9.72 0 0 1 18 15.75c-5.385 0-9.75-4.365-9.75-9.75 0-1.33.266-2.597.748-3.752A9.753 9.753 0 0 0 3 11.25C3 16.635 7.365 21 12.75 21a9.753 9.753 0 0 0 9.002-5.998Z" />`;
+            }
+            if (themeLabel) {
+                themeLabel.textContent = 'Light Mode';
+            }
+        } else {
+            // Show sun icon (indicating light mode is available)
+            if (themeIcon) {
+                themeIcon.innerHTML = `<path stroke-linecap="round" stroke-linejoin="round" d="M12 3v2.25m6.364.386-1.591 1.591M21 12h-2.25m-.386 6.364-1.591-1.591M12 18.75V21m-4.773-4.227-1.591 1.591M5.25 12H3m4.227-4.773L5.636 5.636M15.75 12a3.75 3.75 0 1 1-7.5 0 3.75 3.75 0 0 1 7.5 0Z" />`;
+            }
+            if (themeLabel) {
+                themeLabel.textContent = 'Dark Mode';
+            }
+        }
+    }
+    
+    // Update logo based on theme
+    function updateLogo() {
+        const logo = document.getElementById('gridform-logo');
+        const theme = document.documentElement.getAttribute('data-theme') || 
+                     (window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light');
+        
+        if (theme === 'light') {
+            logo.src = 'assets/logo/GridForm.svg';
+            // Apply filter to make logo black in light mode
+            logo.style.filter = 'brightness(0) saturate(100%)';
+        } else {
+            logo.src = 'assets/logo/GridForm.svg';
+            logo.style.filter = 'none';
+        }
+    }
+    
+    // Toggle theme
+    function toggleTheme() {
+        const currentDataTheme = document.documentElement.getAttribute('data-theme');
+        let newTheme;
+        
+        if (currentDataTheme === 'light') {
+            newTheme = 'dark';
+        } else if (currentDataTheme === 'dark') {
+            newTheme = 'light';
+        } else {
+            // If no data-theme is set, check system preference
+            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+            newTheme = prefersDark ? 'light' : 'dark';
+        }
+        
+        currentTheme = newTheme;
+        document.documentElement.setAttribute('data-theme', newTheme);
+        updateThemeUI(newTheme);
+        updateLogo();
+        localStorage.setItem('theme', newTheme);
+    }
+    
+    // Listen for system theme changes
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+        if (currentTheme === 'auto') {
+            const newTheme = e.matches ? 'dark' : 'light';
+            document.documentElement.setAttribute('data-theme', newTheme);
+            updateThemeUI(newTheme);
+            updateLogo();
+        }
+    });
+    
+    // Initialize theme on page load
+    initializeTheme();
+    
+    // Settings Modal Functionality
+    const settingsBtn = document.getElementById('settings-btn');
+    const settingsModal = document.getElementById('settings-modal');
+    const settingsClose = document.getElementById('settings-close');
+
+    // Open settings modal
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            settingsModal.classList.add('show');
+            // Sync modal values with current settings
+            syncModalValues();
+        });
+    }
+
+    // Close settings modal
+    if (settingsClose) {
+        settingsClose.addEventListener('click', () => {
+            settingsModal.classList.remove('show');
+        });
+    }
+
+    // Close modal when clicking outside
+    if (settingsModal) {
+        settingsModal.addEventListener('click', (e) => {
+            if (e.target === settingsModal) {
+                settingsModal.classList.remove('show');
+            }
+        });
+    }
+    
+    // Theme toggle button
+    const themeToggle = document.getElementById('theme-toggle');
+    if (themeToggle) {
+        themeToggle.addEventListener('click', toggleTheme);
+    }
+
+    // Handle modal form changes
+    const modalTargetFps = document.getElementById('modal-target-fps');
+    const modalGlowQuality = document.getElementById('modal-glow-quality');
+    const modalAnimationSmoothing = document.getElementById('modal-animation-smoothing');
+    const modalMemoryManagement = document.getElementById('modal-memory-management');
+
+    if (modalTargetFps) {
+        modalTargetFps.addEventListener('change', (e) => {
+            const fps = parseInt(e.target.value);
+            targetFPS = fps;
+            frameInterval = 1000 / fps;
+
+            console.log(`Target FPS changed to: ${fps}`);
+        });
+    }
+
+    if (modalGlowQuality) {
+        modalGlowQuality.addEventListener('change', (e) => {
+            const quality = e.target.value;
+
+            // Apply the same logic as the main dropdown
+            switch (quality) {
+                case 'low':
+                case 'high':
+                    settings.layers.forEach(layer => {
+                        layer.glow = quality === 'high';
+                        const glowCheckbox = document.getElementById(`${getLayerPrefix(layer)}Glow`);
+                        if (glowCheckbox) glowCheckbox.checked = layer.glow;
+                    });
+                    break;
+                case 'medium':
+                    // Keep current glow settings
+                    break;
+            }
+            console.log(`Glow quality changed to: ${quality}`);
+        });
+    }
+
+    // Helper function to sync modal values with current settings
+    function syncModalValues() {
+        if (modalTargetFps) {
+            modalTargetFps.value = targetFPS;
+        }
+        if (modalGlowQuality) {
+            modalGlowQuality.value = 'medium';
+        }
+        if (modalAnimationSmoothing) {
+            modalAnimationSmoothing.value = 'medium'; // Default value
+        }
+        if (modalMemoryManagement) {
+            modalMemoryManagement.value = 'balanced'; // Default value
+        }
+        
+        // Sync theme state
+        const currentDataTheme = document.documentElement.getAttribute('data-theme');
+        if (currentDataTheme) {
+            updateThemeUI(currentDataTheme);
+        }
+    }
+}
+
+// Layer sidebar - one collapsible section per layer, built from the #layerTemplate markup
+
+/**
+ * Rebuilds the layer sections in the sidebar from settings.layers, keeping open sections open
+ */
+function renderLayerList() {
+    const list = document.getElementById('layerList');
+    if (!list) return;
+
+    const openSections = Array.from(list.querySelectorAll('.layer-item > .dropdown-content.open'))
+        .map(content => content.parentElement.id);
+    list.innerHTML = '';
+
+    if (maskPaintLayer && !settings.layers.includes(maskPaintLayer)) {
+        setMaskPaintLayer(null);
+    }
+
+    settings.layers.forEach(layer => createLayerSection(list, layer));
+    updatePatternTypeSelects();
+    settings.layers.forEach(layer => {
+        updateLayerSection(layer);
+        setLayerSectionOpen(layer, openSections.includes(getLayerPrefix(layer)));
+    });
+    updateLayerHeaders();
+}
+
+/**
+ * Adds a layer's section to the sidebar and wires up its controls
+ * @param {HTMLElement} list - Layer list container
+ * @param {object} layer - Layer
+ */
+function createLayerSection(list, layer) {
+    const template = document.getElementById('layerTemplate');
+    const prefix = getLayerPrefix(layer);
+
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = template.innerHTML.replace(/\{prefix\}/g, prefix);
+    list.appendChild(wrapper.firstElementChild);
+
+    [
+        [`${prefix}BlendMode`, BLEND_MODES],
+        [`${prefix}Dither`, DITHER_MODES],
+        [`${prefix}GradientInterpolation`, GRADIENT_INTERPOLATIONS]
+    ].forEach(([id, modes]) => {
+        const select = document.getElementById(id);
+        modes.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    });
+
+    updateGradientPresetSelect(layer);
+    setupLayerControls(prefix, layer);
+}
+
+/**
+ * Opens or closes a layer's section
+ * @param {object} layer - Layer
+ * @param {boolean} open - Whether the section should be open
+ */
+function setLayerSectionOpen(layer, open) {
+    const prefix = getLayerPrefix(layer);
+    const header = document.getElementById(`${prefix}Header`);
+    if (!header) return;
+
+    document.getElementById(`${prefix}Content`).classList.toggle('open', open);
+    header.classList.toggle('active', open);
+    header.querySelector('.dropdown-arrow').classList.toggle('open', open);
+}
+
+/**
+ * Updates the layer headers after layers were added, removed, reordered, shown or hidden
+ * Headers show the layer's position and pattern; only layers above the bottom one can blend
+ */
+function updateLayerHeaders() {
+    settings.layers.forEach((layer, index) => {
+        const prefix = getLayerPrefix(layer);
+        const item = document.getElementById(prefix);
+        if (!item) return;
+
+        const definition = getPatternDefinition(layer.type);
+        document.getElementById(`${prefix}Name`).textContent = `Layer ${index + 1}: ${definition ? definition.label : layer.type}`;
+        item.classList.toggle('layer-hidden', !layer.visible);
+        document.getElementById(`${prefix}Visible`).classList.toggle('active', layer.visible);
+        document.getElementById(`${prefix}Solo`).classList.toggle('active', layer.solo);
+        document.getElementById(`${prefix}Delete`).disabled = settings.layers.length <= 1;
+        document.getElementById(`${prefix}BlendSection`).style.display = index > 0 ? 'block' : 'none';
+
+        // Mask layer options carry the layer names, which change as layers move or change type
+        renderParamControls(document.getElementById(`${prefix}Mask`), MASK_PARAMS, layer.mask, `${prefix}Mask`);
+    });
+}
+
+/**
+ * Sets a layer section's controls to the layer's settings
+ * @param {object} layer - Layer
+ */
+function updateLayerSection(layer) {
+    const prefix = getLayerPrefix(layer);
+    if (!document.getElementById(prefix)) return;
+
+    document.getElementById(`${prefix}Type`).value = layer.type;
+    document.getElementById(`${prefix}Glow`).checked = layer.glow;
+    document.getElementById(`${prefix}NoiseVariant`).value = layer.noiseVariant || 'simplex';
+    document.getElementById(`${prefix}Speed`).value = layer.speed;
+    document.getElementById(`${prefix}SpeedValue`).textContent = layer.speed.toFixed(3);
+    document.getElementById(`${prefix}Scale`).value = layer.scale;
+    document.getElementById(`${prefix}ScaleValue`).textContent = layer.scale.toFixed(3);
+    document.getElementById(`${prefix}Color`).value = layer.baseColor;
+    document.getElementById(`${prefix}BlendMode`).value = layer.blendMode;
+    document.getElementById(`${prefix}Opacity`).value = layer.opacity;
+    document.getElementById(`${prefix}OpacityValue`).textContent = layer.opacity.toFixed(2);
+
+    // Character sets that are not one of the presets are shown as custom
+    const charSets = ['blocks', 'ascii', 'hex', 'numbers', 'letters', 'symbols', 'braille'];
+    const charSet = charSets.find(set => ASCII_RAMPS[set] === layer.ramp) || 'custom';
+    document.getElementById(`${prefix}CharSet`).value = charSet;
+    document.getElementById(`${prefix}CustomCharInput`).style.display = charSet === 'custom' ? 'block' : 'none';
+    document.getElementById(`${prefix}CustomChars`).value = charSet === 'custom' ? layer.ramp : '';
+    document.getElementById(`${prefix}Dither`).value = layer.dither;
+
+    document.querySelectorAll(`#${prefix} .lock-btn[data-layer-setting]`).forEach(button => {
+        updateLockButtonAppearance(button, button.dataset.layerSetting, layer.locks);
+    });
+
+    updatePatternSections(prefix, layer);
+    renderParamControls(document.getElementById(`${prefix}Edges`), EDGE_PARAMS, layer.edges, `${prefix}Edges`);
+    renderParamControls(document.getElementById(`${prefix}Mask`), MASK_PARAMS, layer.mask, `${prefix}Mask`);
+    renderParamControls(document.getElementById(`${prefix}Audio`), LAYER_AUDIO_PARAMS, layer.audio, `${prefix}Audio`);
+    updateMaskPaintTools(layer);
+    updateGradientEditor(layer);
+}
+
+/**
+ * Shows a layer's gradient map in its editor: a preview bar with one handle per stop,
+ * and the color of the selected stop
+ * @param {object} layer - Layer
+ */
+function updateGradientEditor(layer) {
+    const prefix = getLayerPrefix(layer);
+    const editor = document.getElementById(`${prefix}GradientEditor`);
+    if (!editor) return;
+
+    const gradient = layer.gradient;
+    const selected = Math.min(gradientSelection.get(gradient) || 0, gradient.stops.length - 1);
+    document.getElementById(`${prefix}GradientEnabled`).checked = gradient.enabled;
+    document.getElementById(`${prefix}GradientInterpolation`).value = gradient.interpolation;
+    editor.style.display = gradient.enabled ? 'block' : 'none';
+
+    // The preview is sampled in hard-edged bands, so stepped and perceptual maps look as drawn
+    const bands = 64;
+    const colors = getGradientLut(gradient);
+    const bandStops = [];
+    for (let i = 0; i < bands; i++) {
+        const color = colors[Math.round((i + 0.5) / bands * (GRADIENT_LUT_SIZE - 1))];
+        bandStops.push(`${color} ${(i / bands * 100).toFixed(2)}%`, `${color} ${((i + 1) / bands * 100).toFixed(2)}%`);
+    }
+    const bar = document.getElementById(`${prefix}GradientBar`);
+    bar.style.background = `linear-gradient(to right, ${bandStops.join(', ')})`;
+
+    bar.querySelectorAll('.gradient-stop').forEach(handle => handle.remove());
+    gradient.stops.forEach((stop, index) => {
+        const handle = document.createElement('div');
+        handle.className = index === selected ? 'gradient-stop selected' : 'gradient-stop';
+        handle.style.left = `${stop.position * 100}%`;
+        handle.style.background = stop.color;
+        handle.dataset.index = index;
+        bar.appendChild(handle);
+    });
+
+    document.getElementById(`${prefix}GradientStopColor`).value = gradient.stops[selected].color;
+    document.getElementById(`${prefix}GradientRemoveStop`).disabled = gradient.stops.length <= 2;
+}
+
+/**
+ * Fills a layer's Load Gradient menu (built-in maps and the current palettes)
+ * @param {object} layer - Layer
+ */
+function updateGradientPresetSelect(layer) {
+    const select = document.getElementById(`${getLayerPrefix(layer)}GradientPreset`);
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Choose...</option>';
+    getGradientPresetOptions().forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Converts a mouse position to a position along a gradient bar
+ * @param {HTMLElement} bar - Gradient bar element
+ * @param {number} clientX - Mouse X position in the viewport
+ * @returns {number} Position (0-1)
+ */
+function getGradientBarPosition(bar, clientX) {
+    const rect = bar.getBoundingClientRect();
+    return rect.width > 0 ? constrain((clientX - rect.left) / rect.width, 0, 1) : 0;
+}
+
+/**
+ * Moves gradient stops being dragged in any layer's editor (set up once for all layers)
+ */
+function setupGradientDragging() {
+    document.addEventListener('mousemove', (e) => {
+        if (!gradientDrag) return;
+        const gradient = gradientDrag.layer.gradient;
+        gradient.stops[gradientDrag.index].position = getGradientBarPosition(gradientDrag.bar, e.clientX);
+        invalidateGradientMap(gradient);
+        updateGradientEditor(gradientDrag.layer);
+    });
+
+    document.addEventListener('mouseup', () => {
+        if (!gradientDrag) return;
+        gradientDrag = null;
+        updatePatternCodeDisplay();
+    });
+}
+
+/**
+ * Shows the mask painting tools of layers with a painted mask and marks the layer being painted
+ * @param {object} layer - Layer
+ */
+function updateMaskPaintTools(layer) {
+    const prefix = getLayerPrefix(layer);
+    const tools = document.getElementById(`${prefix}MaskPaintTools`);
+    if (!tools) return;
+
+    tools.style.display = layer.mask.source === 'painted' ? 'block' : 'none';
+    document.getElementById(`${prefix}MaskBrush`).value = maskBrush.size;
+    document.getElementById(`${prefix}MaskBrushValue`).textContent = maskBrush.size;
+    document.getElementById(`${prefix}MaskErase`).checked = maskBrush.erase;
+
+    const paintButton = document.getElementById(`${prefix}MaskPaint`);
+    paintButton.classList.toggle('active', maskPaintLayer === layer);
+    paintButton.textContent = maskPaintLayer === layer ? 'Stop Painting' : 'Paint on Canvas';
+}
+
+/**
+ * Starts painting a layer's mask on the canvas, or stops painting
+ * Only one layer is painted at a time; while painting, canvas drags paint instead of panning
+ * @param {object|null} layer - Layer to paint, or null to stop
+ */
+function setMaskPaintLayer(layer) {
+    maskPaintLayer = layer;
+    maskStroke = null;
+    if (canvas && canvas.elt) {
+        canvas.elt.style.cursor = layer ? 'crosshair' : '';
+    }
+    settings.layers.forEach(updateMaskPaintTools);
+}
+
+/**
+ * Wires up the controls of one layer's section
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} layer - Layer
+ */
+function setupLayerControls(prefix, layer) {
+    const item = document.getElementById(prefix);
+    const header = document.getElementById(`${prefix}Header`);
+
+    // Header: open/close, show/hide, solo and delete
+    header.addEventListener('click', () => {
+        setLayerSectionOpen(layer, !document.getElementById(`${prefix}Content`).classList.contains('open'));
+    });
+
+    document.getElementById(`${prefix}Visible`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        layer.visible = !layer.visible;
+        updateLayerHeaders();
+    });
+
+    document.getElementById(`${prefix}Solo`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        layer.solo = !layer.solo;
+        updateLayerHeaders();
+    });
+
+    document.getElementById(`${prefix}Delete`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (removeLayer(layer)) {
+            if (maskPaintLayer === layer) setMaskPaintLayer(null);
+            item.remove();
+            updateLayerHeaders();
+            updatePatternCodeDisplay();
+        }
+    });
+
+    // Drag the header onto another layer to move the layer to that position
+    header.addEventListener('dragstart', (e) => {
+        draggedLayer = layer;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', prefix); // Some browsers only start drags that carry data
+    });
+
+    header.addEventListener('dragend', () => {
+        draggedLayer = null;
+        document.querySelectorAll('.layer-item').forEach(element => {
+            element.classList.remove('dragging', 'drag-over');
+        });
+    });
+
+    item.addEventListener('dragover', (e) => {
+        if (!draggedLayer || draggedLayer === layer) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        item.classList.add('drag-over');
+    });
+
+    item.addEventListener('dragleave', (e) => {
+        if (!item.contains(e.relatedTarget)) {
+            item.classList.remove('drag-over');
+        }
+    });
+
+    item.addEventListener('drop', (e) => {
+        if (!draggedLayer || draggedLayer === layer) return;
+        e.preventDefault();
+        item.classList.remove('drag-over');
+
+        moveLayer(draggedLayer, settings.layers.indexOf(layer));
+        const list = item.parentElement;
+        settings.layers.forEach(other => list.appendChild(document.getElementById(getLayerPrefix(other))));
+        updateLayerHeaders();
+        updatePatternCodeDisplay();
+    });
+
+    // Color and blending
+    document.getElementById(`${prefix}Color`).addEventListener('input', (e) => {
+        layer.baseColor = e.target.value;
+        layer.color = e.target.value;
+        // Disable palette and animation when manually changing colors
+        if (settings.colors.usePalette) {
+            settings.colors.usePalette = false;
+            document.getElementById('useColorPalette').checked = false;
+            document.getElementById('colorPaletteSettings').style.display = 'none';
+        }
+        if (settings.colors.animationEnabled) {
+            settings.colors.animationEnabled = false;
+            document.getElementById('colorAnimationEnabled').checked = false;
+            document.getElementById('colorAnimationSettings').style.display = 'none';
+        }
+    });
+
+    document.getElementById(`${prefix}BlendMode`).addEventListener('change', (e) => {
+        layer.blendMode = e.target.value;
+    });
+
+    document.getElementById(`${prefix}Opacity`).addEventListener('input', (e) => {
+        layer.opacity = parseFloat(e.target.value);
+        document.getElementById(`${prefix}OpacityValue`).textContent = e.target.value;
+    });
+
+    // Pattern
+    document.getElementById(`${prefix}Glow`).addEventListener('change', (e) => {
+        layer.glow = e.target.checked;
+    });
+
+    document.getElementById(`${prefix}Type`).addEventListener('change', (e) => {
+        setPatternType(layer, e.target.value);
+        updatePatternSections(prefix, layer);
+        updateLayerHeaders();
+    });
+
+    document.getElementById(`${prefix}Speed`).addEventListener('input', (e) => {
+        layer.speed = parseFloat(e.target.value);
+        document.getElementById(`${prefix}SpeedValue`).textContent = e.target.value;
+    });
+
+    document.getElementById(`${prefix}Scale`).addEventListener('input', (e) => {
+        layer.scale = parseFloat(e.target.value);
+        document.getElementById(`${prefix}ScaleValue`).textContent = e.target.value;
+    });
+
+    document.getElementById(`${prefix}NoiseVariant`).addEventListener('change', (e) => {
+        layer.noiseVariant = e.target.value;
+    });
+
+    document.getElementById(`${prefix}Formula`).addEventListener('input', (e) => {
+        updatePatternFormula(prefix, layer, e.target.value);
+    });
+
+    setupCellularControls(prefix, layer);
+    setupReactionControls(prefix, layer);
+    setupFractalControls(prefix, layer);
+    setupVoronoiControls(prefix, layer);
+    setupImageControls(prefix, layer);
+
+    document.getElementById(`${prefix}TextContent`).addEventListener('input', (e) => {
+        layer.params.text = e.target.value;
+        textCoverageCache.delete(layer);
+    });
+
+    // Mask (the source select is generated, so listen for changes bubbling up from it)
+    document.getElementById(`${prefix}Mask`).addEventListener('change', () => {
+        if (layer.mask.source !== 'painted' && maskPaintLayer === layer) {
+            setMaskPaintLayer(null);
+        }
+        updateMaskPaintTools(layer);
+    });
+
+    document.getElementById(`${prefix}MaskBrush`).addEventListener('input', (e) => {
+        maskBrush.size = parseInt(e.target.value);
+        settings.layers.forEach(updateMaskPaintTools);
+    });
+
+    document.getElementById(`${prefix}MaskErase`).addEventListener('change', (e) => {
+        maskBrush.erase = e.target.checked;
+        settings.layers.forEach(updateMaskPaintTools);
+    });
+
+    document.getElementById(`${prefix}MaskPaint`).addEventListener('click', () => {
+        setMaskPaintLayer(maskPaintLayer === layer ? null : layer);
+    });
+
+    document.getElementById(`${prefix}MaskClear`).addEventListener('click', () => {
+        clearLayerMask(layer);
+        updatePatternCodeDisplay();
+    });
+
+    // Character set
+    document.getElementById(`${prefix}CharSet`).addEventListener('change', (e) => {
+        const selectedSet = e.target.value;
+        const customInput = document.getElementById(`${prefix}CustomCharInput`);
+
+        if (selectedSet === 'custom') {
+            customInput.style.display = 'block';
+            layer.ramp = document.getElementById(`${prefix}CustomChars`).value || ASCII_RAMPS.custom;
+        } else {
+            customInput.style.display = 'none';
+            layer.ramp = ASCII_RAMPS[selectedSet];
+        }
+    });
+
+    document.getElementById(`${prefix}CustomChars`).addEventListener('input', (e) => {
+        if (document.getElementById(`${prefix}CharSet`).value === 'custom') {
+            layer.ramp = e.target.value || ASCII_RAMPS.custom;
+        }
+    });
+
+    // Density calibration
+    document.getElementById(`${prefix}SortRamp`).addEventListener('click', () => {
+        applyCalibratedRamp(layer, layer.ramp);
+    });
+
+    document.getElementById(`${prefix}RampLength`).addEventListener('input', (e) => {
+        document.getElementById(`${prefix}RampLengthValue`).textContent = e.target.value;
+    });
+
+    document.getElementById(`${prefix}BuildRamp`).addEventListener('click', () => {
+        const pool = document.getElementById(`${prefix}RampPool`).value || GLYPH_POOL_DEFAULT;
+        applyCalibratedRamp(layer, pool, parseInt(document.getElementById(`${prefix}RampLength`).value));
+    });
+
+    document.getElementById(`${prefix}Dither`).addEventListener('change', (e) => {
+        layer.dither = e.target.value;
+    });
+
+    // Gradient map
+    document.getElementById(`${prefix}GradientEnabled`).addEventListener('change', (e) => {
+        layer.gradient.enabled = e.target.checked;
+        updateGradientEditor(layer);
+    });
+
+    document.getElementById(`${prefix}GradientPreset`).addEventListener('change', (e) => {
+        const preset = createGradientPreset(e.target.value);
+        e.target.value = ''; // Acts as a menu, so the same map can be loaded again after editing
+        if (!preset) return;
+
+        layer.gradient.interpolation = preset.interpolation;
+        layer.gradient.stops = preset.stops;
+        gradientSelection.set(layer.gradient, 0);
+        invalidateGradientMap(layer.gradient);
+        updateGradientEditor(layer);
+        updatePatternCodeDisplay();
+    });
+
+    document.getElementById(`${prefix}GradientInterpolation`).addEventListener('change', (e) => {
+        layer.gradient.interpolation = e.target.value;
+        invalidateGradientMap(layer.gradient);
+        updateGradientEditor(layer);
+    });
+
+    // Pressing a handle selects and drags it; pressing the bar adds a stop with the color already there
+    const gradientBar = document.getElementById(`${prefix}GradientBar`);
+    gradientBar.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const gradient = layer.gradient;
+        let index;
+        if (e.target.classList.contains('gradient-stop')) {
+            index = parseInt(e.target.dataset.index);
+        } else {
+            const position = getGradientBarPosition(gradientBar, e.clientX);
+            gradient.stops.push({ position: position, color: getGradientColor(gradient, position) });
+            index = gradient.stops.length - 1;
+            invalidateGradientMap(gradient);
+        }
+
+        gradientSelection.set(gradient, index);
+        gradientDrag = { layer: layer, index: index, bar: gradientBar };
+        updateGradientEditor(layer);
+    });
+
+    document.getElementById(`${prefix}GradientStopColor`).addEventListener('input', (e) => {
+        const gradient = layer.gradient;
+        gradient.stops[Math.min(gradientSelection.get(gradient) || 0, gradient.stops.length - 1)].color = e.target.value;
+        invalidateGradientMap(gradient);
+        updateGradientEditor(layer);
+    });
+
+    document.getElementById(`${prefix}GradientRemoveStop`).addEventListener('click', () => {
+        const gradient = layer.gradient;
+        if (gradient.stops.length <= 2) return;
+
+        gradient.stops.splice(Math.min(gradientSelection.get(gradient) || 0, gradient.stops.length - 1), 1);
+        gradientSelection.set(gradient, 0);
+        invalidateGradientMap(gradient);
+        updateGradientEditor(layer);
+        updatePatternCodeDisplay();
+    });
+
+    // Randomizer locks
+    item.querySelectorAll('.lock-btn[data-layer-setting]').forEach(button => {
+        const setting = button.dataset.layerSetting;
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            layer.locks[setting] = !layer.locks[setting];
+            updateLockButtonAppearance(button, setting, layer.locks);
+
+            const settingName = `Layer ${settings.layers.indexOf(layer) + 1} ${LAYER_LOCK_NAMES[setting]}`;
+            if (layer.locks[setting]) {
+                showToast(`${settingName} locked from randomization`, 'info');
+            } else {
+                showToast(`${settingName} unlocked for randomization`, 'info');
+            }
+        });
+    });
+}
+
+/**
+ * Shows the sidebar sections that only apply to the selected pattern type
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function updatePatternSections(prefix, pattern) {
+    const formulaSection = document.getElementById(`${prefix}FormulaSection`);
+    if (formulaSection) {
+        formulaSection.style.display = pattern.type === 'formula' ? 'block' : 'none';
+    }
+
+    const formulaInput = document.getElementById(`${prefix}Formula`);
+    if (formulaInput && pattern.type === 'formula') {
+        formulaInput.value = pattern.params.expression;
+        formulaInput.classList.remove('invalid');
+        document.getElementById(`${prefix}FormulaError`).textContent = '';
+    }
+
+    const cellularSection = document.getElementById(`${prefix}CellularSection`);
+    if (cellularSection) {
+        cellularSection.style.display = pattern.type === 'cellular' ? 'block' : 'none';
+    }
+
+    if (cellularSection && pattern.type === 'cellular') {
+        const params = pattern.params;
+        const isPreset = Object.values(CELLULAR_RULE_PRESETS).includes(params.rule);
+        document.getElementById(`${prefix}CellularPreset`).value = isPreset ? params.rule : 'custom';
+        document.getElementById(`${prefix}CellularRule`).value = params.rule;
+        document.getElementById(`${prefix}CellularRule`).classList.remove('invalid');
+        document.getElementById(`${prefix}CellularRuleError`).textContent = '';
+    }
+
+    const reactionSection = document.getElementById(`${prefix}ReactionSection`);
+    if (reactionSection) {
+        reactionSection.style.display = pattern.type === 'reaction' ? 'block' : 'none';
+    }
+
+    if (reactionSection && pattern.type === 'reaction') {
+        document.getElementById(`${prefix}ReactionPreset`).value = getReactionPresetName(pattern.params);
+    }
+
+    const fractalSection = document.getElementById(`${prefix}FractalSection`);
+    if (fractalSection) {
+        fractalSection.style.display = FRACTAL_TYPES.includes(pattern.type) ? 'block' : 'none';
+    }
+
+    if (fractalSection && FRACTAL_TYPES.includes(pattern.type)) {
+        updateFractalViewDisplays();
+    }
+
+    const voronoiSection = document.getElementById(`${prefix}VoronoiSection`);
+    if (voronoiSection) {
+        voronoiSection.style.display = pattern.type === 'voronoi' ? 'block' : 'none';
+    }
+
+    const imageSection = document.getElementById(`${prefix}ImageSection`);
+    if (imageSection) {
+        imageSection.style.display = pattern.type === 'image' ? 'block' : 'none';
+    }
+
+    if (imageSection && pattern.type === 'image') {
+        const entry = patternImages.get(pattern);
+        document.getElementById(`${prefix}ImageName`).textContent = entry
+            ? entry.name
+            : 'No image loaded - choose a file or drop one on the canvas';
+    }
+
+    const textSection = document.getElementById(`${prefix}TextSection`);
+    if (textSection) {
+        textSection.style.display = pattern.type === 'text' ? 'block' : 'none';
+    }
+
+    if (textSection && pattern.type === 'text') {
+        document.getElementById(`${prefix}TextContent`).value = pattern.params.text;
+    }
+
+    renderPatternParamControls(prefix, pattern);
+
+    const transformContainer = document.getElementById(`${prefix}Transform`);
+    if (transformContainer) {
+        renderParamControls(transformContainer, TRANSFORM_PARAMS, pattern.transform, `${prefix}Transform`);
+    }
+
+    const warpContainer = document.getElementById(`${prefix}Warp`);
+    if (warpContainer) {
+        renderParamControls(warpContainer, WARP_PARAMS, pattern.warp, `${prefix}Warp`,
+            () => updateScaleVisibility(prefix, pattern));
+    }
+
+    updateScaleVisibility(prefix, pattern);
+}
+
+/**
+ * Generates sidebar controls for the selected pattern's parameters from its schema
+ * Numeric params get a slider with a value display, boolean params a checkbox,
+ * select params a dropdown of their options
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function renderPatternParamControls(prefix, pattern) {
+    const container = document.getElementById(`${prefix}Params`);
+    if (!container) return;
+
+    const definition = getPatternDefinition(pattern.type);
+    renderParamControls(container, definition ? definition.params : {}, pattern.params, `${prefix}Param`, () => {
+        updateScaleVisibility(prefix, pattern);
+
+        // Re-rasterize text on the next render even if the animation time hasn't moved (paused)
+        if (pattern.type === 'text') {
+            textCoverageCache.delete(pattern);
+        }
+
+        // Moving the feed/kill sliders away from a preset switches the preset dropdown to Custom
+        if (pattern.type === 'reaction') {
+            document.getElementById(`${prefix}ReactionPreset`).value = getReactionPresetName(pattern.params);
+        }
+    });
+}
+
+/**
+ * Shows a layer's Scale slider only while the scale changes how the layer looks (see patternUsesScale())
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function updateScaleVisibility(prefix, pattern) {
+    const scaleGroup = document.getElementById(`${prefix}ScaleGroup`);
+    if (scaleGroup) {
+        scaleGroup.style.display = patternUsesScale(pattern) ? 'block' : 'none';
+    }
+}
+
+/**
+ * Generates sidebar controls for a parameter schema into a container
+ * The container is hidden when the schema has no controllable params. Params with a visible(values)
+ * function only get a control while it returns true; the controls are rebuilt when a select or
+ * checkbox changes, so visibility can depend on those
+ * @param {HTMLElement} container - Element to fill (its previous content is replaced)
+ * @param {object} schema - Parameter schema (see registerPattern())
+ * @param {object} values - Parameter values, updated in place as the controls change
+ * @param {string} idPrefix - Prefix for the generated element ids
+ * @param {function} [onChange] - (name) => void, called after a control changed a value
+ */
+function renderParamControls(container, schema, values, idPrefix, onChange = null) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+
+    const hasConditionalParams = Object.values(schema).some(param => typeof param.visible === 'function');
+    const changed = (name) => {
+        if (hasConditionalParams) {
+            renderParamControls(container, schema, values, idPrefix, onChange);
+        }
+        if (onChange) onChange(name);
+    };
+
+    for (const [name, param] of Object.entries(schema)) {
+        if (param.control === false || param.type === 'text') continue;
+        if (typeof param.visible === 'function' && !param.visible(values)) continue;
+
+        const id = `${idPrefix}-${name}`;
+        const label = document.createElement('label');
+
+        if (param.type === 'select') {
+            label.textContent = param.label;
+            label.htmlFor = id;
+
+            const select = document.createElement('select');
+            select.id = id;
+            const options = getParamOptions(param);
+            options.forEach(({ value, label: optionLabel }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = optionLabel;
+                select.appendChild(option);
+            });
+            select.value = values[name];
+            select.addEventListener('change', (e) => {
+                // Store the option's own value, so numeric options stay numbers
+                const selected = options.find(option => String(option.value) === e.target.value);
+                values[name] = selected ? selected.value : e.target.value;
+                changed(name);
+            });
+
+            container.appendChild(label);
+            container.appendChild(select);
+            continue;
+        }
+
+        if (param.type === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id;
+            checkbox.checked = values[name];
+            checkbox.style.marginRight = 'var(--spacing-sm)';
+            checkbox.style.accentColor = 'var(--text-primary)';
+            checkbox.addEventListener('change', (e) => {
+                values[name] = e.target.checked;
+                changed(name);
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(param.label));
+            container.appendChild(label);
+            continue;
+        }
+
+        // Show as many decimals as the step has
+        const decimals = (String(param.step).split('.')[1] || '').length;
+        label.textContent = param.label;
+        label.htmlFor = id;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = id;
+        slider.min = param.min;
+        slider.max = param.max;
+        slider.step = param.step;
+        slider.value = values[name];
+
+        const valueDisplay = document.createElement('div');
+        valueDisplay.className = 'value-display';
+        valueDisplay.textContent = Number(values[name]).toFixed(decimals);
+
+        slider.addEventListener('input', (e) => {
+            values[name] = parseFloat(e.target.value);
+            valueDisplay.textContent = values[name].toFixed(decimals);
+            if (onChange) onChange(name);
+        });
+
+        container.appendChild(label);
+        container.appendChild(slider);
+        container.appendChild(valueDisplay);
+    }
+
+    if (container.childElementCount > 0) {
+        container.style.display = 'block';
+    }
+}
+
+/**
+ * Wires up the Cellular Automata controls for one pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function setupCellularControls(prefix, pattern) {
+    const presetSelect = document.getElementById(`${prefix}CellularPreset`);
+    const ruleInput = document.getElementById(`${prefix}CellularRule`);
+    const ruleError = document.getElementById(`${prefix}CellularRuleError`);
+    if (!presetSelect || !ruleInput) return;
+
+    // Applies a rule if it parses, otherwise shows the error and keeps the current rule
+    function applyRule(rule) {
+        try {
+            parseCellularRule(rule);
+            pattern.params.rule = rule.trim().toUpperCase();
+            ruleInput.classList.remove('invalid');
+            ruleError.textContent = '';
+        } catch (error) {
+            ruleInput.classList.add('invalid');
+            ruleError.textContent = error.message;
+        }
+    }
+
+    presetSelect.addEventListener('change', (e) => {
+        if (e.target.value === 'custom') return;
+        ruleInput.value = e.target.value;
+        applyRule(e.target.value);
+    });
+
+    ruleInput.addEventListener('input', (e) => {
+        applyRule(e.target.value);
+        presetSelect.value = Object.values(CELLULAR_RULE_PRESETS).includes(pattern.params.rule) ? pattern.params.rule : 'custom';
+    });
+
+    document.getElementById(`${prefix}CellularReseed`).addEventListener('click', () => {
+        initPattern(pattern);
+    });
+}
+
+/**
+ * Wires up the Reaction-Diffusion controls for one pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function setupReactionControls(prefix, pattern) {
+    const presetSelect = document.getElementById(`${prefix}ReactionPreset`);
+    if (!presetSelect) return;
+
+    presetSelect.addEventListener('change', (e) => {
+        const preset = REACTION_PRESETS[e.target.value];
+        if (!preset) return;
+        pattern.params.feed = preset.feed;
+        pattern.params.kill = preset.kill;
+        updatePatternSections(prefix, pattern);
+    });
+
+    document.getElementById(`${prefix}ReactionReseed`).addEventListener('click', () => {
+        initPattern(pattern);
+    });
+}
+
+/**
+ * Finds the preset matching a feed/kill pair
+ * @param {object} params - Reaction-diffusion params
+ * @returns {string} Preset name, or 'custom'
+ */
+function getReactionPresetName(params) {
+    const name = Object.keys(REACTION_PRESETS).find(key =>
+        REACTION_PRESETS[key].feed === params.feed && REACTION_PRESETS[key].kill === params.kill
+    );
+    return name || 'custom';
+}
+
+/**
+ * Wires up the fractal explorer controls (Mandelbrot/Julia) for one pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function setupFractalControls(prefix, pattern) {
+    const resetButton = document.getElementById(`${prefix}FractalReset`);
+    if (!resetButton) return;
+
+    resetButton.addEventListener('click', () => {
+        const schema = getPatternDefinition(pattern.type).params;
+        pattern.params.centerX = schema.centerX.default;
+        pattern.params.centerY = schema.centerY.default;
+        pattern.params.zoom = schema.zoom.default;
+        updateFractalViewDisplays();
+    });
+}
+
+/**
+ * Wires up the Voronoi controls for one pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function setupVoronoiControls(prefix, pattern) {
+    const newSeedButton = document.getElementById(`${prefix}VoronoiNewSeed`);
+    if (!newSeedButton) return;
+
+    newSeedButton.addEventListener('click', () => {
+        pattern.params.seed = getPatternDefinition('voronoi').params.seed.default();
+        updatePatternSections(prefix, pattern);
+    });
+}
+
+/**
+ * Wires up the image file picker for one pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ */
+function setupImageControls(prefix, pattern) {
+    const fileInput = document.getElementById(`${prefix}ImageFile`);
+    if (!fileInput) return;
+
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            applyPatternImageFile(prefix, pattern, e.target.files[0]);
+        }
+        e.target.value = ''; // Allow picking the same file again
+    });
+}
+
+/**
+ * Replaces a layer's character set with a ramp calibrated from measured glyph density
+ * and shows it as its custom character set
+ * @param {object} layer - Layer
+ * @param {string} pool - Characters to calibrate
+ * @param {number} [length] - Number of evenly spaced characters to pick (all if omitted)
+ */
+async function applyCalibratedRamp(layer, pool, length) {
+    await loadGlyphFont();
+    const ramp = calibrateRamp(pool, length);
+    if (!ramp) {
+        showToast('No characters to calibrate', 'error');
+        return;
+    }
+
+    layer.ramp = ramp;
+    updateLayerSection(layer);
+    updatePatternCodeDisplay();
+}
+
+/**
+ * Loads an image file into an image pattern and refreshes its sidebar section
+ * A layer with another pattern is switched to Image once the file has loaded, so a failed
+ * load keeps its pattern
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ * @param {File} file - Image file
+ */
+async function applyPatternImageFile(prefix, pattern, file) {
+    try {
+        await loadPatternImage(pattern, file);
+        if (pattern.type !== 'image') {
+            setPatternType(pattern, 'image');
+            updateLayerSection(pattern);
+            updateLayerHeaders();
+        }
+        updatePatternSections(prefix, pattern);
+        showToast('Image loaded', 'success');
+    } catch (error) {
+        console.error('Error loading image:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Lets image files be dropped onto the canvas
+ * The image goes to the first shown layer with the Image pattern; if there is none,
+ * the bottom layer is switched to Image once the file has loaded
+ */
+function setupImageDrop() {
+    const container = document.getElementById('canvas-container');
+    if (!container) return;
+
+    container.addEventListener('dragover', (e) => {
+        if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        }
+    });
+
+    container.addEventListener('drop', (e) => {
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+
+        const layer = getActiveLayers().find(active => active.type === 'image') || settings.layers[0];
+        applyPatternImageFile(getLayerPrefix(layer), layer, e.dataTransfer.files[0]);
+    });
+}
+
+/**
+ * Wires up the audio file picker, play button and modulation routes
+ */
+function setupAudioControls() {
+    const fileInput = document.getElementById('audioFile');
+    const playButton = document.getElementById('audioPlayBtn');
+    if (!fileInput || !playButton) return;
+
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            applyAudioFile(e.target.files[0]);
+        }
+        e.target.value = ''; // Allow picking the same file again
+    });
+
+    playButton.addEventListener('click', () => {
+        if (!audioTrack) return;
+        audioTrack.playing = !audioTrack.playing;
+        syncAudioPlayback();
+        updateAudioDisplay();
+    });
+
+    renderAudioRouteControls();
+}
+
+/**
+ * Loads an audio file as the modulation track and refreshes the audio section
+ * @param {File} file - Audio file
+ */
+async function applyAudioFile(file) {
+    const fileName = document.getElementById('audioFileName');
+    if (fileName) fileName.textContent = 'Analyzing...';
+
+    try {
+        await loadAudioFile(file);
+        showToast('Audio loaded', 'success');
+    } catch (error) {
+        console.error('Error loading audio:', error);
+        showToast(error.message, 'error');
+    }
+    updateAudioDisplay();
+}
+
+/**
+ * Shows the loaded track and its playback state
+ */
+function updateAudioDisplay() {
+    const fileName = document.getElementById('audioFileName');
+    const playButton = document.getElementById('audioPlayBtn');
+    if (!fileName || !playButton) return;
+
+    fileName.textContent = audioTrack
+        ? `${audioTrack.name} (${audioTrack.duration.toFixed(1)}s)`
+        : 'No audio loaded';
+    playButton.disabled = !audioTrack;
+    playButton.textContent = audioTrack && audioTrack.playing ? 'Stop Audio' : 'Play Audio';
+}
+
+/**
+ * Generates the modulation route controls from AUDIO_ROUTE_PARAMS
+ */
+function renderAudioRouteControls() {
+    const container = document.getElementById('audioRoutes');
+    if (!container) return;
+    renderParamControls(container, AUDIO_ROUTE_PARAMS, settings.audio.routes, 'audioRoute');
+}
+
+/**
+ * Generates the tone mapping controls from TONE_PARAMS
+ */
+function renderToneControls() {
+    const container = document.getElementById('toneControls');
+    if (!container) return;
+    renderParamControls(container, TONE_PARAMS, settings.tone, 'tone');
+}
+
+/**
+ * Generates the cell background controls from BACKGROUND_PARAMS
+ */
+function renderCellBackgroundControls() {
+    const container = document.getElementById('cellBackgroundControls');
+    if (!container) return;
+    renderParamControls(container, BACKGROUND_PARAMS, settings.background, 'cellBackground');
+}
+
+/**
+ * Shows the current center and zoom of each fractal pattern in the sidebar
+ */
+function updateFractalViewDisplays() {
+    settings.layers.forEach(pattern => {
+        const display = document.getElementById(`${getLayerPrefix(pattern)}FractalView`);
+        if (!display || !FRACTAL_TYPES.includes(pattern.type)) return;
+
+        const { centerX, centerY, zoom } = pattern.params;
+        const zoomText = zoom < 1000 ? zoom.toFixed(zoom < 10 ? 2 : 0) : zoom.toExponential(1);
+        display.textContent = `${centerX.toFixed(6)}, ${centerY.toFixed(6)} × ${zoomText}`;
+    });
+}
+
+/**
+ * Compiles a formula typed into the sidebar and applies it if it is valid
+ * Invalid formulas show their error and the last valid formula keeps running
+ * @param {string} prefix - Control id prefix (see getLayerPrefix())
+ * @param {object} pattern - Pattern configuration object
+ * @param {string} source - Formula source text
+ */
+function updatePatternFormula(prefix, pattern, source) {
+    const formulaInput = document.getElementById(`${prefix}Formula`);
+    const formulaError = document.getElementById(`${prefix}FormulaError`);
+
+    try {
+        compileFormula(source);
+        pattern.params.expression = source.trim();
+        formulaInput.classList.remove('invalid');
+        formulaError.textContent = '';
+    } catch (error) {
+        formulaInput.classList.add('invalid');
+        formulaError.textContent = error.message;
+    }
+}
+
+function setupDropdowns() {
+    const dropdownHeaders = [
+        'displayHeader',
+        'colorsHeader',
+        'layersHeader',
+        'toneHeader',
+        'cellBackgroundHeader',
+        'interactiveHeader',
+        'audioHeader',
+        'webcamHeader'
+    ];
+
+    const dropdownContents = [
+        'displayContent',
+        'colorsContent',
+        'layersContent',
+        'toneContent',
+        'cellBackgroundContent',
+        'interactiveContent',
+        'audioContent',
+        'webcamContent'
+    ];
+
+    // Set initial state - Display Settings open by default
+    document.getElementById('displayContent').classList.add('open');
+    document.getElementById('displayHeader').classList.add('active');
+    document.getElementById('displayHeader').querySelector('.dropdown-arrow').classList.add('open');
+
+    dropdownHeaders.forEach((headerId, index) => {
+        const header = document.getElementById(headerId);
+        const content = document.getElementById(dropdownContents[index]);
+        const arrow = header.querySelector('.dropdown-arrow');
+
+        header.addEventListener('click', () => {
+            const isOpen = content.classList.contains('open');
+
+            if (isOpen) {
+                // Close this dropdown
+                content.classList.remove('open');
+                header.classList.remove('active');
+                arrow.classList.remove('open');
+            } else {
+                // Open this dropdown (don't close others)
+                content.classList.add('open');
+                header.classList.add('active');
+                arrow.classList.add('open');
+            }
+        });
+    });
+}
+
+function windowResized() {
+    updateCanvasSize();
+}
+
+function setupPlayPauseButton() {
+    const playPauseBtn = document.getElementById('play-pause-btn');
+    const pauseIcon = playPauseBtn.querySelector('.pause-icon');
+    const playIcon = playPauseBtn.querySelector('.play-icon');
+
+    playPauseBtn.addEventListener('click', () => {
+        isPaused = !isPaused;
+        playPauseBtn.classList.toggle('paused', isPaused);
+        syncAudioPlayback(); // draw() stops while paused, so pause the audio here
+
+        if (isPaused) {
+            pauseIcon.style.display = 'none';
+            playIcon.style.display = 'block';
+            noLoop();
+        } else {
+            pauseIcon.style.display = 'block';
+            playIcon.style.display = 'none';
+            loop();
+        }
+    });
+}
+
+function setupRandomizeButton() {
+    const randomizeBtn = document.getElementById('randomize-btn');
+
+    randomizeBtn.addEventListener('click', () => {
+        // Track randomize button click
+    gtag('event', 'randomize_click', {
+        'event_category': 'engagement',
+        'event_label': 'pattern_randomize',
+        'value': 1
+    });
+        // Randomize pattern types (any registered pattern)
+        const charSets = ['blocks', 'ascii', 'hex', 'numbers', 'letters', 'symbols', 'braille'];
+        const vibrantColors = [
+            '#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b', // cyberpunk
+            '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7', // retro
+            '#ff0080', '#00ff80', '#0080ff', '#8000ff', '#ff8000', // neon
+            '#ff6b35', '#f7931e', '#ffd23f', '#f4a261', '#e76f51', // sunset
+            '#006994', '#0099cc', '#00bfff', '#87ceeb', '#b0e0e6', // ocean
+            '#228b22', '#32cd32', '#90ee90', '#98fb98', '#00ff7f', // forest
+            '#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500'  // fire
+        ];
+
+        // Randomize each layer (respect locks); the bottom layer is always shown
+        settings.layers.forEach((layer, index) => {
+            layer.solo = false;
+            if (index > 0) {
+                layer.visible = seededRandom() > 0.4; // 60% chance to show
+                if (!layer.visible) return;
+            }
+
+            if (!layer.locks.type) {
+                setPatternType(layer, getRandomPatternType());
+            }
+            if (!layer.locks.speed) {
+                layer.speed = seededRandom() * 0.049 + 0.001; // 0.001 to 0.05
+            }
+            if (!layer.locks.scale) {
+                layer.scale = seededRandom() * 0.19 + 0.01; // 0.01 to 0.2
+            }
+            layer.glow = seededRandom() > 0.5;
+
+            // Randomize noise variant if noise is selected
+            if (layer.type === 'noise') {
+                const noiseVariants = ['simplex', 'turbulence', 'ridged'];
+                layer.noiseVariant = noiseVariants[Math.floor(seededRandom() * noiseVariants.length)];
+            }
+
+            if (!layer.locks.color) {
+                const randomColor = vibrantColors[Math.floor(seededRandom() * vibrantColors.length)];
+                layer.baseColor = randomColor;
+                layer.color = randomColor;
+            }
+
+            // Randomize how the layer blends onto the ones below it
+            if (index > 0) {
+                layer.opacity = seededRandom() * 0.8 + 0.2; // 0.2 to 1.0
+                layer.blendMode = BLEND_MODES[Math.floor(seededRandom() * BLEND_MODES.length)].value;
+            }
+
+            layer.ramp = ASCII_RAMPS[charSets[Math.floor(seededRandom() * charSets.length)]];
+        });
+        
+        // Randomize background color - full spectrum of colors
+        const backgroundColors = [
+            // Dark colors for good contrast
+            '#000000', '#111111', '#1a1a1a', '#2d2d2d', '#1f1f1f', '#0a0a0a', '#1e1e1e', '#2a2a2a', '#151515', '#0f0f0f',
+            // Vibrant colors
+            '#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b', '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7',
+            '#ff0080', '#00ff80', '#0080ff', '#8000ff', '#ff8000', '#ff6b35', '#f7931e', '#ffd23f', '#f4a261', '#e76f51',
+            '#006994', '#0099cc', '#00bfff', '#87ceeb', '#b0e0e6', '#228b22', '#32cd32', '#90ee90', '#98fb98', '#00ff7f',
+            '#ff4500', '#ff6347', '#ff7f50', '#ff8c00', '#ffa500',
+            // Pastel colors
+            '#ffb3ba', '#baffc9', '#bae1ff', '#ffb3f0', '#fff2ba', '#e6b3ff', '#b3ffd9', '#ffd9b3', '#b3d9ff', '#ffb3d9',
+            // Neutral colors
+            '#f5f5dc', '#d2b48c', '#deb887', '#f4a460', '#daa520', '#b8860b', '#cd853f', '#d2691e', '#8b4513', '#a0522d',
+            // Cool colors
+            '#4169e1', '#1e90ff', '#00bfff', '#87ceeb', '#4682b4', '#5f9ea0', '#20b2aa', '#48d1cc', '#40e0d0', '#7fffd4',
+            // Warm colors
+            '#ff6347', '#ff4500', '#ff8c00', '#ffa500', '#ffd700', '#ffff00', '#adff2f', '#7fff00', '#32cd32', '#00ff00'
+        ];
+        if (!settings.colors.locks.backgroundColor) {
+            const randomBackgroundColor = backgroundColors[Math.floor(seededRandom() * backgroundColors.length)];
+            settings.colors.backgroundColor = randomBackgroundColor;
+        }
+        
+        // Randomize color animation (25% chance to enable, respect locks)
+        if (!settings.colors.locks.colorAnimation) {
+            settings.colors.animationEnabled = seededRandom() > 0.75;
+            if (settings.colors.animationEnabled) {
+                const animationTypes = ['hue', 'saturation', 'brightness', 'rainbow'];
+                settings.colors.animationType = animationTypes[Math.floor(seededRandom() * animationTypes.length)];
+                settings.colors.animationSpeed = seededRandom() * 0.04 + 0.005; // 0.005 to 0.045
+            }
+        }
+        
+        // Randomize color palette (35% chance to enable, respect locks)
+        if (!settings.colors.locks.colorPalette) {
+            settings.colors.usePalette = seededRandom() > 0.65;
+            if (settings.colors.usePalette) {
+                // User palettes take part, so brand palettes can drive randomization
+                const paletteNames = getPaletteOptions().map(option => option.value);
+                settings.colors.currentPalette = paletteNames[Math.floor(seededRandom() * paletteNames.length)];
+                settings.colors.paletteColors = getPaletteColors(settings.colors.currentPalette);
+                settings.colors.paletteIndex = Math.floor(seededRandom() * settings.colors.paletteColors.length);
+                
+                const paletteModes = ['single', 'cycle', 'random'];
+                settings.colors.paletteColorMode = paletteModes[Math.floor(seededRandom() * paletteModes.length)];
+            } else {
+                // If not using palette, ensure the layers have good colors
+                const fallbackColors = ['#ff006e', '#8338ec', '#3a86ff', '#06ffa5', '#ffbe0b'];
+                settings.layers.forEach(layer => {
+                    if (!layer.locks.color && (layer.baseColor === '#ffffff' || layer.baseColor === '#000000')) {
+                        const fallbackColor = fallbackColors[Math.floor(seededRandom() * fallbackColors.length)];
+                        layer.baseColor = fallbackColor;
+                        layer.color = fallbackColor;
+                    }
+                });
+            }
+        }
+
+        // Reset color animation timers
+        settings.colors.animationTime = 0;
+        settings.colors.randomColorTimer = 0;
+        
+        // Update UI to reflect changes
+        updateUIFromSettings();
+        
+        // Update pattern code display
+        updatePatternCodeDisplay();
+    });
+}
+
+
+
+function setupIndividualLockButtons() {
+    const lockButtons = document.querySelectorAll('.lock-btn');
+    
+    lockButtons.forEach(button => {
+        const setting = button.getAttribute('data-setting');
+        if (!setting) return;
+        
+        // Update initial appearance
+        updateLockButtonAppearance(button, setting);
+        
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Toggle lock state for this specific setting
+            settings.colors.locks[setting] = !settings.colors.locks[setting];
+            
+            // Update this button's appearance
+            updateLockButtonAppearance(button, setting);
+            
+            // Show feedback
+            const settingName = getSettingDisplayName(setting);
+            if (settings.colors.locks[setting]) {
+                showToast(`${settingName} locked from randomization`, 'info');
+            } else {
+                showToast(`${settingName} unlocked for randomization`, 'info');
+            }
+        });
+    });
+}
+
+/**
+ * Shows whether a randomizer lock is on
+ * @param {HTMLElement} button - Lock button
+ * @param {string} setting - Locked setting
+ * @param {object} locks - Lock states holding the setting (a layer's locks for layer settings)
+ */
+function updateLockButtonAppearance(button, setting, locks = settings.colors.locks) {
+    const isLocked = locks[setting];
+    
+    if (isLocked) {
+        button.classList.add('locked');
+        button.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="lock-icon">
+                <path stroke-linecap="round" stroke-linejoin="round" d="M16.5 10.5V6.75a4.5 4.5 0 1 0-9 0v3.75m-.75 11.25h10.5a2.25 2.25 0 0 0 2.25-2.25v-6.75a2.25 2.25 0 0 0-2.25-2.25H6.75a2.25 2.25 0 0 0-2.25 2.25v6.75a2.25 2.25 0 0 0 2.25 2.25Z" />
+            </svg>
+        `;
+    } else {
+        button.classList.remove('locked');
+        button.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="lock-icon">
+                <path stroke-linecap="round" stroke-linejoin="round" d="M13.5 10.5V6.75a4.5 4.5 0 1 1 9 0v3.75M3.75 21.75h10.5a2.25 2.25 0 0 0 2.25-2.25v-6.75a2.25 2.25 0 0 0-2.25-2.25H3.75a2.25 2.25 0 0 0-2.25 2.25v6.75a2.25 2.25 0 0 0 2.25 2.25Z" />
+            </svg>
+        `;
+    }
+}
+
+function updateAllLockButtonAppearances() {
+    const lockButtons = document.querySelectorAll('.lock-btn');
+    
+    lockButtons.forEach(button => {
+        const setting = button.getAttribute('data-setting');
+        if (setting) {
+            updateLockButtonAppearance(button, setting);
+        }
+    });
+}
+
+function getSettingDisplayName(setting) {
+    const displayNames = {
+        backgroundColor: 'Background Color',
+        charSize: 'Character Size',
+        gridCols: 'Grid Columns',
+        gridRows: 'Grid Rows',
+        charSpacing: 'Character Spacing',
+        colorAnimation: 'Color Animation',
+        colorPalette: 'Color Palette'
+    };
+    
+    return displayNames[setting] || setting;
+}
+
+function setupDownloadButton() {
+    const downloadBtn = document.getElementById('download-btn');
+    const downloadMenu = document.getElementById('download-menu');
+    const downloadOpts = downloadMenu.querySelectorAll('.download-option');
+
+    let menuVisible = false;
+    let isSaving = false;
+
+    const hideMenu = () => {
+        menuVisible = false;
+        downloadMenu.classList.remove('show');
+    };
+
+    downloadBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        menuVisible = !menuVisible;
+        downloadMenu.classList.toggle('show', menuVisible);
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!downloadBtn.contains(e.target) && !downloadMenu.contains(e.target)) {
+            hideMenu();
+        }
+    });
+
+    downloadOpts.forEach(opt => {
+        const handler = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (isSaving) return;
+            isSaving = true;
+
+            const format = opt.dataset.format;
+
+            setTimeout(() => {
+                try {
+                    exportCanvasFile(format);
+                } catch (err) {
+                    console.error('Download failed:', err);
+                    alert(`Failed to export ${format.toUpperCase()} file. Please try again.`);
+                } finally {
+                    setTimeout(() => {
+                        hideMenu();
+                        isSaving = false;
+                    }, 100);
+                }
+            }, 50);
+        };
+
+        opt.addEventListener('click', handler, { passive: false });
+    });
+}
+
+function exportCanvasFile(format) {
+    const base = ['gridform', ...getActiveLayers().map(layer => layer.type)].join('-');
+    const ext = (format === 'jpeg') ? 'jpg' : format;
+
+    const textExporters = { txt: exportTextFile, html: exportHtmlFile, ansi: exportAnsiFile };
+    if (textExporters[format]) {
+        // Single-frame exports show the audio-modulated frame, like the canvas
+        applyAudioModulation();
+        textExporters[format](base);
+        restoreAudioModulation();
+        return;
+    }
+
+    if (format === 'gif') {
+        exportGifAnimation(base);
+        return;
+    }
+
+    if (ext !== 'png' && ext !== 'jpg') {
+        alert(`Export format ${format} not supported yet.`);
+        return;
+    }
+
+    // Create high-resolution version
+    applyAudioModulation();
+    exportHighResCanvas(base, ext);
+    restoreAudioModulation();
+}
+
+function exportHighResCanvas(filename, ext) {
+    // Calculate scale factor for 300 DPI (300/72 = ~4.17x)
+    const dpiScale = 300 / 72;
+
+    // Calculate the same scale factor as draw() function (don't scale up, only down)
+    let gridPixelWidth = gridCols * baseCharWidth;
+    let gridPixelHeight = gridRows * baseCharHeight;
+    let scaleX = width / gridPixelWidth;
+    let scaleY = height / gridPixelHeight;
+    let displayGridScale = Math.min(scaleX, scaleY, 1.0); // Same as draw() function
+
+    // Calculate the actual grid dimensions that would be displayed
+    let displayCharWidth = baseCharWidth * displayGridScale * settings.charSpacing;
+    let displayCharHeight = baseCharHeight * displayGridScale * settings.charSpacing;
+    let displayGridWidth = gridCols * displayCharWidth;
+    let displayGridHeight = gridRows * displayCharHeight;
+
+    // Create off-screen canvas with EXACT grid dimensions, scaled up for high resolution
+    const offscreenCanvas = document.createElement('canvas');
+    const ctx = offscreenCanvas.getContext('2d');
+
+    // Set canvas size to exactly match the grid dimensions at high resolution
+    offscreenCanvas.width = Math.floor(displayGridWidth * dpiScale);
+    offscreenCanvas.height = Math.floor(displayGridHeight * dpiScale);
+
+    // Clear the off-screen canvas
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, offscreenCanvas.width, offscreenCanvas.height);
+
+    // Set up text rendering
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Scale up the display dimensions to high resolution
+    let actualCharWidth = displayCharWidth * dpiScale;
+    let actualCharHeight = displayCharHeight * dpiScale;
+    let actualCharSize = (settings.charSize * displayGridScale) * dpiScale;
+
+    // Since the canvas is exactly the grid size, start at (0,0)
+    let startX = 0;
+    let startY = 0;
+
+    ctx.font = `${actualCharSize}px ${GRID_FONT_FAMILY}`;
+
+    compositeGrid(getActiveLayers(), time);
+    beginDitherPass();
+
+    // Cell backgrounds under the glyphs, snapped to whole pixels like renderGrid()
+    if (beginCellBackgroundPass()) {
+        for (let x = 0; x < gridCols; x++) {
+            const left = Math.floor(startX + x * actualCharWidth);
+            const right = Math.floor(startX + (x + 1) * actualCharWidth);
+            for (let y = 0; y < gridRows; y++) {
+                const top = Math.floor(startY + y * actualCharHeight);
+                const bottom = Math.floor(startY + (y + 1) * actualCharHeight);
+                ctx.fillStyle = getCellBackground(x, y, time);
+                ctx.fillRect(left, top, right - left, bottom - top);
+            }
+        }
+    }
+
+    // Render the grid at high resolution on off-screen canvas
+    for (let x = 0; x < gridCols; x++) {
+        for (let y = 0; y < gridRows; y++) {
+            let xPos = startX + (x + 0.5) * actualCharWidth;
+            let yPos = startY + (y + 0.5) * actualCharHeight;
+            const index = x * gridRows + y;
+            let finalColor = gridCells.colors[index];
+
+            // Apply glow effect if needed
+            if (gridCells.glows[index] > 0) {
+                let enhancedGlowIntensity = Math.pow(gridCells.glows[index], 0.7);
+                let colorMatch = finalColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/) || finalColor.match(/#([a-fA-F0-9]{2})([a-fA-F0-9]{2})([a-fA-F0-9]{2})/);
+                if (colorMatch) {
+                    let r, g, b;
+                    if (colorMatch[0].startsWith('rgb')) {
+                        r = parseInt(colorMatch[1]);
+                        g = parseInt(colorMatch[2]);
+                        b = parseInt(colorMatch[3]);
+                    } else {
+                        r = parseInt(colorMatch[1], 16);
+                        g = parseInt(colorMatch[2], 16);
+                        b = parseInt(colorMatch[3], 16);
+                    }
+
+                    let glowSize = enhancedGlowIntensity * actualCharSize * 3.0;
+                    let glowAlpha = Math.min(enhancedGlowIntensity * 1.5, 1.0);
+
+                    ctx.shadowColor = `rgba(${r}, ${g}, ${b}, ${glowAlpha})`;
+                    ctx.shadowBlur = glowSize;
+                }
+            } else {
+                ctx.shadowColor = 'transparent';
+                ctx.shadowBlur = 0;
+            }
+
+            ctx.fillStyle = finalColor;
+            ctx.fillText(getGridCellChar(x, y), xPos, yPos);
+        }
+    }
+
+    // Export the off-screen canvas
+    try {
+        const mimeType = ext === 'png' ? 'image/png' : 'image/jpeg';
+        const quality = ext === 'jpg' ? 0.9 : undefined;
+
+        offscreenCanvas.toBlob((blob) => {
+            if (!blob) {
+                alert('Export failed');
+                return;
+            }
+        
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${filename}.${ext}`;
+            a.style.display = 'none';
+        
+            document.body.appendChild(a);
+            a.click();
+
+            gtag('event', 'file_download', {
+                'event_category': 'engagement',
+                'event_label': `gridform_${ext}`,
+                'value': 1
+            });
+        
+            // Add this line to show the success toast
+            showSuccessToast(`${filename}.${ext}`);
+        
+            setTimeout(() => {
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }, 1000);
+        
+        }, mimeType, quality);
+
+    } catch (error) {
+        alert('High-res export failed');
+    }
+}
+
+function tryP5SaveMethod(filename, ext) {
+    try {
+        if (typeof save === 'function') {
+            save(canvas, `${filename}.${ext}`);
+        } else if (typeof saveCanvas === 'function') {
+            saveCanvas(canvas, filename, ext);
+        } else {
+            throw new Error('No p5.js save functions available');
+        }
+    } catch (p5Error) {
+        tryManualSave(filename, ext);
+    }
+}
+
+function tryManualSave(filename, ext) {
+    try {
+        const domCanvas = canvas?.canvas || document.querySelector('canvas');
+        if (!domCanvas) {
+            throw new Error('No canvas element found');
+        }
+
+        const mimeType = ext === 'png' ? 'image/png' : 'image/jpeg';
+        const dataURL = domCanvas.toDataURL(mimeType, ext === 'jpg' ? 0.9 : undefined);
+
+        if (!dataURL || dataURL === 'data:,') {
+            throw new Error('Canvas toDataURL failed');
+        }
+
+        const byteString = atob(dataURL.split(',')[1]);
+        const arrayBuffer = new ArrayBuffer(byteString.length);
+        const uint8Array = new Uint8Array(arrayBuffer);
+
+        for (let i = 0; i < byteString.length; i++) {
+            uint8Array[i] = byteString.charCodeAt(i);
+        }
+
+        const blob = new Blob([arrayBuffer], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${filename}.${ext}`;
+        a.style.display = 'none';
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+    } catch (error) {
+        alert('Download failed completely. Please try refreshing the page.');
+    }
+}
+
+function exportGifAnimation(filename) {
+    // Check if saveGif is available
+    if (typeof saveGif !== 'function') {
+        // Try to provide helpful error message
+        console.error('saveGif function not available');
+        alert('GIF export requires p5.js version 1.9.0 or higher. Please update your p5.js library.');
+        return;
+    }
+
+    // Ensure animation is running for GIF recording
+    if (isPaused) {
+        alert('Please unpause the animation before recording a GIF.');
+        return;
+    }
+
+    // Use shorter durations for faster downloads and smaller files
+    // Focus on creating perfect loops rather than long animations
+    let duration = 1.0; // Duration in seconds
+
+    // Adjust based on the bottom layer's type for better loops (each pattern declares its loop period)
+    const [baseLayer] = getActiveLayers();
+    const patternDefinition = baseLayer && getPatternDefinition(baseLayer.type);
+    if (patternDefinition) {
+        duration = patternDefinition.loopPeriod;
+    }
+
+    try {
+        // Show a brief message that recording is starting
+        console.log(`Starting GIF recording: ${filename}.gif (${duration}s duration)`);
+        console.log('Note: Processing may take several seconds after recording completes');
+
+        // Show progress overlay and start recording
+        showGifProgressOverlay(duration);
+
+        // Create a custom GIF recording with proper grid dimensions
+        createCustomGif(filename, duration);
+
+        // Show a "will download soon" toast to set expectations
+        showRecordingToast(`${filename}.gif`, duration);
+
+        // Track GIF download attempt
+        gtag('event', 'file_download', {
+            'event_category': 'engagement',
+            'event_label': 'gridform_gif',
+            'value': 1
+        });
+
+    } catch (error) {
+        console.error('GIF export failed:', error);
+        alert('GIF export failed. Please try again. Make sure your browser supports the required features.');
+    }
+}
+
+function createCustomGif(filename, duration) {
+    // Calculate the same scale factor as draw() function (don't scale up, only down)
+    let gridPixelWidth = gridCols * baseCharWidth;
+    let gridPixelHeight = gridRows * baseCharHeight;
+    let scaleX = width / gridPixelWidth;
+    let scaleY = height / gridPixelHeight;
+    let displayGridScale = Math.min(scaleX, scaleY, 1.0); // Same as draw() function
+
+    // Calculate the actual grid dimensions that would be displayed
+    let displayCharWidth = baseCharWidth * displayGridScale * settings.charSpacing;
+    let displayCharHeight = baseCharHeight * displayGridScale * settings.charSpacing;
+    let displayGridWidth = gridCols * displayCharWidth;
+    let displayGridHeight = gridRows * displayCharHeight;
+
+    // Create off-screen canvas with EXACT grid dimensions
+    const offscreenCanvas = document.createElement('canvas');
+    const ctx = offscreenCanvas.getContext('2d');
+
+    // Set canvas size to exactly match the grid dimensions
+    offscreenCanvas.width = Math.floor(displayGridWidth);
+    offscreenCanvas.height = Math.floor(displayGridHeight);
+
+    // Temporarily replace the main canvas with our off-screen canvas for GIF recording
+    const originalCanvas = canvas;
+    const originalWidth = width;
+    const originalHeight = height;
+    
+    // Store the original canvas reference
+    canvas = offscreenCanvas;
+    width = offscreenCanvas.width;
+    height = offscreenCanvas.height;
+
+    // Configure GIF options for perfect loops
+    const options = {
+        units: "seconds", // Use seconds instead of frames for more reliable recording
+        delay: 0,
+        silent: true, // Disable progress notifications
+        notificationDuration: 0, // No notification duration
+        notificationID: 'gifProgress'
+    };
+
+    // Audio playback holds while recording so frames step evenly through the envelopes
+    isRecordingGif = true;
+    syncAudioPlayback();
+
+    // Start the GIF recording with the off-screen canvas
+    saveGif(`${filename}.gif`, duration, options);
+
+    // Restore the original canvas after a delay to allow recording to complete
+    setTimeout(() => {
+        isRecordingGif = false;
+        canvas = originalCanvas;
+        width = originalWidth;
+        height = originalHeight;
+    }, (duration * 1000) + 1000); // Wait for recording duration + 1 second buffer
+}
+
+/**
+ * Runs one pass over the grid for the text based exports, working out what every cell shows
+ * @returns {Array} Rows of cells { char, color, background } (background is null without cell backgrounds)
+ */
+function getGridCells() {
+    const rows = Array.from({ length: gridRows }, () => []);
+    compositeGrid(getActiveLayers(), time);
+    beginDitherPass();
+    const hasBackgrounds = beginCellBackgroundPass();
+
+    // Cells are visited column by column, like renderGrid(), so error diffusion dithers identically
+    for (let x = 0; x < gridCols; x++) {
+        for (let y = 0; y < gridRows; y++) {
+            rows[y][x] = {
+                char: getGridCellChar(x, y),
+                color: gridCells.colors[x * gridRows + y],
+                background: hasBackgrounds ? getCellBackground(x, y, time) : null
+            };
+        }
+    }
+    return rows;
+}
+
+/**
+ * Downloads generated text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - File name without extension
+ * @param {string} ext - File extension
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadTextContent(content, filename, ext, mimeType) {
+    try {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
         a.href = url;
         a.download = `${filename}.${ext}`;
         a.style.display = 'none';
 
-        document.body.appendChild(a);
-        a.click();
+        document.body.appendChild(a);
+        a.click();
+
+        gtag('event', 'file_download', {
+            'event_category': 'engagement',
+            'event_label': `gridform_${ext}`,
+            'value': 1
+        });
+
+        showSuccessToast(`${filename}.${ext}`);
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
     } catch (error) {
-        alert('Download failed completely. Please try refreshing the page.');
+        alert(`${ext.toUpperCase()} file download failed.`);
+    }
+}
+
+function exportTextFile(filename) {
+    const rows = getGridCells();
+    const textContent = rows.map(row => row.map(cell => cell.char).join('') + '\n').join('');
+    downloadTextContent(textContent, filename, 'txt', 'text/plain;charset=utf-8');
+}
+
+/**
+ * Exports the frame as a standalone HTML page: a <pre> of colored spans, with cell backgrounds
+ * Neighbouring cells with the same colors share a span to keep the file small
+ * @param {string} filename - File name without extension
+ */
+function exportHtmlFile(filename) {
+    const rows = getGridCells();
+    const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const lines = rows.map(row => {
+        let html = '';
+        let run = '';
+        let runStyle = null;
+        row.forEach(cell => {
+            const style = `color:${cell.color}` + (cell.background ? `;background:${cell.background}` : '');
+            if (style !== runStyle) {
+                if (run) html += `<span style="${runStyle}">${escapeHtml(run)}</span>`;
+                run = '';
+                runStyle = style;
+            }
+            run += cell.char;
+        });
+        if (run) html += `<span style="${runStyle}">${escapeHtml(run)}</span>`;
+        return html;
+    });
+
+    const htmlContent = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(filename)}</title>
+<style>
+body { margin: 0; padding: 16px; background: ${settings.colors.backgroundColor}; }
+pre { margin: 0; font-family: ${GRID_FONT_FAMILY}; font-size: ${settings.charSize}px; line-height: 1; }
+</style>
+</head>
+<body>
+<pre>${lines.join('\n')}</pre>
+</body>
+</html>
+`;
+    downloadTextContent(htmlContent, filename, 'html', 'text/html;charset=utf-8');
+}
+
+/**
+ * Exports the frame as ANSI art: 24-bit color escape codes for every glyph and its background
+ * Without cell backgrounds every cell gets the canvas background color. Codes are only written when
+ * a color changes, and every line ends with a reset
+ * @param {string} filename - File name without extension
+ */
+function exportAnsiFile(filename) {
+    const rows = getGridCells();
+    const toAnsiColor = (color) => {
+        const { r, g, b } = hexToRgb(color);
+        return `${r};${g};${b}`;
+    };
+    const canvasBackground = toAnsiColor(settings.colors.backgroundColor);
+
+    const ansiContent = rows.map(row => {
+        let line = '';
+        let foreground = null;
+        let background = null;
+        row.forEach(cell => {
+            const cellForeground = toAnsiColor(cell.color);
+            const cellBackground = cell.background ? toAnsiColor(cell.background) : canvasBackground;
+            if (cellForeground !== foreground) {
+                line += `\x1b[38;2;${cellForeground}m`;
+                foreground = cellForeground;
+            }
+            if (cellBackground !== background) {
+                line += `\x1b[48;2;${cellBackground}m`;
+                background = cellBackground;
+            }
+            line += cell.char;
+        });
+        return line + '\x1b[0m\n';
+    }).join('');
+    downloadTextContent(ansiContent, filename, 'ans', 'text/plain;charset=utf-8');
+}
+
+function setupSpeedButton() {
+    const speedBtn = document.getElementById('speed-btn');
+    const speedMenu = document.getElementById('speed-menu');
+    const speedOptions = speedMenu.querySelectorAll('.speed-option');
+    const speedText = speedBtn.querySelector('.speed-text');
+
+    let menuVisible = false;
+    let currentSpeed = 1.0;
+
+    const hideMenu = () => {
+        menuVisible = false;
+        speedMenu.classList.remove('show');
+    };
+
+    speedBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        menuVisible = !menuVisible;
+        speedMenu.classList.toggle('show', menuVisible);
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!speedBtn.contains(e.target) && !speedMenu.contains(e.target)) {
+            hideMenu();
+        }
+    });
+
+    speedOptions.forEach(option => {
+        option.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const speed = parseFloat(option.dataset.speed);
+            currentSpeed = speed;
+
+            // Update active state
+            speedOptions.forEach(opt => opt.classList.remove('active'));
+            option.classList.add('active');
+
+            // Update button text
+            speedText.textContent = speed === 1 ? '1×' : `${speed}×`;
+
+            // Apply speed multiplier to animation
+            applySpeedMultiplier(speed);
+
+            hideMenu();
+        });
+    });
+}
+
+function applySpeedMultiplier(multiplier) {
+    speedMultiplier = multiplier;
+}
+
+function setupTooltips() {
+    const buttons = [
+        { btn: '#play-pause-btn', tooltip: '#play-pause-tooltip' },
+        { btn: '#speed-btn', tooltip: '#speed-tooltip' },
+        { btn: '#randomize-btn', tooltip: '#randomize-tooltip' },
+        { btn: '#download-btn', tooltip: '#download-tooltip' }
+    ];
+
+    buttons.forEach(({ btn, tooltip }) => {
+        const button = document.querySelector(btn);
+        const tooltipEl = document.querySelector(tooltip);
+
+        if (!button || !tooltipEl) return;
+
+        let hoverTimeout;
+
+        button.addEventListener('mouseenter', (e) => {
+            clearTimeout(hoverTimeout);
+            hoverTimeout = setTimeout(() => {
+                const rect = button.getBoundingClientRect();
+                const tooltipRect = tooltipEl.getBoundingClientRect();
+
+                // Position tooltip above button, centered
+                const left = rect.left + (rect.width / 2) - (tooltipRect.width / 2);
+                const top = rect.top - tooltipRect.height - 10;
+
+                tooltipEl.style.left = left + 'px';
+                tooltipEl.style.top = top + 'px';
+                tooltipEl.classList.add('show');
+            }, 300); // 500ms delay before showing
+        });
+
+        button.addEventListener('mouseleave', () => {
+            clearTimeout(hoverTimeout);
+            tooltipEl.classList.remove('show');
+        });
+
+        // Hide tooltip when button is clicked
+        button.addEventListener('click', () => {
+            clearTimeout(hoverTimeout);
+            tooltipEl.classList.remove('show');
+        });
+    });
+}
+
+function showGifProgressOverlay(duration) {
+    const overlay = document.getElementById('gif-progress-overlay');
+    const progressFill = document.getElementById('gif-progress-fill');
+    const progressText = document.getElementById('gif-progress-text');
+    
+    if (!overlay || !progressFill || !progressText) {
+        console.warn('Progress overlay elements not found');
+        return;
+    }
+    
+    // Show the overlay
+    overlay.classList.add('show');
+    
+    // Reset progress
+    progressFill.style.width = '0%';
+    progressText.textContent = '0%';
+    
+    // Animate progress over the duration
+    const startTime = Date.now();
+    const endTime = startTime + (duration * 1000);
+    
+    function updateProgress() {
+        const currentTime = Date.now();
+        const elapsed = currentTime - startTime;
+        const progress = Math.min(elapsed / (duration * 1000), 1);
+        
+        const percentage = Math.round(progress * 100);
+        progressFill.style.width = percentage + '%';
+        progressText.textContent = percentage + '%';
+        
+        if (progress < 1) {
+            requestAnimationFrame(updateProgress);
+        } else {
+            // Hide overlay after recording completes, but keep it visible during processing
+            setTimeout(() => {
+                overlay.classList.remove('show');
+            }, 2000); // Keep overlay visible for 2 seconds after recording to show processing
+        }
+    }
+    
+    requestAnimationFrame(updateProgress);
+}
+
+function showRecordingToast(filename, duration) {
+    const toast = document.getElementById('success-toast');
+    const filenameEl = document.getElementById('toast-filename');
+    const closeBtn = document.getElementById('toast-close');
+    
+    // Set the filename with "processing" message
+    filenameEl.textContent = `${filename} (processing...)`;
+    
+    // Show the toast
+    toast.classList.add('show');
+    
+    // Auto-dismiss after recording duration + 8 seconds (accounting for processing time)
+    const autoDismissTimeout = setTimeout(() => {
+        hideToast();
+    }, (duration * 1000) + 8000);
+    
+    // Close button handler
+    const closeHandler = () => {
+        clearTimeout(autoDismissTimeout);
+        hideToast();
+        closeBtn.removeEventListener('click', closeHandler);
+    };
+    
+    closeBtn.addEventListener('click', closeHandler);
+    
+    function hideToast() {
+        toast.classList.remove('show');
+    }
+}
+
+function showSuccessToast(filename) {
+    const toast = document.getElementById('success-toast');
+    const filenameEl = document.getElementById('toast-filename');
+    const closeBtn = document.getElementById('toast-close');
+    
+    // Set the filename
+    filenameEl.textContent = filename;
+    
+    // Show the toast
+    toast.classList.add('show');
+    
+    // Auto-dismiss after 5 seconds
+    const autoDismissTimeout = setTimeout(() => {
+        hideToast();
+    }, 5000);
+    
+    // Close button handler
+    const closeHandler = () => {
+        clearTimeout(autoDismissTimeout);
+        hideToast();
+        closeBtn.removeEventListener('click', closeHandler);
+    };
+    
+    closeBtn.addEventListener('click', closeHandler);
+    
+    function hideToast() {
+        toast.classList.remove('show');
     }
 }
 
-function exportGifAnimation(filename) {
-    // Check if saveGif is available
-    if (typeof saveGif !== 'function') {
-        // Try to provide helpful error message
-        console.error('saveGif function not available');
-        alert('GIF export requires p5.js version 1.9.0 or higher. Please update your p5.js library.');
-        return;
-    }
-
-    // Ensure animation is running for GIF recording
-    if (isPaused) {
-        alert('Please unpause the animation before recording a GIF.');
-        return;
-    }
+// Color helper functions
+function updatePalettePreview() {
+    const preview = document.getElementById('palettePreview');
+    if (!preview) return;
+    
+    const palette = getPaletteColors(settings.colors.currentPalette);
+    preview.innerHTML = '';
+    
+    palette.forEach((color, index) => {
+        const colorBox = document.createElement('div');
+        colorBox.style.width = '20px';
+        colorBox.style.height = '20px';
+        colorBox.style.backgroundColor = color;
+        colorBox.style.border = '1px solid #333';
+        colorBox.style.borderRadius = '3px';
+        colorBox.style.cursor = 'pointer';
+        colorBox.title = color;
+        
+        colorBox.addEventListener('click', () => {
+            settings.colors.paletteIndex = index;
+            if (settings.colors.usePalette) {
+                updateColorsFromPalette();
+            }
+        });
+        
+        preview.appendChild(colorBox);
+    });
+}
+
+// User palettes - created in the Colors section, kept in local storage, imported and exported as files
+
+/**
+ * Lists every palette: the built-in ones, then the user's palettes in their order
+ * User palettes are keyed 'user:' followed by their id
+ * @returns {Array} Options [{ value, label, user }]
+ */
+function getPaletteOptions() {
+    return Object.keys(COLOR_PALETTES).map(name => ({
+        value: name,
+        label: name.charAt(0).toUpperCase() + name.slice(1),
+        user: false
+    })).concat(userPalettes.map(palette => ({ value: `user:${palette.id}`, label: palette.name, user: true })));
+}
+
+/**
+ * Returns a user palette by its palette key
+ * @param {string} key - Palette key (see getPaletteOptions())
+ * @returns {object|null} User palette { id, name, colors }, or null for built-in or unknown keys
+ */
+function getUserPalette(key) {
+    if (typeof key !== 'string' || !key.startsWith('user:')) return null;
+    const id = parseInt(key.slice('user:'.length));
+    return userPalettes.find(palette => palette.id === id) || null;
+}
 
-    // Use shorter durations for faster downloads and smaller files
-    // Focus on creating perfect loops rather than long animations
-    let duration = 1.0; // Duration in seconds
+/**
+ * Returns the colors of a built-in or user palette
+ * @param {string} key - Palette key (see getPaletteOptions())
+ * @returns {Array} Hex colors (empty for unknown palettes)
+ */
+function getPaletteColors(key) {
+    const userPalette = getUserPalette(key);
+    if (userPalette) return userPalette.colors;
+    return Object.hasOwn(COLOR_PALETTES, key) ? COLOR_PALETTES[key] : [];
+}
 
-    // Adjust based on pattern type for better loops
-    if (settings.pattern1.type === 'waves' || settings.pattern1.type === 'ripples') {
-        duration = 1.0; // 1 second for smooth oscillations
-    } else if (settings.pattern1.type === 'spiral' || settings.pattern1.type === 'tunnel') {
-        duration = 1.5; // 1.5 seconds for complex rotations
-    } else if (settings.pattern1.type === 'cellular') {
-        duration = 2.0; // 2 seconds for evolution patterns
-    } else if (settings.pattern1.type === 'mandelbrot' || settings.pattern1.type === 'julia') {
-        duration = 2.5; // 2.5 seconds for smooth transitions
-    } else {
-        duration = 1.0; // Default 1 second
+/**
+ * Reads the user's palettes from local storage, dropping malformed entries
+ * @returns {Array} User palettes [{ id, name, colors }]
+ */
+function loadUserPalettes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(USER_PALETTES_STORAGE_KEY) || '[]');
+        if (!Array.isArray(stored)) return [];
+        return stored
+            .filter(palette => palette && Number.isInteger(palette.id) && Array.isArray(palette.colors))
+            .map(palette => ({
+                id: palette.id,
+                name: String(palette.name || 'Untitled'),
+                colors: palette.colors.filter(color => /^#[a-f\d]{6}$/i.test(color))
+            }))
+            .filter(palette => palette.colors.length > 0);
+    } catch (error) {
+        console.warn('Could not read saved palettes:', error);
+        return [];
     }
+}
 
+/**
+ * Writes the user's palettes to local storage
+ */
+function saveUserPalettes() {
     try {
-        // Show a brief message that recording is starting
-        console.log(`Starting GIF recording: ${filename}.gif (${duration}s duration)`);
-        console.log('Note: Processing may take several seconds after recording completes');
-
-        // Show progress overlay and start recording
-        showGifProgressOverlay(duration);
-
-        // Create a custom GIF recording with proper grid dimensions
-        createCustomGif(filename, duration);
-
-        // Show a "will download soon" toast to set expectations
-        showRecordingToast(`${filename}.gif`, duration);
-
-        // Track GIF download attempt
-        gtag('event', 'file_download', {
-            'event_category': 'engagement',
-            'event_label': 'gridform_gif',
-            'value': 1
-        });
-
+        localStorage.setItem(USER_PALETTES_STORAGE_KEY, JSON.stringify(userPalettes));
     } catch (error) {
-        console.error('GIF export failed:', error);
-        alert('GIF export failed. Please try again. Make sure your browser supports the required features.');
+        console.warn('Could not save palettes:', error);
+        showToast('Palettes could not be saved in this browser', 'error');
     }
 }
 
-function createCustomGif(filename, duration) {
-    // Calculate the same scale factor as draw() function (don't scale up, only down)
-    let gridPixelWidth = gridCols * baseCharWidth;
-    let gridPixelHeight = gridRows * baseCharHeight;
-    let scaleX = width / gridPixelWidth;
-    let scaleY = height / gridPixelHeight;
-    let displayGridScale = Math.min(scaleX, scaleY, 1.0); // Same as draw() function
-
-    // Calculate the actual grid dimensions that would be displayed
-    let displayCharWidth = baseCharWidth * displayGridScale * settings.charSpacing;
-    let displayCharHeight = baseCharHeight * displayGridScale * settings.charSpacing;
-    let displayGridWidth = gridCols * displayCharWidth;
-    let displayGridHeight = gridRows * displayCharHeight;
-
-    // Create off-screen canvas with EXACT grid dimensions
-    const offscreenCanvas = document.createElement('canvas');
-    const ctx = offscreenCanvas.getContext('2d');
-
-    // Set canvas size to exactly match the grid dimensions
-    offscreenCanvas.width = Math.floor(displayGridWidth);
-    offscreenCanvas.height = Math.floor(displayGridHeight);
-
-    // Temporarily replace the main canvas with our off-screen canvas for GIF recording
-    const originalCanvas = canvas;
-    const originalWidth = width;
-    const originalHeight = height;
-    
-    // Store the original canvas reference
-    canvas = offscreenCanvas;
-    width = offscreenCanvas.width;
-    height = offscreenCanvas.height;
-
-    // Configure GIF options for perfect loops
-    const options = {
-        units: "seconds", // Use seconds instead of frames for more reliable recording
-        delay: 0,
-        silent: true, // Disable progress notifications
-        notificationDuration: 0, // No notification duration
-        notificationID: 'gifProgress'
-    };
+/**
+ * Adds a palette at the end of the user's palettes and saves them
+ * @param {string} name - Palette name
+ * @param {Array} colors - Hex colors (at most USER_PALETTE_MAX_COLORS are kept)
+ * @returns {string} Key of the new palette
+ */
+function createUserPalette(name, colors) {
+    const id = userPalettes.reduce((maxId, palette) => Math.max(maxId, palette.id), 0) + 1;
+    userPalettes.push({
+        id: id,
+        name: name.trim() || `Palette ${id}`,
+        colors: colors.slice(0, USER_PALETTE_MAX_COLORS).map(color => color.toLowerCase())
+    });
+    saveUserPalettes();
+    return `user:${id}`;
+}
 
-    // Start the GIF recording with the off-screen canvas
-    saveGif(`${filename}.gif`, duration, options);
+/**
+ * Switches palette mode to a palette and refreshes the palette controls
+ * @param {string} key - Palette key (see getPaletteOptions())
+ */
+function selectPalette(key) {
+    settings.colors.currentPalette = key;
+    settings.colors.paletteColors = getPaletteColors(key);
+    settings.colors.paletteIndex = 0;
+    settings.colors.randomColorTimer = 0; // Reset random timer
+    renderPaletteSelect();
+    updatePalettePreview();
+    if (settings.colors.usePalette) {
+        updateColorsFromPalette();
+    }
+}
 
-    // Restore the original canvas after a delay to allow recording to complete
-    setTimeout(() => {
-        canvas = originalCanvas;
-        width = originalWidth;
-        height = originalHeight;
-    }, (duration * 1000) + 1000); // Wait for recording duration + 1 second buffer
+/**
+ * Refreshes everything that lists palettes after the user's palettes changed
+ */
+function updateUserPaletteLists() {
+    saveUserPalettes();
+    renderPaletteSelect();
+    updatePalettePreview();
+    settings.layers.forEach(updateGradientPresetSelect);
+    renderCellBackgroundControls();
 }
 
-function exportTextFile(filename) {
-    let textContent = '';
+/**
+ * Fills the palette dropdown (built-in palettes, then "My Palettes") and shows the editor
+ * when a user palette is selected
+ */
+function renderPaletteSelect() {
+    const select = document.getElementById('colorPaletteSelect');
+    if (!select) return;
+
+    // A deleted palette falls back to the first built-in palette
+    if (!getPaletteColors(settings.colors.currentPalette).length) {
+        settings.colors.currentPalette = Object.keys(COLOR_PALETTES)[0];
+        settings.colors.paletteColors = getPaletteColors(settings.colors.currentPalette);
+        settings.colors.paletteIndex = 0;
+    }
 
-    for (let y = 0; y < gridRows; y++) {
-        for (let x = 0; x < gridCols; x++) {
-            let value1 = getPatternValue(x, y, settings.pattern1, time);
-            let finalValue = value1;
-            let useRamp1 = true;
+    select.innerHTML = '';
+    const userGroup = document.createElement('optgroup');
+    userGroup.label = 'My Palettes';
+    getPaletteOptions().forEach(({ value, label, user }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        (user ? userGroup : select).appendChild(option);
+    });
+    if (userGroup.children.length > 0) {
+        select.appendChild(userGroup);
+    }
+    select.value = settings.colors.currentPalette;
 
-            if (settings.pattern2.enabled) {
-                let value2 = getPatternValue(x, y, settings.pattern2, time);
-                finalValue = blendValues(value1, value2, settings.blendSettings.mode, settings.blendSettings.amount);
+    updatePaletteEditor();
+}
 
-                let blendStrength = value1 * value2 * settings.blendSettings.amount;
-                useRamp1 = blendStrength < 0.5;
+/**
+ * Shows the name, colors and order buttons of the selected user palette (hidden for built-in palettes)
+ */
+function updatePaletteEditor() {
+    const editor = document.getElementById('paletteEditor');
+    if (!editor) return;
+
+    const palette = getUserPalette(settings.colors.currentPalette);
+    editor.style.display = palette ? 'block' : 'none';
+    if (!palette) return;
+
+    document.getElementById('paletteName').value = palette.name;
+    const index = userPalettes.indexOf(palette);
+    document.getElementById('paletteMoveUpBtn').disabled = index === 0;
+    document.getElementById('paletteMoveDownBtn').disabled = index === userPalettes.length - 1;
+
+    const colorList = document.getElementById('paletteColorList');
+    colorList.innerHTML = '';
+    palette.colors.forEach((color, colorIndex) => {
+        const row = document.createElement('div');
+        row.className = 'palette-color-row';
+
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = color;
+        input.addEventListener('input', (e) => {
+            palette.colors[colorIndex] = e.target.value;
+            saveUserPalettes();
+            updatePalettePreview();
+            if (settings.colors.usePalette) {
+                updateColorsFromPalette();
             }
+        });
 
-            if (settings.interactive.enabled) {
-                finalValue = applyInteractiveEffect(x, y, finalValue);
-            }
+        const removeButton = document.createElement('button');
+        removeButton.className = 'layer-btn';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove Color';
+        removeButton.disabled = palette.colors.length <= 1;
+        removeButton.addEventListener('click', () => {
+            palette.colors.splice(colorIndex, 1);
+            settings.colors.paletteIndex = 0;
+            updateUserPaletteLists();
+        });
+
+        row.appendChild(input);
+        row.appendChild(removeButton);
+        colorList.appendChild(row);
+    });
+    document.getElementById('paletteAddColorBtn').disabled = palette.colors.length >= USER_PALETTE_MAX_COLORS;
+}
 
-            let selectedRamp = useRamp1 ? currentRamp1 : currentRamp2;
-            let charIndex = Math.floor(map(finalValue, 0, 1, 0, selectedRamp.length - 1));
-            charIndex = constrain(charIndex, 0, selectedRamp.length - 1);
-            let char = selectedRamp[charIndex];
+/**
+ * Wires up the palette editor, import and export buttons in the Colors section
+ */
+function setupUserPaletteControls() {
+    const importInput = document.getElementById('paletteImportFile');
+    if (!importInput) return;
+
+    // New palettes start as a copy of the selected palette
+    document.getElementById('paletteNewBtn').addEventListener('click', () => {
+        const source = getPaletteOptions().find(option => option.value === settings.colors.currentPalette);
+        const key = createUserPalette(source ? `${source.label} Copy` : '', getPaletteColors(settings.colors.currentPalette));
+        selectPalette(key);
+        settings.layers.forEach(updateGradientPresetSelect);
+    });
 
-            textContent += char;
+    importInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importPaletteFile(e.target.files[0]);
         }
-        textContent += '\n';
-    }
+        e.target.value = ''; // Allow picking the same file again
+    });
 
-    try {
-        const blob = new Blob([textContent], { type: 'text/plain;charset=utf-8' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename + '.txt';
-        a.style.display = 'none';
+    document.querySelectorAll('[data-palette-export]').forEach(button => {
+        button.addEventListener('click', () => {
+            const option = getPaletteOptions().find(item => item.value === settings.colors.currentPalette);
+            exportPaletteFile(option ? option.label : 'palette', getPaletteColors(settings.colors.currentPalette), button.dataset.paletteExport);
+        });
+    });
 
-        document.body.appendChild(a);
-        a.click();
+    // Editing the selected user palette
+    document.getElementById('paletteName').addEventListener('change', (e) => {
+        const palette = getUserPalette(settings.colors.currentPalette);
+        if (!palette) return;
+        palette.name = e.target.value.trim() || palette.name;
+        updateUserPaletteLists();
+    });
 
-        gtag('event', 'file_download', {
-            'event_category': 'engagement',
-            'event_label': 'gridform_txt',
-            'value': 1
+    document.getElementById('paletteAddColorBtn').addEventListener('click', () => {
+        const palette = getUserPalette(settings.colors.currentPalette);
+        if (!palette || palette.colors.length >= USER_PALETTE_MAX_COLORS) return;
+        palette.colors.push(palette.colors[palette.colors.length - 1]);
+        updateUserPaletteLists();
+    });
+
+    [['paletteMoveUpBtn', -1], ['paletteMoveDownBtn', 1]].forEach(([id, offset]) => {
+        document.getElementById(id).addEventListener('click', () => {
+            const palette = getUserPalette(settings.colors.currentPalette);
+            const index = userPalettes.indexOf(palette);
+            const target = index + offset;
+            if (!palette || target < 0 || target >= userPalettes.length) return;
+            userPalettes.splice(index, 1);
+            userPalettes.splice(target, 0, palette);
+            updateUserPaletteLists();
         });
+    });
 
-        showSuccessToast(filename + '.txt');
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    document.getElementById('paletteDeleteBtn').addEventListener('click', () => {
+        const palette = getUserPalette(settings.colors.currentPalette);
+        if (!palette || !confirm(`Delete the palette "${palette.name}"?`)) return;
+        userPalettes.splice(userPalettes.indexOf(palette), 1);
+        selectPalette(Object.keys(COLOR_PALETTES)[0]);
+        updateUserPaletteLists();
+    });
+
+    renderPaletteSelect();
+}
 
+/**
+ * Imports a palette file (hex list, GIMP .gpl or Adobe .ase) as a new user palette and selects it
+ * @param {File} file - Palette file
+ */
+async function importPaletteFile(file) {
+    try {
+        const fileName = file.name.replace(/\.[^.]+$/, '');
+        const palette = parsePaletteFile(await file.arrayBuffer(), fileName);
+        if (!palette.colors.length) {
+            throw new Error('No colors found in the palette file');
+        }
+        const key = createUserPalette(palette.name, palette.colors);
+        selectPalette(key);
+        settings.layers.forEach(updateGradientPresetSelect);
+        showToast(`Imported ${palette.colors.length} colors`, 'success');
     } catch (error) {
-        alert('Text file download failed.');
+        console.error('Error importing palette:', error);
+        showToast(error.message, 'error');
     }
 }
 
-function setupSpeedButton() {
-    const speedBtn = document.getElementById('speed-btn');
-    const speedMenu = document.getElementById('speed-menu');
-    const speedOptions = speedMenu.querySelectorAll('.speed-option');
-    const speedText = speedBtn.querySelector('.speed-text');
-
-    let menuVisible = false;
-    let currentSpeed = 1.0;
+/**
+ * Reads a palette file, detecting the format from its contents
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fallbackName - Name to use if the file has none
+ * @returns {object} { name, colors }
+ */
+function parsePaletteFile(buffer, fallbackName) {
+    const bytes = new Uint8Array(buffer);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) === 'ASEF') {
+        return parseAsePalette(buffer, fallbackName);
+    }
 
-    const hideMenu = () => {
-        menuVisible = false;
-        speedMenu.classList.remove('show');
-    };
+    const text = new TextDecoder().decode(bytes);
+    if (/^\s*GIMP Palette/.test(text)) {
+        return parseGplPalette(text, fallbackName);
+    }
+    return { name: fallbackName, colors: parseHexPalette(text) };
+}
 
-    speedBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        menuVisible = !menuVisible;
-        speedMenu.classList.toggle('show', menuVisible);
-    });
+/**
+ * Reads a plain list of hex colors ("#ff0000", "ff0000" or "#f00"), separated by anything
+ * @param {string} text - Text to read
+ * @returns {Array} Hex colors
+ */
+function parseHexPalette(text) {
+    const colors = [];
+    const pattern = /(?:^|[^0-9a-z#])(#[0-9a-f]{6}|[0-9a-f]{6}|#[0-9a-f]{3})(?![0-9a-z])/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        let hex = match[1].replace('#', '').toLowerCase();
+        if (hex.length === 3) {
+            hex = hex.split('').map(digit => digit + digit).join('');
+        }
+        colors.push(`#${hex}`);
+    }
+    return colors;
+}
 
-    document.addEventListener('click', (e) => {
-        if (!speedBtn.contains(e.target) && !speedMenu.contains(e.target)) {
-            hideMenu();
+/**
+ * Reads a GIMP palette (.gpl): a "GIMP Palette" header, optional Name and Columns lines,
+ * # comments, then one "R G B [name]" line per color
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Name to use if the file has none
+ * @returns {object} { name, colors }
+ */
+function parseGplPalette(text, fallbackName) {
+    let name = fallbackName;
+    const colors = [];
+    text.split(/\r?\n/).forEach(line => {
+        const nameMatch = /^Name:\s*(.+)$/.exec(line);
+        if (nameMatch) {
+            name = nameMatch[1].trim();
+            return;
+        }
+        const colorMatch = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+        if (colorMatch) {
+            colors.push(rgbToHex(parseInt(colorMatch[1]), parseInt(colorMatch[2]), parseInt(colorMatch[3])));
         }
     });
+    return { name: name, colors: colors };
+}
 
-    speedOptions.forEach(option => {
-        option.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-
-            const speed = parseFloat(option.dataset.speed);
-            currentSpeed = speed;
+/**
+ * Reads an Adobe Swatch Exchange file (.ase): big-endian blocks of color entries, optionally
+ * inside named groups. RGB, gray, CMYK and Lab colors are converted to sRGB (CMYK and Lab approximately)
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fallbackName - Name to use if the file has no group name
+ * @returns {object} { name, colors }
+ */
+function parseAsePalette(buffer, fallbackName) {
+    const view = new DataView(buffer);
+    const readName = (offset) => {
+        const length = view.getUint16(offset); // UTF-16 code units, including the terminating zero
+        let name = '';
+        for (let i = 0; i < length - 1; i++) {
+            name += String.fromCharCode(view.getUint16(offset + 2 + i * 2));
+        }
+        return { name: name, end: offset + 2 + length * 2 };
+    };
 
-            // Update active state
-            speedOptions.forEach(opt => opt.classList.remove('active'));
-            option.classList.add('active');
+    let name = fallbackName;
+    const colors = [];
+    const blockCount = view.getUint32(8);
+    let offset = 12;
+
+    for (let block = 0; block < blockCount && offset + 6 <= buffer.byteLength; block++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+
+        if (type === 0xc001 && name === fallbackName && length > 0) {
+            name = readName(start).name || name; // The first group names the palette
+        } else if (type === 0x0001) {
+            const entry = readName(start);
+            const model = String.fromCharCode(...new Uint8Array(buffer, entry.end, 4));
+            const value = (i) => view.getFloat32(entry.end + 4 + i * 4);
+
+            if (model === 'RGB ') {
+                colors.push(rgbToHex(value(0) * 255, value(1) * 255, value(2) * 255));
+            } else if (model === 'Gray') {
+                colors.push(rgbToHex(value(0) * 255, value(0) * 255, value(0) * 255));
+            } else if (model === 'CMYK') {
+                const black = 1 - value(3);
+                colors.push(rgbToHex(255 * (1 - value(0)) * black, 255 * (1 - value(1)) * black, 255 * (1 - value(2)) * black));
+            } else if (model === 'LAB ') {
+                const rgb = labToRgb(value(0) * 100, value(1), value(2));
+                colors.push(rgbToHex(rgb.r, rgb.g, rgb.b));
+            }
+        }
+        offset = start + length;
+    }
+    return { name: name, colors: colors };
+}
 
-            // Update button text
-            speedText.textContent = speed === 1 ? '1×' : `${speed}×`;
+/**
+ * Converts a CIE Lab color (D50 white, as used by swatch files) to sRGB
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @returns {object} RGB object with r, g, b properties (0-255)
+ */
+function labToRgb(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const toLinear = (f) => (f > 6 / 29 ? f * f * f : 3 * (6 / 29) * (6 / 29) * (f - 4 / 29));
+    const x = 0.96422 * toLinear(fx);
+    const y = toLinear(fy);
+    const z = 0.82521 * toLinear(fz);
+
+    // XYZ (D50) to linear sRGB, Bradford-adapted to D65
+    const toSrgb = (c) => {
+        c = constrain(c, 0, 1);
+        return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+    };
+    return {
+        r: toSrgb(3.1338561 * x - 1.6168667 * y - 0.4906146 * z),
+        g: toSrgb(-0.9787684 * x + 1.9161415 * y + 0.0334540 * z),
+        b: toSrgb(0.0719453 * x - 0.2289914 * y + 1.4052427 * z)
+    };
+}
 
-            // Apply speed multiplier to animation
-            applySpeedMultiplier(speed);
+/**
+ * Writes colors as a palette file: a plain hex list (.hex), a GIMP palette (.gpl)
+ * or an Adobe Swatch Exchange file (.ase)
+ * @param {string} name - Palette name
+ * @param {Array} colors - Hex colors
+ * @param {string} format - 'hex', 'gpl' or 'ase'
+ * @returns {Blob} File contents
+ */
+function createPaletteFile(name, colors, format) {
+    if (format === 'gpl') {
+        const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(colors.length, 16)}`, '#'];
+        colors.forEach(color => {
+            const { r, g, b } = hexToRgb(color);
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${color}`);
+        });
+        return new Blob([lines.join('\n') + '\n'], { type: 'text/plain;charset=utf-8' });
+    }
 
-            hideMenu();
+    if (format === 'ase') {
+        // Header, then one color entry per color named after its hex code: name, 'RGB ', 3 floats, type
+        const entryLength = 2 + 8 * 2 + 4 + 12 + 2;
+        const view = new DataView(new ArrayBuffer(12 + colors.length * (6 + entryLength)));
+        [65, 83, 69, 70].forEach((code, i) => view.setUint8(i, code)); // 'ASEF'
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, colors.length);
+
+        let offset = 12;
+        colors.forEach(color => {
+            const { r, g, b } = hexToRgb(color);
+            view.setUint16(offset, 0x0001);
+            view.setUint32(offset + 2, entryLength);
+            offset += 6;
+
+            view.setUint16(offset, 8); // "#rrggbb" plus the terminating zero
+            for (let i = 0; i < 7; i++) view.setUint16(offset + 2 + i * 2, color.charCodeAt(i));
+            view.setUint16(offset + 16, 0);
+            offset += 18;
+
+            [82, 71, 66, 32].forEach((code, i) => view.setUint8(offset + i, code)); // 'RGB '
+            view.setFloat32(offset + 4, r / 255);
+            view.setFloat32(offset + 8, g / 255);
+            view.setFloat32(offset + 12, b / 255);
+            view.setUint16(offset + 16, 2); // Normal (not global or spot) color
+            offset += 18;
         });
-    });
-}
+        return new Blob([view.buffer], { type: 'application/octet-stream' });
+    }
 
-function applySpeedMultiplier(multiplier) {
-    speedMultiplier = multiplier;
+    return new Blob([colors.join('\n') + '\n'], { type: 'text/plain;charset=utf-8' });
 }
 
-function setupTooltips() {
-    const buttons = [
-        { btn: '#play-pause-btn', tooltip: '#play-pause-tooltip' },
-        { btn: '#speed-btn', tooltip: '#speed-tooltip' },
-        { btn: '#randomize-btn', tooltip: '#randomize-tooltip' },
-        { btn: '#download-btn', tooltip: '#download-tooltip' }
-    ];
+// Palette extraction - dominant colors of an image, quantized in OKLab
 
-    buttons.forEach(({ btn, tooltip }) => {
-        const button = document.querySelector(btn);
-        const tooltipEl = document.querySelector(tooltip);
+const PALETTE_IMAGE_SAMPLE_SIZE = 96;   // Longest side (px) images are reduced to before quantizing
+const PALETTE_KMEANS_ITERATIONS = 20;   // Most refinement passes of k-means
+let paletteImage = null;                // Image loaded for extraction: { name, samples (OKLab colors) }
+let extractedPalette = [];              // Colors extracted from paletteImage with the current settings
 
-        if (!button || !tooltipEl) return;
+/**
+ * Reduces an image and converts its opaque pixels to OKLab
+ * @param {HTMLImageElement} image - Decoded image
+ * @returns {Array} OKLab colors { l, a, b }, one per opaque pixel
+ */
+function samplePaletteImage(image) {
+    const scale = Math.min(1, PALETTE_IMAGE_SAMPLE_SIZE / Math.max(image.width, image.height, 1));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    const sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = width;
+    sampleCanvas.height = height;
+    const context = sampleCanvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, width, height);
+
+    const data = context.getImageData(0, 0, width, height).data;
+    const samples = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= 128) {
+            samples.push(rgbToOklab({ r: data[i], g: data[i + 1], b: data[i + 2] }));
+        }
+    }
+    return samples;
+}
 
-        let hoverTimeout;
+/**
+ * Finds the dominant colors of a set of OKLab samples
+ * Median cut splits the colors into boxes along their widest channel; k-means starts from the
+ * median cut colors and moves them to the centers of the samples closest to them
+ * @param {Array} samples - OKLab colors (see samplePaletteImage())
+ * @param {number} count - Number of colors (fewer if the samples have fewer distinct colors)
+ * @param {string} method - 'kmeans' or 'median-cut'
+ * @returns {Array} Hex colors from dark to light
+ */
+function extractPalette(samples, count, method) {
+    if (!samples.length) return [];
 
-        button.addEventListener('mouseenter', (e) => {
-            clearTimeout(hoverTimeout);
-            hoverTimeout = setTimeout(() => {
-                const rect = button.getBoundingClientRect();
-                const tooltipRect = tooltipEl.getBoundingClientRect();
+    let centers = medianCutColors(samples, count);
+    if (method === 'kmeans') {
+        centers = refineKMeans(samples, centers);
+    }
 
-                // Position tooltip above button, centered
-                const left = rect.left + (rect.width / 2) - (tooltipRect.width / 2);
-                const top = rect.top - tooltipRect.height - 10;
+    const colors = centers
+        .sort((first, second) => first.l - second.l)
+        .map(center => {
+            const rgb = oklabToRgb(center);
+            return rgbToHex(rgb.r, rgb.g, rgb.b);
+        });
+    return [...new Set(colors)];
+}
 
-                tooltipEl.style.left = left + 'px';
-                tooltipEl.style.top = top + 'px';
-                tooltipEl.classList.add('show');
-            }, 300); // 500ms delay before showing
+/**
+ * Median cut: repeatedly halves the box with the widest spread (weighted by its size) at the
+ * median of its widest channel, then averages each box
+ * @param {Array} samples - OKLab colors
+ * @param {number} count - Number of boxes
+ * @returns {Array} Mean OKLab color of each box
+ */
+function medianCutColors(samples, count) {
+    const channels = ['l', 'a', 'b'];
+    const measure = (box) => {
+        let widest = 'l';
+        let widestRange = -1;
+        channels.forEach(channel => {
+            let low = Infinity;
+            let high = -Infinity;
+            box.forEach(sample => {
+                low = Math.min(low, sample[channel]);
+                high = Math.max(high, sample[channel]);
+            });
+            if (high - low > widestRange) {
+                widest = channel;
+                widestRange = high - low;
+            }
         });
+        return { samples: box, channel: widest, score: widestRange * Math.sqrt(box.length) };
+    };
 
-        button.addEventListener('mouseleave', () => {
-            clearTimeout(hoverTimeout);
-            tooltipEl.classList.remove('show');
+    const boxes = [measure(samples)];
+    while (boxes.length < count) {
+        let splitIndex = -1;
+        boxes.forEach((box, index) => {
+            if (box.samples.length > 1 && box.score > 0 && (splitIndex < 0 || box.score > boxes[splitIndex].score)) {
+                splitIndex = index;
+            }
         });
+        if (splitIndex < 0) break; // Every box holds a single color
 
-        // Hide tooltip when button is clicked
-        button.addEventListener('click', () => {
-            clearTimeout(hoverTimeout);
-            tooltipEl.classList.remove('show');
+        const box = boxes[splitIndex];
+        const sorted = box.samples.slice().sort((first, second) => first[box.channel] - second[box.channel]);
+        const middle = Math.floor(sorted.length / 2);
+        boxes.splice(splitIndex, 1, measure(sorted.slice(0, middle)), measure(sorted.slice(middle)));
+    }
+
+    return boxes.map(box => averageOklab(box.samples));
+}
+
+/**
+ * Lloyd's k-means: assigns each sample to its closest center and moves the centers to the mean
+ * of their samples, until nothing changes or PALETTE_KMEANS_ITERATIONS passes have run
+ * @param {Array} samples - OKLab colors
+ * @param {Array} centers - Starting OKLab centers
+ * @returns {Array} Refined OKLab centers (centers that lost all their samples are dropped)
+ */
+function refineKMeans(samples, centers) {
+    const assignments = new Int32Array(samples.length).fill(-1);
+
+    for (let iteration = 0; iteration < PALETTE_KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+        samples.forEach((sample, index) => {
+            let closest = 0;
+            let closestDistance = Infinity;
+            centers.forEach((center, centerIndex) => {
+                const dl = sample.l - center.l;
+                const da = sample.a - center.a;
+                const db = sample.b - center.b;
+                const distance = dl * dl + da * da + db * db;
+                if (distance < closestDistance) {
+                    closest = centerIndex;
+                    closestDistance = distance;
+                }
+            });
+            if (assignments[index] !== closest) {
+                assignments[index] = closest;
+                changed = true;
+            }
         });
+        if (!changed) break;
+
+        const groups = centers.map(() => []);
+        samples.forEach((sample, index) => groups[assignments[index]].push(sample));
+        centers = centers.map((center, centerIndex) => groups[centerIndex].length ? averageOklab(groups[centerIndex]) : center);
+    }
+
+    return centers.filter((center, centerIndex) => assignments.includes(centerIndex));
+}
+
+/**
+ * Averages OKLab colors
+ * @param {Array} samples - OKLab colors (at least one)
+ * @returns {object} Mean OKLab color { l, a, b }
+ */
+function averageOklab(samples) {
+    const sum = { l: 0, a: 0, b: 0 };
+    samples.forEach(sample => {
+        sum.l += sample.l;
+        sum.a += sample.a;
+        sum.b += sample.b;
     });
+    return { l: sum.l / samples.length, a: sum.a / samples.length, b: sum.b / samples.length };
 }
 
-function showGifProgressOverlay(duration) {
-    const overlay = document.getElementById('gif-progress-overlay');
-    const progressFill = document.getElementById('gif-progress-fill');
-    const progressText = document.getElementById('gif-progress-text');
-    
-    if (!overlay || !progressFill || !progressText) {
-        console.warn('Progress overlay elements not found');
-        return;
-    }
-    
-    // Show the overlay
-    overlay.classList.add('show');
-    
-    // Reset progress
-    progressFill.style.width = '0%';
-    progressText.textContent = '0%';
-    
-    // Animate progress over the duration
-    const startTime = Date.now();
-    const endTime = startTime + (duration * 1000);
-    
-    function updateProgress() {
-        const currentTime = Date.now();
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / (duration * 1000), 1);
-        
-        const percentage = Math.round(progress * 100);
-        progressFill.style.width = percentage + '%';
-        progressText.textContent = percentage + '%';
-        
-        if (progress < 1) {
-            requestAnimationFrame(updateProgress);
-        } else {
-            // Hide overlay after recording completes, but keep it visible during processing
-            setTimeout(() => {
-                overlay.classList.remove('show');
-            }, 2000); // Keep overlay visible for 2 seconds after recording to show processing
+/**
+ * Wires up Palette from Image: the drop zone and file picker, color count, method and saving
+ */
+function setupPaletteImageControls() {
+    const dropZone = document.getElementById('paletteImageDrop');
+    const fileInput = document.getElementById('paletteImageFile');
+    if (!dropZone || !fileInput) return;
+
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            applyPaletteImageFile(e.target.files[0]);
         }
-    }
-    
-    requestAnimationFrame(updateProgress);
-}
+        e.target.value = ''; // Allow picking the same file again
+    });
 
-function showRecordingToast(filename, duration) {
-    const toast = document.getElementById('success-toast');
-    const filenameEl = document.getElementById('toast-filename');
-    const closeBtn = document.getElementById('toast-close');
-    
-    // Set the filename with "processing" message
-    filenameEl.textContent = `${filename} (processing...)`;
-    
-    // Show the toast
-    toast.classList.add('show');
-    
-    // Auto-dismiss after recording duration + 8 seconds (accounting for processing time)
-    const autoDismissTimeout = setTimeout(() => {
-        hideToast();
-    }, (duration * 1000) + 8000);
-    
-    // Close button handler
-    const closeHandler = () => {
-        clearTimeout(autoDismissTimeout);
-        hideToast();
-        closeBtn.removeEventListener('click', closeHandler);
-    };
-    
-    closeBtn.addEventListener('click', closeHandler);
-    
-    function hideToast() {
-        toast.classList.remove('show');
-    }
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        if (e.dataTransfer.files.length > 0) {
+            applyPaletteImageFile(e.dataTransfer.files[0]);
+        }
+    });
+
+    document.getElementById('paletteImageCount').addEventListener('input', (e) => {
+        document.getElementById('paletteImageCountValue').textContent = e.target.value;
+        updateExtractedPalette();
+    });
+    document.getElementById('paletteImageMethod').addEventListener('change', updateExtractedPalette);
+
+    document.getElementById('paletteImageSaveBtn').addEventListener('click', () => {
+        if (!paletteImage || !extractedPalette.length) return;
+        const key = createUserPalette(paletteImage.name, extractedPalette);
+        selectPalette(key);
+        settings.layers.forEach(updateGradientPresetSelect);
+        showToast(`Saved "${paletteImage.name}" to My Palettes`, 'success');
+    });
 }
 
-function showSuccessToast(filename) {
-    const toast = document.getElementById('success-toast');
-    const filenameEl = document.getElementById('toast-filename');
-    const closeBtn = document.getElementById('toast-close');
-    
-    // Set the filename
-    filenameEl.textContent = filename;
-    
-    // Show the toast
-    toast.classList.add('show');
-    
-    // Auto-dismiss after 5 seconds
-    const autoDismissTimeout = setTimeout(() => {
-        hideToast();
-    }, 5000);
-    
-    // Close button handler
-    const closeHandler = () => {
-        clearTimeout(autoDismissTimeout);
-        hideToast();
-        closeBtn.removeEventListener('click', closeHandler);
-    };
-    
-    closeBtn.addEventListener('click', closeHandler);
-    
-    function hideToast() {
-        toast.classList.remove('show');
+/**
+ * Loads an image for palette extraction and shows the colors found in it
+ * @param {File} file - Image file
+ */
+async function applyPaletteImageFile(file) {
+    try {
+        const image = await readImageFile(file);
+        const samples = samplePaletteImage(image);
+        if (!samples.length) {
+            throw new Error('The image has no opaque pixels');
+        }
+        paletteImage = { name: file.name.replace(/\.[^.]+$/, ''), samples: samples };
+        document.getElementById('paletteImageDrop').textContent = file.name;
+        updateExtractedPalette();
+    } catch (error) {
+        console.error('Error reading palette image:', error);
+        showToast(error.message, 'error');
     }
 }
 
-// Color helper functions
-function updatePalettePreview() {
-    const preview = document.getElementById('palettePreview');
-    if (!preview) return;
-    
-    const palette = COLOR_PALETTES[settings.colors.currentPalette] || [];
+/**
+ * Extracts colors from the loaded image with the current count and method and previews them
+ */
+function updateExtractedPalette() {
+    const preview = document.getElementById('paletteImagePreview');
+    if (!preview || !paletteImage) return;
+
+    const count = parseInt(document.getElementById('paletteImageCount').value);
+    const method = document.getElementById('paletteImageMethod').value;
+    extractedPalette = extractPalette(paletteImage.samples, count, method);
+
     preview.innerHTML = '';
-    
-    palette.forEach((color, index) => {
-        const colorBox = document.createElement('div');
-        colorBox.style.width = '20px';
-        colorBox.style.height = '20px';
-        colorBox.style.backgroundColor = color;
-        colorBox.style.border = '1px solid #333';
-        colorBox.style.borderRadius = '3px';
-        colorBox.style.cursor = 'pointer';
-        colorBox.title = color;
-        
-        colorBox.addEventListener('click', () => {
-            settings.colors.paletteIndex = index;
-            if (settings.colors.usePalette) {
-                updateColorsFromPalette();
-            }
-        });
-        
-        preview.appendChild(colorBox);
+    extractedPalette.forEach(color => {
+        const swatch = document.createElement('div');
+        swatch.className = 'palette-swatch';
+        swatch.style.backgroundColor = color;
+        swatch.title = color;
+        preview.appendChild(swatch);
     });
+    document.getElementById('paletteImageSaveBtn').disabled = extractedPalette.length === 0;
+}
+
+/**
+ * Downloads colors as a palette file
+ * @param {string} name - Palette name (also used for the file name)
+ * @param {Array} colors - Hex colors
+ * @param {string} format - 'hex', 'gpl' or 'ase'
+ */
+function exportPaletteFile(name, colors, format) {
+    const filename = `${name.trim().replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'palette'}.${format}`;
+
+    try {
+        const url = URL.createObjectURL(createPaletteFile(name, colors, format));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.style.display = 'none';
+
+        document.body.appendChild(a);
+        a.click();
+
+        showSuccessToast(filename);
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        alert('Palette export failed.');
+    }
 }
 
 
@@ -2836,25 +8543,24 @@ function updateColorsFromPalette() {
         paletteIndex: settings.colors.paletteIndex
     });
     
+    // Each layer keeps its palette color as its base color so switching the palette off keeps it
+    const setLayerColor = (layer, color) => {
+        layer.baseColor = color;
+        layer.color = color;
+    };
+
     switch (mode) {
         case 'single':
             const selectedColor = palette[settings.colors.paletteIndex % palette.length];
-            settings.colors.pattern1Color = selectedColor;
-            settings.pattern1.color = selectedColor;
-            if (settings.pattern2.enabled) {
-                settings.colors.pattern2Color = selectedColor;
-                settings.pattern2.color = selectedColor;
-            }
+            settings.layers.forEach(layer => setLayerColor(layer, selectedColor));
             break;
         case 'cycle':
+            // Layers are spread evenly around the palette
             const cycleIndex = Math.floor(settings.colors.animationTime * settings.colors.animationSpeed) % palette.length;
-            settings.colors.pattern1Color = palette[cycleIndex];
-            settings.pattern1.color = palette[cycleIndex];
-            if (settings.pattern2.enabled) {
-                const cycleIndex2 = (cycleIndex + Math.floor(palette.length / 2)) % palette.length;
-                settings.colors.pattern2Color = palette[cycleIndex2];
-                settings.pattern2.color = palette[cycleIndex2];
-            }
+            settings.layers.forEach((layer, index) => {
+                const offset = Math.floor(index * palette.length / settings.layers.length);
+                setLayerColor(layer, palette[(cycleIndex + offset) % palette.length]);
+            });
             break;
         case 'random':
             // Update random color timer
@@ -2862,14 +8568,9 @@ function updateColorsFromPalette() {
             
             // Change colors every 2 seconds
             if (settings.colors.randomColorTimer >= 2.0) {
-                const randomIndex = Math.floor(Math.random() * palette.length);
-                settings.colors.pattern1Color = palette[randomIndex];
-                settings.pattern1.color = palette[randomIndex];
-                if (settings.pattern2.enabled) {
-                    const randomIndex2 = Math.floor(Math.random() * palette.length);
-                    settings.colors.pattern2Color = palette[randomIndex2];
-                    settings.pattern2.color = palette[randomIndex2];
-                }
+                settings.layers.forEach(layer => {
+                    setLayerColor(layer, palette[Math.floor(nextRandom(paletteRandomStream) * palette.length)]);
+                });
                 settings.colors.randomColorTimer = 0; // Reset timer
             }
             break;
@@ -2877,10 +8578,10 @@ function updateColorsFromPalette() {
     
     // Update UI color inputs only if palette is active
     if (settings.colors.usePalette) {
-        const pattern1ColorInput = document.getElementById('pattern1Color');
-        const pattern2ColorInput = document.getElementById('pattern2Color');
-        if (pattern1ColorInput) pattern1ColorInput.value = settings.colors.pattern1Color;
-        if (pattern2ColorInput) pattern2ColorInput.value = settings.colors.pattern2Color;
+        settings.layers.forEach(layer => {
+            const colorInput = document.getElementById(`${getLayerPrefix(layer)}Color`);
+            if (colorInput) colorInput.value = layer.baseColor;
+        });
     }
 }
 
@@ -2891,33 +8592,33 @@ function updateColorsFromAnimation() {
     if (settings.colors.usePalette) return;
     
     // Update internal animation time
-    settings.colors.animationTime += 0.016 * speedMultiplier;
+    settings.colors.animationTime += 0.016 * speedMultiplier * getAudioBoost('colorAnimation');
     
-    const baseColor = settings.colors.pattern1Color;
     const type = settings.colors.animationType;
     const speed = settings.colors.animationSpeed;
     
-    let animatedColor = baseColor;
-    
-    switch (type) {
-        case 'hue':
-            animatedColor = shiftHue(baseColor, settings.colors.animationTime * speed * 3); // Accelerated hue shift
-            break;
-        case 'saturation':
-            animatedColor = shiftSaturation(baseColor, settings.colors.animationTime * speed);
-            break;
-        case 'brightness':
-            animatedColor = shiftBrightness(baseColor, settings.colors.animationTime * speed);
-            break;
-        case 'rainbow':
-            animatedColor = rainbowColor(settings.colors.animationTime * speed);
-            break;
-    }
-    
-    settings.pattern1.color = animatedColor;
-    if (settings.pattern2.enabled) {
-        settings.pattern2.color = animatedColor;
-    }
+    // Each layer animates from its own base color
+    settings.layers.forEach(layer => {
+        const baseColor = layer.baseColor;
+        let animatedColor = baseColor;
+        
+        switch (type) {
+            case 'hue':
+                animatedColor = shiftHue(baseColor, settings.colors.animationTime * speed * 3); // Accelerated hue shift
+                break;
+            case 'saturation':
+                animatedColor = shiftSaturation(baseColor, settings.colors.animationTime * speed);
+                break;
+            case 'brightness':
+                animatedColor = shiftBrightness(baseColor, settings.colors.animationTime * speed);
+                break;
+            case 'rainbow':
+                animatedColor = rainbowColor(settings.colors.animationTime * speed);
+                break;
+        }
+        
+        layer.color = animatedColor;
+    });
 }
 
 function shiftHue(color, amount) {
@@ -3010,61 +8711,13 @@ function hslToHex(hsl) {
 
 function updateUIFromSettings() {
     // Update all UI controls to match current settings
-    document.getElementById('pattern1Type').value = settings.pattern1.type;
-    document.getElementById('pattern1Speed').value = settings.pattern1.speed;
-    document.getElementById('pattern1SpeedValue').textContent = settings.pattern1.speed.toFixed(3);
-    document.getElementById('pattern1Scale').value = settings.pattern1.scale;
-    document.getElementById('pattern1ScaleValue').textContent = settings.pattern1.scale.toFixed(3);
-    document.getElementById('pattern1Color').value = settings.colors.pattern1Color;
-    document.getElementById('pattern1Glow').checked = settings.pattern1.glow;
-    
-    // Update pattern1 noise variant
-    const pattern1NoiseVariant = document.getElementById('pattern1NoiseVariant');
-    if (pattern1NoiseVariant) {
-        pattern1NoiseVariant.value = settings.pattern1.noiseVariant || 'simplex';
+    const seedInput = document.getElementById('seedInput');
+    if (seedInput) {
+        seedInput.value = settings.seed;
     }
 
-    // Update primary character set dropdown
-    const charSets = ['blocks', 'ascii', 'hex', 'numbers', 'letters', 'symbols', 'braille'];
-    const currentCharSet1 = charSets.find(set => ASCII_RAMPS[set] === currentRamp1) || 'blocks';
-    document.getElementById('pattern1CharSet').value = currentCharSet1;
-
-    // Update secondary pattern UI
-    const pattern2Toggle = document.getElementById('pattern2Toggle');
-    const pattern2Settings = document.getElementById('pattern2Settings');
-
-    if (settings.pattern2.enabled) {
-        pattern2Toggle.classList.add('active');
-        pattern2Toggle.querySelector('.toggle-switch-label').textContent = 'Disable';
-        pattern2Settings.style.display = 'block';
-
-        document.getElementById('pattern2Type').value = settings.pattern2.type;
-        document.getElementById('pattern2Speed').value = settings.pattern2.speed;
-        document.getElementById('pattern2SpeedValue').textContent = settings.pattern2.speed.toFixed(3);
-        document.getElementById('pattern2Scale').value = settings.pattern2.scale;
-        document.getElementById('pattern2ScaleValue').textContent = settings.pattern2.scale.toFixed(3);
-        document.getElementById('pattern2Color').value = settings.colors.pattern2Color;
-        document.getElementById('pattern2Glow').checked = settings.pattern2.glow;
-        
-        // Update pattern2 noise variant
-        const pattern2NoiseVariant = document.getElementById('pattern2NoiseVariant');
-        if (pattern2NoiseVariant) {
-            pattern2NoiseVariant.value = settings.pattern2.noiseVariant || 'simplex';
-        }
-        
-        document.getElementById('blendModeSelect').value = settings.colors.blendMode;
-        document.getElementById('blendAmount').value = settings.colors.blendAmount;
-        document.getElementById('blendAmountValue').textContent = settings.colors.blendAmount.toFixed(1);
-
-        // Update secondary character set dropdown
-        const currentCharSet2 = charSets.find(set => ASCII_RAMPS[set] === currentRamp2) || 'blocks';
-        document.getElementById('pattern2CharSet').value = currentCharSet2;
-    } else {
-        // Properly disable secondary pattern UI
-        pattern2Toggle.classList.remove('active');
-        pattern2Toggle.querySelector('.toggle-switch-label').textContent = 'Enable';
-        pattern2Settings.style.display = 'none';
-    }
+    // Rebuild the layer sections for the current stack
+    renderLayerList();
     
     // Update interactive effects UI
     const interactiveToggle = document.getElementById('interactiveToggle');
@@ -3087,6 +8740,15 @@ function updateUIFromSettings() {
         interactiveSettings.style.display = 'none';
     }
     
+    // Update audio modulation UI
+    renderAudioRouteControls();
+
+    // Update tone mapping UI
+    renderToneControls();
+
+    // Update cell background UI
+    renderCellBackgroundControls();
+
     // Update Webcam UI
     document.getElementById('webcamIntensity').value = settings.webcam.intensity;
     document.getElementById('webcamIntensityValue').textContent = settings.webcam.intensity.toFixed(1);
@@ -3101,14 +8763,13 @@ function updateUIFromSettings() {
     document.getElementById('colorAnimationSpeedValue').textContent = settings.colors.animationSpeed.toFixed(3);
     
     document.getElementById('useColorPalette').checked = settings.colors.usePalette;
-    document.getElementById('colorPaletteSelect').value = settings.colors.currentPalette;
+    renderPaletteSelect();
     document.getElementById('paletteColorMode').value = settings.colors.paletteColorMode || 'single';
     
-    // Sync pattern color properties with color settings
-    settings.pattern1.color = settings.colors.pattern1Color;
-    if (settings.pattern2.enabled) {
-        settings.pattern2.color = settings.colors.pattern2Color;
-    }
+    // Sync layer colors with their base colors
+    settings.layers.forEach(layer => {
+        layer.color = layer.baseColor;
+    });
     
     // Show/hide color animation settings
     const animationSettings = document.getElementById('colorAnimationSettings');
@@ -3122,16 +8783,6 @@ function updateUIFromSettings() {
         paletteSettings.style.display = settings.colors.usePalette ? 'block' : 'none';
     }
     
-    // Show/hide pattern2 color section and blend mode section
-    const pattern2ColorSection = document.getElementById('pattern2ColorSection');
-    const blendModeSection = document.getElementById('blendModeSection');
-    if (pattern2ColorSection) {
-        pattern2ColorSection.style.display = settings.pattern2.enabled ? 'block' : 'none';
-    }
-    if (blendModeSection) {
-        blendModeSection.style.display = settings.pattern2.enabled ? 'block' : 'none';
-    }
-    
     // Update palette preview
     updatePalettePreview();
     
@@ -3183,31 +8834,19 @@ function generatePatternCode() {
     try {
         // Create a simplified settings object for the code
         const codeSettings = {
+            seed: settings.seed,
             grid: {
                 cols: settings.gridCols,
                 rows: settings.gridRows,
                 charSize: settings.charSize,
                 charSpacing: settings.charSpacing
             },
-            pattern1: {
-                type: settings.pattern1.type,
-                speed: settings.pattern1.speed,
-                scale: settings.pattern1.scale,
-                color: settings.colors.pattern1Color,
-                glow: settings.pattern1.glow,
-                noiseVariant: settings.pattern1.noiseVariant,
-                charSet: currentRamp1
-            },
-            pattern2: {
-                enabled: settings.pattern2.enabled,
-                type: settings.pattern2.type,
-                speed: settings.pattern2.speed,
-                scale: settings.pattern2.scale,
-                color: settings.colors.pattern2Color,
-                glow: settings.pattern2.glow,
-                noiseVariant: settings.pattern2.noiseVariant,
-                charSet: currentRamp2
+            layers: settings.layers.map(getLayerCode),
+            audio: {
+                routes: settings.audio.routes
             },
+            tone: settings.tone,
+            background: settings.background,
             interactive: {
                 enabled: settings.interactive.enabled,
                 type: settings.interactive.type,
@@ -3216,9 +8855,7 @@ function generatePatternCode() {
                 clickEnabled: settings.interactive.clickEnabled
             },
             colors: {
-                backgroundColor: settings.colors.backgroundColor,
-                blendMode: settings.colors.blendMode,
-                blendAmount: settings.colors.blendAmount
+                backgroundColor: settings.colors.backgroundColor
             }
         };
         
@@ -3333,6 +8970,11 @@ function loadPatternFromCode(code = null) {
  */
 function applyPatternCode(codeSettings) {
     try {
+        // Apply the seed first so patterns initialized below draw from it
+        if (codeSettings.seed !== undefined) {
+            setGlobalSeed(codeSettings.seed);
+        }
+
         // Apply grid settings
         if (codeSettings.grid) {
             settings.gridCols = codeSettings.grid.cols || settings.gridCols;
@@ -3345,53 +8987,27 @@ function applyPatternCode(codeSettings) {
             gridRows = settings.gridRows;
         }
         
-        // Apply pattern1 settings
-        if (codeSettings.pattern1) {
-            settings.pattern1.type = codeSettings.pattern1.type || settings.pattern1.type;
-            settings.pattern1.speed = codeSettings.pattern1.speed || settings.pattern1.speed;
-            settings.pattern1.scale = codeSettings.pattern1.scale || settings.pattern1.scale;
-            settings.colors.pattern1Color = codeSettings.pattern1.color || settings.colors.pattern1Color;
-            settings.pattern1.color = settings.colors.pattern1Color; // Sync pattern color property
-            settings.pattern1.glow = codeSettings.pattern1.glow !== undefined ? codeSettings.pattern1.glow : settings.pattern1.glow;
-            settings.pattern1.noiseVariant = codeSettings.pattern1.noiseVariant || settings.pattern1.noiseVariant;
-            
-            // Debug logging
-            console.log('Pattern1 color loaded:', {
-                fromCode: codeSettings.pattern1.color,
-                finalColor: settings.pattern1.color,
-                pattern1Color: settings.colors.pattern1Color
-            });
-            
-            // Update character set
-            if (codeSettings.pattern1.charSet) {
-                currentRamp1 = codeSettings.pattern1.charSet;
-            }
-        }
-        
-        // Apply pattern2 settings
-        if (codeSettings.pattern2) {
-            settings.pattern2.enabled = codeSettings.pattern2.enabled !== undefined ? codeSettings.pattern2.enabled : settings.pattern2.enabled;
-            settings.pattern2.type = codeSettings.pattern2.type || settings.pattern2.type;
-            settings.pattern2.speed = codeSettings.pattern2.speed || settings.pattern2.speed;
-            settings.pattern2.scale = codeSettings.pattern2.scale || settings.pattern2.scale;
-            settings.colors.pattern2Color = codeSettings.pattern2.color || settings.colors.pattern2Color;
-            settings.pattern2.color = settings.colors.pattern2Color; // Sync pattern color property
-            settings.pattern2.glow = codeSettings.pattern2.glow !== undefined ? codeSettings.pattern2.glow : settings.pattern2.glow;
-            settings.pattern2.noiseVariant = codeSettings.pattern2.noiseVariant || settings.pattern2.noiseVariant;
-            
-            // Debug logging
-            console.log('Pattern2 color loaded:', {
-                fromCode: codeSettings.pattern2.color,
-                finalColor: settings.pattern2.color,
-                pattern2Color: settings.colors.pattern2Color
-            });
-            
-            // Update character set
-            if (codeSettings.pattern2.charSet) {
-                currentRamp2 = codeSettings.pattern2.charSet;
+        // Apply the layer stack (codes from before layers carry pattern1 and pattern2 instead)
+        const layerCodes = codeSettings.layers || getLegacyLayerCodes(codeSettings);
+        layerCodes.forEach(layerCode => {
+            if (layerCode.type && !getPatternDefinition(layerCode.type)) {
+                showToast(`Pattern type '${layerCode.type}' is not available`, 'error');
             }
+        });
+        if (layerCodes.length > 0) {
+            settings.layers = layerCodes.map(layerCode => createLayer(layerCode));
+            checkMaskLayerReferences();
         }
         
+        // Apply audio routes (the audio file has to be loaded separately)
+        settings.audio.routes = resolveParams(AUDIO_ROUTE_PARAMS, codeSettings.audio && codeSettings.audio.routes);
+
+        // Apply tone mapping (codes without it leave values unchanged)
+        settings.tone = resolveParams(TONE_PARAMS, codeSettings.tone);
+
+        // Apply cell backgrounds (codes without them have none)
+        settings.background = resolveParams(BACKGROUND_PARAMS, codeSettings.background);
+
         // Apply interactive settings
         if (codeSettings.interactive) {
             settings.interactive.enabled = codeSettings.interactive.enabled !== undefined ? codeSettings.interactive.enabled : settings.interactive.enabled;
@@ -3404,8 +9020,6 @@ function applyPatternCode(codeSettings) {
         // Apply color settings
         if (codeSettings.colors) {
             settings.colors.backgroundColor = codeSettings.colors.backgroundColor || settings.colors.backgroundColor;
-            settings.colors.blendMode = codeSettings.colors.blendMode || settings.colors.blendMode;
-            settings.blendSettings.amount = codeSettings.colors.blendAmount || settings.blendSettings.amount;
         }
         
         // Disable palette mode when loading a pattern code to preserve the specific colors
@@ -3580,7 +9194,7 @@ function updateWebcamDisplayStyle(asciiDisplay) {
         display: flex;
         align-items: center;
         justify-content: center;
-        font-family: 'FeatureMono', 'SF Mono', Monaco, 'Inconsolata', 'Roboto Mono', 'Source Code Pro', Consolas, 'Courier New', monospace;
+        font-family: ${GRID_FONT_FAMILY};
         font-size: ${settings.charSize}px;
         line-height: ${settings.charSize * settings.charSpacing}px;
         color: white;